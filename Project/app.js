@@ -5,13 +5,47 @@ const OAuth2Strategy = require('passport-oauth2').Strategy;
 const session = require('express-session');
 const FileStore = require('session-file-store')(session);
 const crypto = require('crypto');
-const { validateWebhookSignature } = require('./utils/webhook');
-const { sendToFoundry } = require('./utils/foundry');
-const { fetchWorkoutData, fetchSleepData, fetchRecoveryData, makeWhoopApiCall, revokeAccessToken } = require('./utils/whoop');
+const { validateWebhookSignature, isTimestampFresh } = require('./utils/webhook');
+const webhookEvents = require('./utils/webhookEvents');
+const webhookHandlers = require('./utils/webhookHandlers');
+const { getSink, getSinkStatus } = require('./utils/sinks');
+const { pipelineEmitter, summarizeCycle } = require('./utils/pipeline');
+const timeseries = require('./utils/timeseries');
+const baselines = require('./utils/baselines');
+const alerts = require('./utils/alerts');
+const notifications = require('./utils/notifications');
+const returnToPlay = require('./utils/returnToPlay');
+const checkins = require('./utils/checkins');
+const organizations = require('./utils/organizations');
+const permissions = require('./utils/permissions');
+const roster = require('./utils/roster');
+const invites = require('./utils/invites');
+const consent = require('./utils/consent');
+const auditLog = require('./utils/auditLog');
+const { createEventBridge } = require('./utils/eventBridge');
+const { fetchUserProfile, fetchBodyMeasurement, fetchLatestCycle, revokeAccessToken } = require('./utils/whoop');
+const { scheduler } = require('./utils/whoopScheduler');
 const { getUser, fetchProfile } = require('./utils/oauth');
 const tokenStorage = require('./utils/tokenStorage');
 const strainManager = require('./worker/strainPoller');
+const webhookQueue = require('./worker/webhookQueue');
+const pollingJobs = require('./utils/pollingJobs');
+const tokenRefresher = require('./worker/tokenRefresher');
+const { backfillUser, getBackfillStatus, COLLECTION_KINDS } = require('./worker/backfill');
 const { strainEmitter } = strainManager;
+const { requireAuth, requireLogin, requireAdmin, requireAthleteAccess, requireTeamPermission } = permissions;
+const { auditAccess } = auditLog;
+
+// Alerts raised while processing polls or webhooks are rebroadcast on the strain
+// emitter, where SSE connections pick them up. With several instances, new and
+// updated alerts are relayed to all of them (the instance that raised an alert
+// is often not the one a browser is connected to), but only the instance that
+// raised it notifies recipients.
+const alertBridge = createEventBridge({ emitter: strainEmitter, event: 'alert', channel: 'alert_events' });
+const alertUpdateBridge = createEventBridge({ emitter: alerts.alertEmitter, event: 'alert.updated', channel: 'alert_update_events' });
+alerts.alertEmitter.on('alert', (alert) => alertBridge.publish({ userId: alert.userId, data: alert }));
+alertUpdateBridge.relay();
+notifications.attach(alerts.alertEmitter);
 
 const app = express();
 
@@ -22,6 +56,7 @@ const CLIENT_ID = process.env.CLIENT_ID;
 const CLIENT_SECRET = process.env.CLIENT_SECRET;
 const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
 const PORT = process.env.PORT || 3000;
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:3000';
 
 
 // Validate required environment variables
@@ -135,6 +170,8 @@ const whoopOAuthConfig = {
   clientSecret: CLIENT_SECRET,
   callbackURL: CALLBACK_URL,
   state: true,
+  // getUser needs the session to redeem invite links
+  passReqToCallback: true,
   scope: [
     'offline',
     'read:profile',
@@ -196,7 +233,9 @@ app.get('/auth/whoop', passport.authenticate('whoop'));
 // then calls the 'verify' function
 app.get('/callback',
   passport.authenticate('whoop', { failureRedirect: '/login' }),
-  function (req, res) {
+  async function (req, res) {
+    // Keep the athlete's name for staff views (the roster)
+    await organizations.saveProfile(req.user).catch((error) => console.error('Error saving profile:', error));
     res.redirect('/');
   }
 );
@@ -212,150 +251,46 @@ app.post('/webhook', async (req, res) => {
     console.error('Invalid webhook signature');
     return res.status(401).json({ error: 'Invalid signature' });
   }
+  // A valid signature on an old timestamp is a captured delivery being replayed
+  if (!isTimestampFresh(timestamp)) {
+    console.error(`Stale webhook timestamp: ${timestamp}`);
+    return res.status(401).json({ error: 'Stale timestamp' });
+  }
 
-  const { type, user_id, id } = req.body;
-
+  // Acknowledge as soon as the delivery is safely queued; the webhook workers
+  // call WHOOP and the data sinks, so a slow upstream can't make WHOOP time out
   try {
-    // Handle different webhook event types
-    switch (type) {
-      case 'workout.updated':
-        try {
-          const workoutData = await fetchWorkoutData(id, user_id);
-          await sendToFoundry("workout", {
-            ...workoutData,
-            user_id: user_id,
-            webhook_received_at: new Date().toISOString()
-          });
-          
-          console.log('New workout update received and data sent to Foundry:');
-          console.log('User ID:', user_id);
-          console.log('Workout ID:', id);
-          console.log('-------------------');
-
-          res.status(200).json({ message: 'Workout update processed successfully' });
-        } catch (error) {
-          console.error('Error processing workout update webhook:', error);
-          res.status(500).json({ error: 'Failed to process workout update' });
-        }
-        break;
-
-      case 'workout.deleted':
-        try {
-          await sendToFoundry("workout_deleted", { 
-            workout_id: id,
-            user_id: user_id,
-            deleted_at: new Date().toISOString()
-          });
-
-          console.log('Workout deletion notification received:');
-          console.log('User ID:', user_id);
-          console.log('Deleted Workout ID:', id);
-          console.log('-------------------');
-          
-          res.status(200).json({ message: 'Workout deletion processed successfully' });
-        } catch (error) {
-          console.error('Error processing workout deletion:', error);
-          res.status(500).json({ error: 'Failed to process workout deletion' });
-        }
-        break;
-
-      case 'sleep.updated':
-        try {
-          const sleepData = await fetchSleepData(id, user_id);
-          await sendToFoundry("sleep", {
-            ...sleepData,
-            user_id: user_id,
-            webhook_received_at: new Date().toISOString()
-          });
-          
-          console.log('New sleep update received and data sent to Foundry:');
-          console.log('User ID:', user_id);
-          console.log('Sleep ID:', id);
-          console.log('-------------------');
-
-          res.status(200).json({ message: 'Sleep update processed successfully' });
-        } catch (error) {
-          console.error('Error processing sleep update webhook:', error);
-          res.status(500).json({ error: 'Failed to process sleep update' });
-        }
-        break;
-
-      case 'sleep.deleted':
-        try {
-          await sendToFoundry("sleep_deleted", { 
-            sleep_id: id,
-            user_id: user_id,
-            deleted_at: new Date().toISOString()
-          });
-
-          console.log('Sleep deletion notification received:');
-          console.log('User ID:', user_id);
-          console.log('Deleted Sleep ID:', id);
-          console.log('-------------------');
-          
-          res.status(200).json({ message: 'Sleep deletion processed successfully' });
-        } catch (error) {
-          console.error('Error processing sleep deletion:', error);
-          res.status(500).json({ error: 'Failed to process sleep deletion' });
-        }
-        break;
-
-      case 'recovery.updated':
-        try {
-          const recoveryData = await fetchRecoveryData(id, user_id);
-          await sendToFoundry("recovery", {
-            ...recoveryData,
-            user_id: user_id,
-            webhook_received_at: new Date().toISOString()
-          });
-          
-          console.log('New recovery update received and data sent to Foundry:');
-          console.log('User ID:', user_id);
-          console.log('Cycle ID:', id);
-          console.log('-------------------');
-
-          res.status(200).json({ message: 'Recovery update processed successfully' });
-        } catch (error) {
-          console.error('Error processing recovery update webhook:', error);
-          res.status(500).json({ error: 'Failed to process recovery update' });
-        }
-        break;
-
-      case 'recovery.deleted':
-        try {
-          await sendToFoundry("recovery_deleted", { 
-            cycle_id: id,
-            user_id: user_id,
-            deleted_at: new Date().toISOString()
-          });
-
-          console.log('Recovery deletion notification received:');
-          console.log('User ID:', user_id);
-          console.log('Deleted Cycle ID:', id);
-          console.log('-------------------');
-          
-          res.status(200).json({ message: 'Recovery deletion processed successfully' });
-        } catch (error) {
-          console.error('Error processing recovery deletion:', error);
-          res.status(500).json({ error: 'Failed to process recovery deletion' });
-        }
-        break;
-
-      default:
-        console.log(`Received webhook of type: ${type}`);
-        console.log('User ID:', user_id);
-        console.log('Object ID:', id);
-        console.log('-------------------');
-        res.status(200).json({ message: 'Webhook received' });
+    const { event, duplicate } = await webhookEvents.recordDelivery({
+      payload: req.body,
+      rawBody: req.rawBody,
+      signatureTimestamp: timestamp
+    });
+    if (duplicate) {
+      console.log(`Duplicate webhook delivery ignored: ${event.fingerprint}`);
+      return res.status(200).json({ message: 'Duplicate delivery ignored', eventId: event.id });
     }
+
+    webhookQueue.kick();
+    res.status(200).json({ message: 'Webhook queued', eventId: event.id });
   } catch (error) {
-    console.error('Error processing webhook:', error);
-    res.status(500).json({ error: 'Failed to process webhook' });
+    console.error('Error queueing webhook:', error);
+    res.status(500).json({ error: 'Failed to queue webhook' });
   }
 });
 
+// For user-provided text (team and organization names) in server-rendered pages
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
 // Routes
-app.get('/', (req, res) => {
+app.get('/', async (req, res) => {
+  // Refresh token rejected by WHOOP: the athlete has to log in again
+  const tokenData = req.user && req.user.isAuthenticated
+    ? await tokenStorage.getRaw(req.user.userId)
+    : null;
+  const needsReauth = !!tokenData?.needsReauth;
+
   res.send(`
     <!DOCTYPE html>
     <html>
@@ -420,6 +355,21 @@ app.get('/', (req, res) => {
           color: #666;
           margin: 10px 0;
         }
+        .reconnect-notice {
+          margin: 20px 0;
+          padding: 15px 20px;
+          border-radius: 5px;
+          background-color: #f8d7da;
+          color: #721c24;
+        }
+        #alert-display {
+          display: none;
+          margin-top: 20px;
+          padding: 15px 20px;
+          border-radius: 5px;
+          background-color: #f8d7da;
+          color: #721c24;
+        }
         #strain-display {
           margin-top: 20px;
           padding: 20px;
@@ -549,6 +499,18 @@ app.get('/', (req, res) => {
              console.error('Failed to parse strain event', e);
            }
         };
+
+        // Alerts arrive as named events on the same stream
+        strainEvents.addEventListener('alert', function (evt) {
+          try {
+            var alert = JSON.parse(evt.data);
+            var alertDisplay = document.getElementById('alert-display');
+            alertDisplay.style.display = 'block';
+            alertDisplay.textContent = 'Alert: ' + alert.ruleName + ' (' + alert.condition + ')';
+          } catch (e) {
+            console.error('Failed to parse alert event', e);
+          }
+        });
       </script>
     </head>
     <body>
@@ -558,11 +520,16 @@ app.get('/', (req, res) => {
           req.user && req.user.isAuthenticated
             ? `
               <p>Welcome, ${req.user.firstName}!</p>
+              ${needsReauth ? '<div class="reconnect-notice">WHOOP stopped accepting this app\'s access to your account, so your data is no longer being collected. <a href="/auth/whoop">Reconnect WHOOP</a></div>' : ''}
               <button class="button" onclick="fetchWhoopData('/whoop-data')">Fetch Profile Data</button>
               <button class="button" onclick="fetchWhoopData('/body-stats')">Fetch Body Stats</button>
               <button id="pollStrainButton" class="button" onclick="toggleStrainPolling()">Start Strain Polling</button>
+              <a href="/checkin" class="button">Daily Symptom Check-in</a>
+              <a href="/consent" class="button">Data Sharing</a>
+              ${permissions.athletesFor(req.user, 'readiness:read').length > 0 ? '<a href="/roster" class="button">Team Roster</a>' : ''}
               <a href="/disconnect" class="button logout" onclick="return confirm('This will stop background strain monitoring. Are you sure?')">Disconnect WHOOP</a>
               <div class="loading">Loading data...</div>
+              <div id="alert-display"></div>
               <div id="strain-display"></div>
               <pre id="data-display"></pre>
               `
@@ -577,14 +544,430 @@ app.get('/', (req, res) => {
   `);
 });
 
-// WHOOP data route
-app.get('/whoop-data', async (req, res) => {
-  if (!req.user || !req.user.isAuthenticated) {
-    return res.status(401).json({ error: 'Not authenticated' });
+// Roster for staff: every athlete on their teams, with live updates
+app.get('/roster', requireLogin, (req, res) => {
+  const teams = organizations.membershipsFor(req.user.userId)
+    .filter((membership) => permissions.ROLE_PERMISSIONS[membership.role].includes('readiness:read') && membership.team);
+  const teamOptions = teams
+    .map(({ team }) => `<option value="${team.id}">${escapeHtml(team.name)}</option>`)
+    .join('');
+
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Roster</title>
+      <style>
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+          max-width: 1200px;
+          margin: 0 auto;
+          padding: 20px;
+          background-color: #f5f5f5;
+        }
+        .container {
+          background-color: white;
+          padding: 30px;
+          border-radius: 10px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        }
+        .filters {
+          margin-bottom: 15px;
+        }
+        .filters > * {
+          margin-right: 10px;
+        }
+        table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+        th, td {
+          padding: 8px;
+          text-align: left;
+          border-bottom: 1px solid #eee;
+        }
+        th {
+          cursor: pointer;
+          user-select: none;
+        }
+        th.sorted::after {
+          content: ' \\25B4';
+        }
+        th.sorted.desc::after {
+          content: ' \\25BE';
+        }
+        .critical {
+          color: #721c24;
+          font-weight: bold;
+        }
+        .warning {
+          color: #856404;
+          font-weight: bold;
+        }
+        .stale {
+          color: #999;
+        }
+        tr.updated {
+          background-color: #fff3cd;
+        }
+      </style>
+      <script>
+        // Hours without new data before an athlete is shown as stale
+        var STALE_HOURS = 24;
+        var COLUMNS = [
+          { key: 'name', label: 'Athlete' },
+          { key: 'strain', label: 'Strain', format: function (v) { return v === null ? '-' : v.toFixed(1); } },
+          { key: 'recoveryScore', label: 'Recovery', format: function (v) { return v === null ? '-' : v + '%'; } },
+          { key: 'sleepPerformance', label: 'Sleep', format: function (v) { return v === null ? '-' : v + '%'; } },
+          { key: 'deviation', label: 'Largest deviation', sortValue: function (v) { return v ? Math.abs(v.z) : -1; },
+            format: function (v) { return v ? v.metric.replace(/_/g, ' ') + ' ' + (v.z > 0 ? '+' : '') + v.z.toFixed(1) + '\\u03C3' : '-'; } },
+          { key: 'activeAlerts', label: 'Alerts', format: function (v, row) { return v ? '<span class="' + row.alertSeverity + '">' + v + '</span>' : '0'; } },
+          { key: 'rtpStage', label: 'RTP stage', format: function (v) { return v === null ? '-' : 'Stage ' + v; } },
+          { key: 'lastDataAt', label: 'Last data', sortValue: function (v) { return v ? Date.parse(v) : 0; },
+            format: function (v) {
+              if (!v) return '<span class="stale">never</span>';
+              var hours = (Date.now() - Date.parse(v)) / 3600000;
+              var label = hours < 1 ? Math.round(hours * 60) + ' min ago' : Math.round(hours) + ' h ago';
+              return hours > STALE_HOURS ? '<span class="stale">' + label + '</span>' : label;
+            } }
+        ];
+        var athletes = {};
+        var sortKey = 'name';
+        var sortDesc = false;
+
+        function escapeHtml(value) {
+          return String(value).replace(/[&<>"']/g, function (c) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+          });
+        }
+
+        // The symptoms column only appears for clinicians (rows include latestCheckin)
+        function currentColumns() {
+          var medical = Object.keys(athletes).some(function (id) { return 'latestCheckin' in athletes[id]; });
+          if (!medical) return COLUMNS;
+          return COLUMNS.concat({ key: 'latestCheckin', label: 'Symptoms', sortValue: function (v) { return v ? v.severityScore : -1; },
+            format: function (v) { return v ? v.totalSymptoms + ' (severity ' + v.severityScore + ', ' + v.date + ')' : '-'; } });
+        }
+
+        function sortValue(column, row) {
+          var value = row[column.key];
+          if (column.sortValue) return column.sortValue(value);
+          return value === null || value === undefined ? -Infinity : value;
+        }
+
+        function visibleRows() {
+          var teamId = document.getElementById('team-filter').value;
+          var search = document.getElementById('search').value.toLowerCase();
+          var alertsOnly = document.getElementById('alerts-only').checked;
+          var rtpOnly = document.getElementById('rtp-only').checked;
+          var column = currentColumns().find(function (c) { return c.key === sortKey; }) || COLUMNS[0];
+
+          return Object.values(athletes)
+            .filter(function (row) { return !teamId || row.teams.some(function (team) { return team.id === teamId; }); })
+            .filter(function (row) { return !search || row.name.toLowerCase().includes(search); })
+            .filter(function (row) { return !alertsOnly || row.activeAlerts > 0; })
+            .filter(function (row) { return !rtpOnly || row.rtpStage !== null; })
+            .sort(function (a, b) {
+              var x = sortValue(column, a);
+              var y = sortValue(column, b);
+              var order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+              return sortDesc ? -order : order;
+            });
+        }
+
+        function render(updatedId) {
+          var columns = currentColumns();
+
+          document.getElementById('roster-head').innerHTML = '<tr>' + columns.map(function (column) {
+            var classes = column.key === sortKey ? 'sorted' + (sortDesc ? ' desc' : '') : '';
+            return '<th class="' + classes + '" onclick="sortBy(\\'' + column.key + '\\')">' + column.label + '</th>';
+          }).join('') + '</tr>';
+
+          var rows = visibleRows();
+          document.getElementById('roster-body').innerHTML = rows.length === 0
+            ? '<tr><td colspan="' + columns.length + '">No athletes</td></tr>'
+            : rows.map(function (row) {
+              return '<tr' + (row.athleteId === updatedId ? ' class="updated"' : '') + '>' + columns.map(function (column) {
+                var value = row[column.key] === undefined ? null : row[column.key];
+                if (column.key === 'name') {
+                  var notSharing = row.sharing && row.sharing.length === 0 ? ' <span class="stale">(not sharing)</span>' : '';
+                  return '<td>' + escapeHtml(value) + notSharing + '</td>';
+                }
+                return '<td>' + (column.format ? column.format(value, row) : escapeHtml(value)) + '</td>';
+              }).join('') + '</tr>';
+            }).join('');
+        }
+
+        function sortBy(key) {
+          sortDesc = key === sortKey ? !sortDesc : false;
+          sortKey = key;
+          render();
+        }
+
+        document.addEventListener('DOMContentLoaded', async function () {
+          ['team-filter', 'search', 'alerts-only', 'rtp-only'].forEach(function (id) {
+            document.getElementById(id).addEventListener('input', function () { render(); });
+          });
+
+          try {
+            var response = await fetch('/roster/athletes');
+            var data = await response.json();
+            data.athletes.forEach(function (row) { athletes[row.athleteId] = row; });
+            render();
+          } catch (err) {
+            console.error('Error loading roster', err);
+          }
+
+          // Each change to an athlete's data arrives as a fresh roster row
+          var rosterEvents = new EventSource('/events/roster');
+          rosterEvents.addEventListener('athlete', function (evt) {
+            try {
+              var row = JSON.parse(evt.data);
+              athletes[row.athleteId] = row;
+              render(row.athleteId);
+            } catch (e) {
+              console.error('Failed to parse roster event', e);
+            }
+          });
+        });
+      </script>
+    </head>
+    <body>
+      <div class="container">
+        <h1>Roster</h1>
+        <div class="filters">
+          <select id="team-filter">
+            <option value="">All teams</option>
+            ${teamOptions}
+          </select>
+          <input id="search" type="search" placeholder="Search athletes">
+          <label><input id="alerts-only" type="checkbox"> Active alerts only</label>
+          <label><input id="rtp-only" type="checkbox"> In return to play only</label>
+        </div>
+        <table>
+          <thead id="roster-head"></thead>
+          <tbody id="roster-body"></tbody>
+        </table>
+        <p><a href="/">Back to dashboard</a></p>
+      </div>
+    </body>
+    </html>
+  `);
+});
+
+// Roster rows for every athlete the logged-in staff member can see (?teamId=)
+app.get('/roster/athletes', auditAccess('roster.read'), requireAuth, (req, res) => {
+  const athletes = roster.buildRoster(req.user, { teamId: req.query.teamId });
+  req.auditSubjects = athletes.map((row) => row.athleteId);
+  res.json({ athletes });
+});
+
+// SSE stream of roster rows. Whenever anything changes for an athlete the
+// staff member can see (new data, alerts, return-to-play), their refreshed
+// row is sent as a named "athlete" event.
+app.get('/events/roster', auditAccess('roster.stream', { stream: true }), requireAuth, (req, res) => {
+  req.auditSubjects = permissions.athletesFor(req.user, 'readiness:read');
+  res.set({
+    'Cache-Control': 'no-cache',
+    'Content-Type': 'text/event-stream',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  // Bursts (e.g. a backfill) are coalesced into one row per athlete per second
+  const pending = new Map();
+  const changed = ({ userId }) => {
+    if (!userId || String(userId) === String(req.user.userId) || pending.has(String(userId))) return;
+    if (!permissions.can(req.user, 'readiness:read', userId)) return;
+
+    pending.set(String(userId), setTimeout(() => {
+      pending.delete(String(userId));
+      try {
+        res.write('event: athlete\ndata:' + JSON.stringify(roster.athleteRow(req.user, String(userId))) + '\n\n');
+      } catch (error) {
+        console.error('Error sending roster update:', error);
+      }
+    }, 1000));
+  };
+  const alertChanged = (alert) => changed({ userId: alert.userId });
+
+  pipelineEmitter.on('record', changed);
+  strainEmitter.on('alert', changed);
+  alerts.alertEmitter.on('alert.updated', alertChanged);
+  returnToPlay.rtpEmitter.on('episode', changed);
+  returnToPlay.rtpEmitter.on('violation', changed);
+
+  req.on('close', () => {
+    pipelineEmitter.off('record', changed);
+    strainEmitter.off('alert', changed);
+    alerts.alertEmitter.off('alert.updated', alertChanged);
+    returnToPlay.rtpEmitter.off('episode', changed);
+    returnToPlay.rtpEmitter.off('violation', changed);
+    pending.forEach((timer) => clearTimeout(timer));
+  });
+});
+
+// Daily symptom check-in form
+app.get('/checkin', requireLogin, (req, res) => {
+  const rows = Object.entries(checkins.SYMPTOMS).map(([symptom, label]) => `
+              <tr>
+                <td>${label}</td>
+                ${Array.from({ length: checkins.MAX_SEVERITY + 1 }, (_, value) => `
+                <td><input type="radio" name="${symptom}" value="${value}" ${value === 0 ? 'checked' : ''} aria-label="${label} ${value}"></td>`).join('')}
+              </tr>`).join('');
+
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Daily Symptom Check-in</title>
+      <style>
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+          max-width: 800px;
+          margin: 0 auto;
+          padding: 20px;
+          background-color: #f5f5f5;
+        }
+        .container {
+          background-color: white;
+          padding: 30px;
+          border-radius: 10px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        }
+        table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+        th, td {
+          padding: 6px;
+          text-align: center;
+          border-bottom: 1px solid #eee;
+        }
+        td:first-child, th:first-child {
+          text-align: left;
+        }
+        textarea {
+          width: 100%;
+          min-height: 60px;
+          margin-top: 10px;
+        }
+        .button {
+          display: inline-block;
+          padding: 10px 20px;
+          margin: 10px 5px 10px 0;
+          background-color: #007bff;
+          color: white;
+          text-decoration: none;
+          border-radius: 5px;
+          border: none;
+          cursor: pointer;
+        }
+        #result {
+          margin-top: 10px;
+        }
+        .history-entry {
+          padding: 10px 0;
+          border-bottom: 1px solid #eee;
+        }
+      </style>
+      <script>
+        async function submitCheckin(event) {
+          event.preventDefault();
+          const form = event.target;
+          const scores = {};
+          ${JSON.stringify(Object.keys(checkins.SYMPTOMS))}.forEach(function (symptom) {
+            scores[symptom] = Number(form.querySelector('input[name="' + symptom + '"]:checked').value);
+          });
+
+          const result = document.getElementById('result');
+          try {
+            const response = await fetch('/checkins', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ date: form.date.value, notes: form.notes.value, scores: scores })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+              throw new Error(data.error);
+            }
+            result.textContent = 'Saved: ' + data.totalSymptoms + ' symptoms, severity score ' + data.severityScore;
+            loadHistory();
+          } catch (error) {
+            result.textContent = 'Error saving check-in: ' + error.message;
+          }
+        }
+
+        async function loadHistory() {
+          const response = await fetch('/checkins');
+          const { checkins } = await response.json();
+          document.getElementById('history').innerHTML = checkins.slice(0, 7).map(function (checkin) {
+            const recovery = checkin.recovery && checkin.recovery.score ? checkin.recovery.score.recovery_score + '%' : 'n/a';
+            const sleep = checkin.sleep && checkin.sleep.score ? checkin.sleep.score.sleep_performance_percentage + '%' : 'n/a';
+            return '<div class="history-entry"><strong>' + checkin.date + '</strong>: ' +
+              checkin.totalSymptoms + ' symptoms, severity ' + checkin.severityScore +
+              ' &middot; recovery ' + recovery + ' &middot; sleep performance ' + sleep + '</div>';
+          }).join('') || '<div>No check-ins yet</div>';
+        }
+
+        document.addEventListener('DOMContentLoaded', loadHistory);
+      </script>
+    </head>
+    <body>
+      <div class="container">
+        <h1>Daily Symptom Check-in</h1>
+        <p>Rate how you feel today: 0 = none, 6 = severe.</p>
+        <form onsubmit="submitCheckin(event)">
+          <label>Date <input type="date" name="date" value="${new Date().toISOString().slice(0, 10)}"></label>
+          <table>
+            <tr><th>Symptom</th>${Array.from({ length: checkins.MAX_SEVERITY + 1 }, (_, value) => `<th>${value}</th>`).join('')}</tr>
+            ${rows}
+          </table>
+          <textarea name="notes" placeholder="Anything else your clinician should know?"></textarea>
+          <button type="submit" class="button">Submit check-in</button>
+          <a href="/" class="button">Back to dashboard</a>
+        </form>
+        <div id="result"></div>
+        <h2>Recent check-ins</h2>
+        <div id="history"></div>
+      </div>
+    </body>
+    </html>
+  `);
+});
+
+// Symptom check-ins (the logged-in athlete's, or ?athleteId= for clinicians),
+// with that day's recovery and sleep
+app.get('/checkins', auditAccess('checkins.read'), requireAthleteAccess('medical:read', undefined, () => 'symptoms'), (req, res) => {
+  const { from, to } = req.query;
+  const shared = req.sharedDataTypes;
+  res.json({
+    checkins: checkins.listCheckins(req.athleteId, { from, to }).map((checkin) => ({
+      ...checkin,
+      recovery: shared.includes('recovery') ? checkin.recovery : null,
+      sleep: shared.includes('sleep') ? checkin.sleep : null
+    }))
+  });
+});
+
+// Submit (or replace) today's check-in
+app.post('/checkins', requireAuth, async (req, res) => {
+  try {
+    const checkin = await checkins.submitCheckin(req.user.userId, req.body || {});
+    res.status(201).json(checkin);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error saving symptom check-in:', error);
+    res.status(500).json({ error: 'Failed to save check-in' });
   }
+});
 
+// WHOOP data route
+app.get('/whoop-data', auditAccess('profile.read'), requireAuth, async (req, res) => {
   try {
-    const data = await makeWhoopApiCall('/developer/v1/user/profile/basic', req.user.userId);
+    const data = await fetchUserProfile(req.user.userId);
     res.json(data);
   } catch (error) {
     console.error('Error fetching WHOOP data:', error);
@@ -593,13 +976,9 @@ app.get('/whoop-data', async (req, res) => {
 });
 
 // Body stats route
-app.get('/body-stats', async (req, res) => {
-  if (!req.user || !req.user.isAuthenticated) {
-    return res.status(401).json({ error: 'Not authenticated' });
-  }
-
+app.get('/body-stats', auditAccess('body_stats.read'), requireAuth, async (req, res) => {
   try {
-    const data = await makeWhoopApiCall('/developer/v1/user/measurement/body', req.user.userId);
+    const data = await fetchBodyMeasurement(req.user.userId);
     res.json(data);
   } catch (error) {
     console.error('Error fetching body stats:', error);
@@ -608,30 +987,12 @@ app.get('/body-stats', async (req, res) => {
 });
 
 // Current strain route
-app.get('/current-strain', async (req, res) => {
-  if (!req.user || !req.user.isAuthenticated) {
-    return res.status(401).json({ error: 'Not authenticated' });
-  }
-
+app.get('/current-strain', auditAccess('strain.read'), requireAuth, async (req, res) => {
   try {
-    const data = await makeWhoopApiCall(
-      `/developer/v1/cycle?limit=1`,
-      req.user.userId
-    );
-
-    if (data.records && data.records.length > 0) {
-      const currentCycle = data.records[0];
-      const strainData = {
-        strain: currentCycle.score?.strain || 0,
-        averageHeartRate: currentCycle.score?.average_heart_rate || 0,
-        maxHeartRate: currentCycle.score?.max_heart_rate || 0,
-        start: currentCycle.start,
-        end: currentCycle.end,
-        scoreState: currentCycle.score_state,
-        timestamp: new Date().toISOString()
-      };
-
-      res.json(strainData);
+    const cycle = await fetchLatestCycle(req.user.userId);
+
+    if (cycle) {
+      res.json(summarizeCycle(cycle));
     } else {
       res.json({ error: 'No cycle data available' });
     }
@@ -641,92 +1002,395 @@ app.get('/current-strain', async (req, res) => {
   }
 });
 
-// SSE endpoint for live strain updates on front-end
-app.get('/events/strain', (req, res) => {
-  if (!req.user || !req.user.isAuthenticated) {
-    return res.sendStatus(401);
+// History routes read from the local time series (newest first, paginated)
+const HISTORY_KINDS = {
+  strain: 'cycle',
+  recovery: 'recovery',
+  sleep: 'sleep',
+  workout: 'workout'
+};
+
+// History metrics are named after the data types athletes consent to share
+app.get('/history/:metric', auditAccess('history.read'), requireAthleteAccess('readiness:read', undefined, (req) => HISTORY_KINDS[req.params.metric] && req.params.metric), (req, res) => {
+  const kind = HISTORY_KINDS[req.params.metric];
+  if (!kind) {
+    return res.status(404).json({ error: `Unknown history metric: ${req.params.metric}` });
   }
 
-  // SETUP PHASE: Convert this HTTP response into a persistent streaming connection
-  // Think of this like "tuning into a radio station" - we're setting up to receive broadcasts
-  res.set({
-    'Cache-Control': 'no-cache',
-    'Content-Type': 'text/event-stream',  // Tell browser: "This is a live data stream, not a regular webpage"
-    Connection: 'keep-alive'              // Keep this HTTP connection open indefinitely
-  });
-  res.flushHeaders();  // Send headers immediately so browser can start listening
+  const { from, to, limit, nextToken, includeDeleted } = req.query;
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return res.status(400).json({ error: 'from and to must be ISO 8601 dates' });
+  }
 
-  // CREATE UNIQUE LISTENER: Each browser connection gets its own personal "radio receiver"
-  // This function will be called every time the background worker has new strain data
-  const send = ({ userId, data }) => {
-    // FILTER: Only forward data meant for THIS specific browser's user
-    // (Like having your name called over the intercom - ignore if it's not for you)
-    if (userId === req.user.userId) {
-      // DELIVER: Send the data through this browser's open connection in SSE format
-      res.write('data:' + JSON.stringify(data) + '\n\n');
-    }
-  };
+  try {
+    const page = timeseries.query(kind, req.athleteId, {
+      from,
+      to,
+      limit,
+      nextToken,
+      includeDeleted: includeDeleted === 'true'
+    });
+    res.json(page);
+  } catch (error) {
+    console.error('Error reading history:', error);
+    res.status(500).json({ error: 'Failed to read history' });
+  }
+});
 
-  // REGISTER LISTENER: Add this browser's personal "send" function to the global broadcaster
-  // Now when strainEmitter.emit() happens, this function will be called along with all others
-  strainEmitter.on('strain', send);
-  
-  // CLEANUP: When browser disconnects (tab closed, navigate away, etc.), remove the dead listener
-  // Prevents memory leaks. 
-  req.on('close', () => strainEmitter.off('strain', send));
+// Personal baselines and latest deviation (z-score) for every metric
+app.get('/baselines', auditAccess('baselines.read'), requireAthleteAccess('readiness:read'), (req, res) => {
+  res.json({
+    windowDays: baselines.BASELINE_WINDOW_DAYS,
+    minSamples: baselines.BASELINE_MIN_SAMPLES,
+    metrics: Object.fromEntries(
+      Object.entries(baselines.getBaselines(req.athleteId))
+        .filter(([metric]) => req.sharedDataTypes.includes(consent.METRIC_DATA_TYPES[metric]))
+    )
+  });
 });
 
-// Query current polling state 
-app.get('/settings/strain-polling', async (req, res) => {
-  if (!req.user || !req.user.isAuthenticated) {
-    return res.status(401).json({ error: 'Not authenticated' });
+// Daily deviation series for one metric
+app.get('/baselines/:metric', auditAccess('baselines.read'), requireAthleteAccess('readiness:read', undefined, (req) => consent.METRIC_DATA_TYPES[req.params.metric]), (req, res) => {
+  if (!baselines.METRICS.includes(req.params.metric)) {
+    return res.status(404).json({ error: `Unknown metric: ${req.params.metric}` });
   }
-  const tokenData = await tokenStorage.get(req.user.userId);
-  const enabled = !!tokenData?.strainPollingEnabled;
-  res.json({ enabled });
+  const days = Math.min(parseInt(req.query.days, 10) || 14, 365);
+  res.json({
+    metric: req.params.metric,
+    days: baselines.dailyDeviations(req.athleteId, req.params.metric, days)
+  });
+});
+
+// Alert rules
+app.get('/alerts/rules', requireAdmin, (req, res) => {
+  res.json({ rules: alerts.listRules() });
 });
 
-// Enable / disable polling
-app.post('/settings/strain-polling', async (req, res) => {
-  if (!req.user || !req.user.isAuthenticated) {
-    return res.status(401).json({ error: 'Not authenticated' });
+app.post('/alerts/rules', requireAdmin, async (req, res) => {
+  try {
+    const rule = await alerts.createRule(req.body || {}, req.user.userId);
+    res.status(201).json(rule);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error creating alert rule:', error);
+    res.status(500).json({ error: 'Failed to create alert rule' });
   }
-  const { enabled } = req.body;
-  if (typeof enabled !== 'boolean') {
-    return res.status(400).json({ error: 'enabled boolean required' });
+});
+
+app.put('/alerts/rules/:id', requireAdmin, async (req, res) => {
+  try {
+    const rule = await alerts.updateRule(req.params.id, req.body || {});
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json(rule);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating alert rule:', error);
+    res.status(500).json({ error: 'Failed to update alert rule' });
   }
-  const newState = enabled;
-  
-  // Get existing token data and update strain polling setting
-  const existingTokens = await tokenStorage.getRaw(req.user.userId);
-  if (!existingTokens) {
-    return res.status(401).json({ error: 'No tokens found - please re-authenticate' });
+});
+
+app.delete('/alerts/rules/:id', requireAdmin, async (req, res) => {
+  const deleted = await alerts.deleteRule(req.params.id);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Rule not found' });
   }
-  
-  await tokenStorage.set(req.user.userId, {
-    ...existingTokens,
-    strainPollingEnabled: newState
-  });
+  res.status(204).end();
+});
 
-  // Update per-user background worker
-  if (newState) {
-    strainManager.startUserPolling(req.user.userId);
-  } else {
-    strainManager.stopUserPolling(req.user.userId);
+// Alerts for the logged-in athlete or ?athleteId= (?status=active|acknowledged|resolved|open)
+app.get('/alerts', auditAccess('alerts.read'), requireAthleteAccess('readiness:read'), (req, res) => {
+  const visible = alerts.listAlerts({ userId: req.athleteId, status: req.query.status })
+    .filter((alert) => req.sharedDataTypes.includes(consent.dataTypeForAlert(alert)));
+  res.json({ alerts: visible });
+});
+
+// Alerts can be handled by the athlete or by staff with alerts:manage on their team
+function requireAlertAccess(req, res, next) {
+  const alert = alerts.getAlert(req.params.id);
+  if (alert && !permissions.can(req.user, 'alerts:manage', alert.userId, consent.dataTypeForAlert(alert))) {
+    return res.status(403).json({ error: 'Not permitted for this athlete' });
   }
+  next();
+}
 
-  res.json({ enabled: newState });
+app.post('/alerts/:id/acknowledge', requireAuth, requireAlertAccess, async (req, res) => {
+  const alert = await alerts.acknowledgeAlert(req.params.id, req.user.userId);
+  if (!alert) {
+    return res.status(404).json({ error: 'No active alert with this ID' });
+  }
+  res.json(alert);
 });
 
-// Remove session and delete tokens
-app.get('/disconnect', async (req, res) => {
-  if (!req.user || !req.user.isAuthenticated) {
-    return res.status(401).json({ error: 'Not authenticated' });
+app.post('/alerts/:id/resolve', requireAuth, requireAlertAccess, async (req, res) => {
+  const alert = await alerts.resolveAlert(req.params.id, req.user.userId, req.body?.note);
+  if (!alert) {
+    return res.status(404).json({ error: 'No open alert with this ID' });
   }
+  res.json(alert);
+});
+
+// Notification recipients (email / outgoing webhook preferences)
+app.get('/notifications/recipients', requireAdmin, (req, res) => {
+  res.json({ recipients: notifications.listRecipients() });
+});
 
+app.post('/notifications/recipients', requireAdmin, async (req, res) => {
   try {
-    // Stop background polling job first to avoid race conditions
-    strainManager.stopUserPolling(req.user.userId);
+    const recipient = await notifications.createRecipient(req.body || {}, req.user.userId);
+    res.status(201).json(recipient);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error creating notification recipient:', error);
+    res.status(500).json({ error: 'Failed to create recipient' });
+  }
+});
+
+app.put('/notifications/recipients/:id', requireAdmin, async (req, res) => {
+  try {
+    const recipient = await notifications.updateRecipient(req.params.id, req.body || {});
+    if (!recipient) {
+      return res.status(404).json({ error: 'Recipient not found' });
+    }
+    res.json(recipient);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating notification recipient:', error);
+    res.status(500).json({ error: 'Failed to update recipient' });
+  }
+});
+
+app.delete('/notifications/recipients/:id', requireAdmin, async (req, res) => {
+  const deleted = await notifications.deleteRecipient(req.params.id);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Recipient not found' });
+  }
+  res.status(204).end();
+});
+
+// Send a test message to a recipient on all of their channels
+app.post('/notifications/recipients/:id/test', requireAdmin, async (req, res) => {
+  const results = await notifications.sendTest(req.params.id);
+  if (!results) {
+    return res.status(404).json({ error: 'Recipient not found' });
+  }
+  res.json({ results });
+});
+
+// Delivery log (?status=pending|sent|failed)
+app.get('/notifications/deliveries', requireAdmin, (req, res) => {
+  res.json({ deliveries: notifications.listDeliveries({ status: req.query.status }) });
+});
+
+// Return-to-play protocol stages and their exertion limits
+app.get('/rtp/stages', requireAuth, (req, res) => {
+  res.json({ stages: returnToPlay.STAGES });
+});
+
+// Injury episodes (?userId=&status=open|closed). Return-to-play status counts
+// as symptom data for consent. Staff without medical:read (coaches) only see
+// the stage, not injury details or clinical notes.
+function episodeFor(user, episode) {
+  return permissions.can(user, 'medical:read', episode.userId) ? episode : returnToPlay.summarizeEpisode(episode);
+}
+
+app.get('/rtp/episodes', auditAccess('rtp.read'), requireAthleteAccess('readiness:read', (req) => req.query.userId, () => 'symptoms'), (req, res) => {
+  const episodes = returnToPlay.listEpisodes({ userId: req.athleteId, status: req.query.status });
+  res.json({ episodes: episodes.map((episode) => episodeFor(req.user, episode)) });
+});
+
+// Loads the episode named in the route and checks the permission for its athlete
+function requireEpisodeAccess(permission) {
+  return (req, res, next) => {
+    const episode = returnToPlay.getEpisode(req.params.id);
+    if (!episode) {
+      return res.status(404).json({ error: 'Episode not found' });
+    }
+    req.athleteId = episode.userId;
+    if (!permissions.can(req.user, permission, episode.userId, 'symptoms')) {
+      return res.status(403).json({ error: 'Not permitted for this athlete' });
+    }
+    next();
+  };
+}
+
+app.get('/rtp/episodes/:id', auditAccess('rtp.read'), requireAuth, requireEpisodeAccess('readiness:read'), (req, res) => {
+  const episode = returnToPlay.getEpisode(req.params.id);
+  res.json({
+    ...episodeFor(req.user, episode),
+    currentLimits: returnToPlay.stageLimits(episode, episode.currentStage)
+  });
+});
+
+// Open an injury episode (athlete starts at stage 1)
+app.post('/rtp/episodes', requireAthleteAccess('rtp:manage', (req) => req.body?.userId, () => 'symptoms'), async (req, res) => {
+  try {
+    const episode = await returnToPlay.openEpisode(req.body || {}, req.user.userId);
+    res.status(201).json(episode);
+  } catch (error) {
+    if (error.status === 400 || error.status === 409) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error opening injury episode:', error);
+    res.status(500).json({ error: 'Failed to open injury episode' });
+  }
+});
+
+// Sign off the current stage and move to another one ({ stage, notes })
+app.post('/rtp/episodes/:id/stage', requireAuth, requireEpisodeAccess('rtp:manage'), async (req, res) => {
+  const { stage, notes } = req.body || {};
+
+  try {
+    const episode = await returnToPlay.changeStage(req.params.id, stage, req.user.userId, notes);
+    if (!episode) {
+      return res.status(404).json({ error: 'Episode not found' });
+    }
+    res.json(episode);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error changing return-to-play stage:', error);
+    res.status(500).json({ error: 'Failed to change stage' });
+  }
+});
+
+app.post('/rtp/episodes/:id/close', requireAuth, requireEpisodeAccess('rtp:manage'), async (req, res) => {
+  const episode = await returnToPlay.closeEpisode(req.params.id, req.user.userId, req.body?.notes);
+  if (!episode) {
+    return res.status(404).json({ error: 'No open episode with this ID' });
+  }
+  res.json(episode);
+});
+
+// Start a historical backfill for the logged-in user (runs in the background)
+app.post('/backfill', auditAccess('backfill.start'), requireAuth, (req, res) => {
+  const { start, end, types } = req.body || {};
+  if ((start && isNaN(Date.parse(start))) || (end && isNaN(Date.parse(end)))) {
+    return res.status(400).json({ error: 'start and end must be ISO 8601 dates' });
+  }
+  const kinds = types || COLLECTION_KINDS;
+  if (!Array.isArray(kinds) || kinds.some((kind) => !COLLECTION_KINDS.includes(kind))) {
+    return res.status(400).json({ error: `types must be an array of: ${COLLECTION_KINDS.join(', ')}` });
+  }
+  if (getBackfillStatus(req.user.userId)?.status === 'running') {
+    return res.status(409).json({ error: 'Backfill already running' });
+  }
+
+  backfillUser(req.user.userId, { start, end, kinds }).catch(() => {
+    // Failure is recorded in the run status
+  });
+  res.status(202).json(getBackfillStatus(req.user.userId));
+});
+
+// Status of the latest backfill for the logged-in user
+app.get('/backfill/status', requireAuth, (req, res) => {
+  res.json(getBackfillStatus(req.user.userId) || { status: 'never_run' });
+});
+
+// SSE endpoint for live strain updates on front-end
+app.get('/events/strain', auditAccess('strain.stream', { stream: true }), requireAuth, (req, res) => {
+  // SETUP PHASE: Convert this HTTP response into a persistent streaming connection
+  // Think of this like "tuning into a radio station" - we're setting up to receive broadcasts
+  res.set({
+    'Cache-Control': 'no-cache',
+    'Content-Type': 'text/event-stream',  // Tell browser: "This is a live data stream, not a regular webpage"
+    Connection: 'keep-alive'              // Keep this HTTP connection open indefinitely
+  });
+  res.flushHeaders();  // Send headers immediately so browser can start listening
+
+  // CREATE UNIQUE LISTENER: Each browser connection gets its own personal "radio receiver"
+  // This function will be called every time the background worker has new strain data
+  const send = ({ userId, data }) => {
+    // FILTER: Only forward data meant for THIS specific browser's user
+    // (Like having your name called over the intercom - ignore if it's not for you)
+    if (userId === req.user.userId) {
+      // DELIVER: Send the data through this browser's open connection in SSE format
+      res.write('data:' + JSON.stringify(data) + '\n\n');
+    }
+  };
+
+  // REGISTER LISTENER: Add this browser's personal "send" function to the global broadcaster
+  // Now when strainEmitter.emit() happens, this function will be called along with all others
+  strainEmitter.on('strain', send);
+
+  // Alerts for this user go out as named "alert" events
+  const sendAlert = ({ userId, data }) => {
+    if (userId === req.user.userId) {
+      res.write('event: alert\ndata:' + JSON.stringify(data) + '\n\n');
+    }
+  };
+  strainEmitter.on('alert', sendAlert);
+  
+  // CLEANUP: When browser disconnects (tab closed, navigate away, etc.), remove the dead listener
+  // Prevents memory leaks. 
+  req.on('close', () => {
+    strainEmitter.off('strain', send);
+    strainEmitter.off('alert', sendAlert);
+  });
+});
+
+// Polling job settings as shown to the user
+async function pollingSettings(userId, job) {
+  const { minutes, source } = await pollingJobs.intervalFor(userId, job);
+  return {
+    enabled: !!job?.enabled,
+    intervalMinutes: job?.intervalMinutes ?? null,
+    effectiveIntervalMinutes: minutes,
+    intervalSource: source,
+    nextRunAt: job?.enabled ? job.nextRunAt : null,
+    lastRunAt: job?.lastRunAt ?? null,
+    lastStatus: job?.lastStatus ?? null
+  };
+}
+
+// Query current polling state 
+app.get('/settings/strain-polling', auditAccess('settings.read'), requireAuth, async (req, res) => {
+  res.json(await pollingSettings(req.user.userId, await pollingJobs.getJob(req.user.userId)));
+});
+
+// Enable / disable polling ({ enabled, intervalMinutes }; intervalMinutes null
+// goes back to the team or default interval)
+app.post('/settings/strain-polling', auditAccess('settings.update'), requireAuth, async (req, res) => {
+  const { enabled, intervalMinutes } = req.body || {};
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled boolean required' });
+  }
+  
+  const existingTokens = await tokenStorage.getRaw(req.user.userId);
+  if (!existingTokens) {
+    return res.status(401).json({ error: 'No tokens found - please re-authenticate' });
+  }
+
+  try {
+    // Update the persisted polling job
+    const job = enabled
+      ? await strainManager.startUserPolling(req.user.userId, { intervalMinutes })
+      : await strainManager.stopUserPolling(req.user.userId);
+    res.json(await pollingSettings(req.user.userId, job));
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating strain polling:', error);
+    res.status(500).json({ error: 'Failed to update strain polling' });
+  }
+});
+
+// Remove session and delete tokens
+app.get('/disconnect', auditAccess('account.disconnect'), requireAuth, async (req, res) => {
+  try {
+    // Remove the background polling job first to avoid race conditions
+    await pollingJobs.removeJob(req.user.userId);
 
     // Revoke access token with WHOOP to stop webhook delivery
     // This tells WHOOP "this user is no longer using the app" so webhooks stop
@@ -749,51 +1413,549 @@ app.get('/disconnect', async (req, res) => {
   }
 });
 
+// The logged-in user's admin flag and team roles
+app.get('/me', requireAuth, async (req, res) => {
+  const tokenData = await tokenStorage.getRaw(req.user.userId);
+  res.json({
+    userId: req.user.userId,
+    isAdmin: permissions.isAdmin(req.user),
+    whoopConnection: {
+      connected: !!tokenData && !tokenData.needsReauth,
+      needsReauth: !!tokenData?.needsReauth,
+      expiresAt: tokenData?.expiresAt ? new Date(tokenData.expiresAt).toISOString() : null,
+      refreshFailedAt: tokenData?.refreshFailedAt || null
+    },
+    teams: organizations.membershipsFor(req.user.userId).map(({ teamId, role, team }) => ({
+      teamId,
+      orgId: team?.orgId,
+      name: team?.name,
+      role,
+      permissions: permissions.ROLE_PERMISSIONS[role]
+    }))
+  });
+});
+
+// Organizations (admins see all of them, everyone else the ones they belong to)
+app.get('/organizations', requireAuth, (req, res) => {
+  const ids = permissions.isAdmin(req.user)
+    ? undefined
+    : organizations.membershipsFor(req.user.userId).map((membership) => membership.team?.orgId);
+  res.json({ organizations: organizations.listOrganizations({ ids }) });
+});
+
+app.post('/organizations', requireAdmin, async (req, res) => {
+  try {
+    const organization = await organizations.createOrganization(req.body || {}, req.user.userId);
+    res.status(201).json(organization);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error creating organization:', error);
+    res.status(500).json({ error: 'Failed to create organization' });
+  }
+});
+
+app.post('/organizations/:orgId/teams', requireAdmin, async (req, res) => {
+  try {
+    const team = await organizations.createTeam(req.params.orgId, req.body || {}, req.user.userId);
+    if (!team) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    res.status(201).json(team);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error creating team:', error);
+    res.status(500).json({ error: 'Failed to create team' });
+  }
+});
+
+// Team roster (visible to the team's staff)
+app.get('/teams/:teamId/members', requireTeamPermission('readiness:read'), (req, res) => {
+  const team = organizations.getTeam(req.params.teamId);
+  if (!team) {
+    return res.status(404).json({ error: 'Team not found' });
+  }
+  res.json({ team, members: organizations.listMembers(team.id) });
+});
+
+// Add staff to the roster or change a member's role ({ role }), for admins.
+// Athletes only join through an invite link (POST /teams/:teamId/invites),
+// which records their consent, so nobody is put on a roster behind their back.
+app.put('/teams/:teamId/members/:userId', requireAdmin, async (req, res) => {
+  const { role } = req.body || {};
+  const existing = organizations.listMembers(req.params.teamId).find((member) => member.userId === req.params.userId);
+  if (role === 'athlete' && !existing) {
+    return res.status(403).json({ error: 'Athletes join a team through an invite link' });
+  }
+
+  try {
+    const membership = await organizations.addMember(req.params.teamId, { userId: req.params.userId, role }, req.user.userId);
+    if (!membership) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    res.json(membership);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating team member:', error);
+    res.status(500).json({ error: 'Failed to update team member' });
+  }
+});
+
+// How often the team's athletes are polled for strain (athletes who set their
+// own interval keep it)
+app.get('/teams/:teamId/polling', requireTeamPermission('roster:manage'), async (req, res) => {
+  if (!organizations.getTeam(req.params.teamId)) {
+    return res.status(404).json({ error: 'Team not found' });
+  }
+  res.json({
+    intervalMinutes: await pollingJobs.getTeamInterval(req.params.teamId),
+    defaultIntervalMinutes: pollingJobs.POLL_INTERVAL_MINUTES
+  });
+});
+
+// Set the team's polling interval ({ intervalMinutes }, null for the default)
+app.put('/teams/:teamId/polling', requireTeamPermission('roster:manage'), async (req, res) => {
+  if (!organizations.getTeam(req.params.teamId)) {
+    return res.status(404).json({ error: 'Team not found' });
+  }
+  try {
+    const intervalMinutes = await pollingJobs.setTeamInterval(req.params.teamId, req.body?.intervalMinutes ?? null);
+    res.json({ intervalMinutes, defaultIntervalMinutes: pollingJobs.POLL_INTERVAL_MINUTES });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error setting team polling interval:', error);
+    res.status(500).json({ error: 'Failed to set team polling interval' });
+  }
+});
+
+app.delete('/teams/:teamId/members/:userId', requireTeamPermission('roster:manage'), async (req, res) => {
+  const existing = organizations.listMembers(req.params.teamId).find((member) => member.userId === req.params.userId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Not a member of this team' });
+  }
+  if (!permissions.isAdmin(req.user) && existing.role !== 'athlete') {
+    return res.status(403).json({ error: 'Only admins can remove staff' });
+  }
+  await organizations.removeMember(req.params.teamId, req.params.userId);
+  res.status(204).end();
+});
+
+// Consent page: the athlete chooses what each of their teams, and the data
+// export, may receive
+app.get('/consent', requireLogin, (req, res) => {
+  const audiences = [
+    { audience: 'export', teamId: '', label: 'Data export (research / analytics platform)' },
+    ...organizations.membershipsFor(req.user.userId)
+      .filter((membership) => membership.role === 'athlete' && membership.team)
+      .map(({ team }) => ({ audience: 'team', teamId: team.id, label: `Staff of ${team.name}` }))
+  ];
+
+  const sections = audiences.map(({ audience, teamId, label }) => {
+    const shared = consent.sharedDataTypes(req.user.userId, audience, teamId || null);
+    return `
+            <form class="audience" onsubmit="saveConsent(event, '${audience}', '${teamId}')">
+              <h3>${escapeHtml(label)}</h3>
+              ${Object.entries(consent.DATA_TYPES).map(([type, typeLabel]) => `
+              <label><input type="checkbox" name="${type}" ${shared.includes(type) ? 'checked' : ''}> ${typeLabel}</label><br>`).join('')}
+              <button type="submit" class="button">Save</button>
+            </form>`;
+  }).join('');
+
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Data Sharing</title>
+      <style>
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+          max-width: 800px;
+          margin: 0 auto;
+          padding: 20px;
+          background-color: #f5f5f5;
+        }
+        .container {
+          background-color: white;
+          padding: 30px;
+          border-radius: 10px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        }
+        .audience {
+          padding: 10px 0;
+          border-bottom: 1px solid #eee;
+        }
+        .button {
+          display: inline-block;
+          padding: 10px 20px;
+          margin: 10px 5px 10px 0;
+          background-color: #007bff;
+          color: white;
+          text-decoration: none;
+          border-radius: 5px;
+          border: none;
+          cursor: pointer;
+        }
+        .history-entry {
+          padding: 5px 0;
+          color: #666;
+        }
+      </style>
+      <script>
+        async function saveConsent(event, audience, teamId) {
+          event.preventDefault();
+          var form = event.target;
+          var dataTypes = Array.from(form.querySelectorAll('input[type=checkbox]'))
+            .filter(function (input) { return input.checked; })
+            .map(function (input) { return input.name; });
+
+          try {
+            var response = await fetch('/consents', {
+              method: 'PUT',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ audience: audience, teamId: teamId || undefined, dataTypes: dataTypes })
+            });
+            var data = await response.json();
+            document.getElementById('result').textContent = response.ok ? 'Saved.' : 'Error: ' + data.error;
+            loadHistory();
+          } catch (err) {
+            document.getElementById('result').textContent = 'Error saving: ' + err.message;
+          }
+        }
+
+        async function loadHistory() {
+          var response = await fetch('/consents');
+          var data = await response.json();
+          document.getElementById('history').innerHTML = data.history.map(function (entry) {
+            var changes = [];
+            if (entry.added.length) changes.push('shared ' + entry.added.join(', '));
+            if (entry.removed.length) changes.push('stopped sharing ' + entry.removed.join(', '));
+            return '<div class="history-entry">' + new Date(entry.at).toLocaleString() + ': ' +
+              (entry.audience === 'export' ? 'data export' : 'team') + ' - ' + changes.join('; ') + '</div>';
+          }).join('') || '<div class="history-entry">No changes yet</div>';
+        }
+
+        document.addEventListener('DOMContentLoaded', loadHistory);
+      </script>
+    </head>
+    <body>
+      <div class="container">
+        <h1>Data Sharing</h1>
+        <p>Choose what each audience may see. Changes take effect immediately; data you stop sharing is no longer shown to staff or sent to the export.</p>
+        ${sections}
+        <div id="result"></div>
+        <h2>History</h2>
+        <div id="history"></div>
+        <p><a href="/">Back to dashboard</a></p>
+      </div>
+    </body>
+    </html>
+  `);
+});
+
+// Consents and their audit trail (the logged-in athlete's, or ?athleteId= for staff)
+app.get('/consents', auditAccess('consents.read'), requireAthleteAccess('readiness:read'), (req, res) => {
+  res.json({
+    dataTypes: consent.DATA_TYPES,
+    consents: consent.listConsents(req.athleteId),
+    history: consent.consentHistory(req.athleteId)
+  });
+});
+
+// Set what the logged-in athlete shares with one audience
+// ({ audience: "team" | "export", teamId, dataTypes: [...] }; [] revokes)
+app.put('/consents', auditAccess('consents.update'), requireAuth, async (req, res) => {
+  const { audience, teamId, dataTypes } = req.body || {};
+  const granting = Array.isArray(dataTypes) && dataTypes.length > 0;
+  if (audience === 'team' && granting && !organizations.athleteTeamIds(req.user.userId).includes(teamId)) {
+    return res.status(400).json({ error: 'You can only share data with teams you are on' });
+  }
+
+  try {
+    const updated = await consent.setConsent(req.user.userId, { audience, teamId, dataTypes }, { actorId: req.user.userId });
+    res.json({ consent: updated });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating consent:', error);
+    res.status(500).json({ error: 'Failed to update consent' });
+  }
+});
+
+app.delete('/consents/:id', auditAccess('consents.revoke'), requireAuth, async (req, res) => {
+  const revoked = await consent.revokeConsent(req.user.userId, req.params.id, req.user.userId);
+  if (!revoked) {
+    return res.status(404).json({ error: 'No active consent with this ID' });
+  }
+  res.status(204).end();
+});
+
+// Audit log of access to athlete data, newest first (?actorId=&subjectId=&action=&from=&to=&limit=&nextToken=).
+// Athletes see who accessed their own data; admins can query everything.
+app.get('/audit', requireAuth, (req, res) => {
+  const { actorId, action, from, to, limit, nextToken } = req.query;
+  const subjectId = permissions.isAdmin(req.user) ? req.query.subjectId : req.user.userId;
+  if (req.query.subjectId && String(req.query.subjectId) !== String(subjectId)) {
+    return res.status(403).json({ error: 'Not permitted for this athlete' });
+  }
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return res.status(400).json({ error: 'from and to must be ISO 8601 dates' });
+  }
+  res.json(auditLog.query({ actorId, subjectId, action, from, to, limit, nextToken }));
+});
+
+// Checks the audit log's hash chain
+app.get('/audit/verify', requireAdmin, async (req, res) => {
+  try {
+    res.json(await auditLog.verify());
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    res.status(500).json({ error: 'Failed to verify audit log' });
+  }
+});
+
+// Invite links. Staff create them per team; the link is shown only once.
+app.post('/teams/:teamId/invites', requireTeamPermission('roster:manage'), async (req, res) => {
+  try {
+    const created = await invites.createInvite(req.params.teamId, req.body || {}, req.user.userId);
+    if (!created) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    res.status(201).json({ ...created.invite, url: `${APP_BASE_URL}/invite/${created.token}` });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error creating invite:', error);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+app.get('/teams/:teamId/invites', requireTeamPermission('roster:manage'), (req, res) => {
+  res.json({ invites: invites.listInvites(req.params.teamId) });
+});
+
+app.delete('/teams/:teamId/invites/:id', requireTeamPermission('roster:manage'), async (req, res) => {
+  const invite = await invites.revokeInvite(req.params.teamId, req.params.id);
+  if (!invite) {
+    return res.status(404).json({ error: 'No pending invite with this ID' });
+  }
+  res.json(invite);
+});
+
+// Invite landing page: explains what the team will see and asks for consent
+// before sending the athlete through the WHOOP OAuth flow
+app.get('/invite/:token', (req, res) => {
+  const found = invites.findValidInvite(req.params.token);
+  const organization = found && organizations.getOrganization(found.team.orgId);
+
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Join a team</title>
+      <style>
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+          max-width: 800px;
+          margin: 0 auto;
+          padding: 20px;
+          background-color: #f5f5f5;
+        }
+        .container {
+          background-color: white;
+          padding: 30px;
+          border-radius: 10px;
+          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        }
+        .button {
+          display: inline-block;
+          padding: 10px 20px;
+          margin: 10px 5px 10px 0;
+          background-color: #007bff;
+          color: white;
+          text-decoration: none;
+          border-radius: 5px;
+          border: none;
+          cursor: pointer;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        ${
+          found
+            ? `
+              <h1>Join ${escapeHtml(found.team.name)}</h1>
+              <p>${escapeHtml(organization?.name || '')} has invited you to connect your WHOOP account to ${escapeHtml(found.team.name)}.</p>
+              <p>If you accept, the team's staff will be able to see:</p>
+              <ul>
+                <li>Coaches: your strain, recovery, sleep, baselines, alerts and return-to-play stage</li>
+                <li>Athletic trainers and physicians: the above, plus your symptom check-ins and injury notes</li>
+              </ul>
+              <form method="GET" action="/invite/${encodeURIComponent(req.params.token)}/accept">
+                <p>Choose what to share with ${escapeHtml(found.team.name)} (you can change this later on the Data Sharing page):</p>
+                ${Object.entries(consent.DATA_TYPES).map(([dataType, label]) => `
+                  <label><input type="checkbox" name="dataTypes" value="${dataType}"> ${escapeHtml(label)}</label><br>
+                `).join('')}
+                <br>
+                <label><input type="checkbox" name="consent" value="yes" required> I agree to share the data I ticked with ${escapeHtml(found.team.name)}</label>
+                <br>
+                <button type="submit" class="button">Connect WHOOP and join</button>
+              </form>
+              <p>This link expires ${new Date(found.invite.expiresAt).toUTCString()}.</p>
+              `
+            : `
+              <h1>Invite not valid</h1>
+              <p>This invite link has already been used, was revoked or has expired. Ask your team staff for a new one.</p>
+              `
+        }
+      </div>
+    </body>
+    </html>
+  `);
+});
+
+// Remember the invite and the data types the athlete agreed to share in the
+// session; getUser redeems it once WHOOP sends the athlete back to /callback
+app.get('/invite/:token/accept', (req, res) => {
+  if (!invites.findValidInvite(req.params.token)) {
+    return res.redirect(`/invite/${encodeURIComponent(req.params.token)}`);
+  }
+  if (req.query.consent !== 'yes') {
+    return res.status(400).send('Consent is required to join the team');
+  }
+  let dataTypes;
+  try {
+    dataTypes = invites.validateDataTypes([].concat(req.query.dataTypes || []));
+  } catch (error) {
+    return res.status(400).send('Choose at least one kind of data to share with the team');
+  }
+
+  req.session.invite = { token: req.params.token, dataTypes, consentedAt: new Date().toISOString() };
+  req.session.save(() => res.redirect('/auth/whoop'));
+});
+
+// Webhook event log / queue (?status=pending|processing|done|failed&type=&userId=&limit=)
+app.get('/webhooks/events', requireAdmin, (req, res) => {
+  const { status, type, userId, limit } = req.query;
+  if (status && !webhookEvents.STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${webhookEvents.STATUSES.join(', ')}` });
+  }
+  res.json({
+    counts: webhookEvents.countByStatus(),
+    events: webhookEvents.listEvents({ status, type, userId, limit })
+  });
+});
+
+// Webhook event types with a registered handler
+app.get('/webhooks/handlers', requireAdmin, (req, res) => {
+  res.json({ handlers: webhookHandlers.listHandlers() });
+});
+
+app.get('/webhooks/events/:id', requireAdmin, (req, res) => {
+  const event = webhookEvents.getEvent(req.params.id);
+  if (!event) {
+    return res.status(404).json({ error: 'Webhook event not found' });
+  }
+  res.json(event);
+});
+
+// Queue a stored event again (e.g. after fixing whatever made it fail)
+app.post('/webhooks/events/:id/replay', requireAdmin, async (req, res) => {
+  try {
+    const event = await webhookEvents.replayEvent(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Webhook event not found' });
+    }
+    webhookQueue.kick();
+    res.status(202).json(event);
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error replaying webhook event:', error);
+    res.status(500).json({ error: 'Failed to replay webhook event' });
+  }
+});
+
+// WHOOP API client counters (calls, retries, throttles), queue depth and rate-limit headroom
+app.get('/whoop/stats', requireAdmin, (req, res) => {
+  res.json(scheduler.getStats());
+});
+
+// Data sink status (pending / dead-lettered records per sink)
+app.get('/sinks', requireAdmin, (req, res) => {
+  res.json({ sinks: getSinkStatus() });
+});
+
+// Dead letters for a sink that delivers through an outbox (foundry, postgres)
+app.get('/sinks/:name/dead-letters', auditAccess('export.dead_letters.read'), requireAdmin, (req, res) => {
+  const sink = getSink(req.params.name);
+  if (!sink || !sink.outbox) {
+    return res.status(404).json({ error: 'No outbox for this sink' });
+  }
+  res.json({ deadLetters: sink.outbox.listDeadLetters() });
+});
+
+// Requeue dead-lettered records (all of them, or only the given entry IDs)
+app.post('/sinks/:name/dead-letters/resend', auditAccess('export.dead_letters.resend'), requireAdmin, async (req, res) => {
+  const sink = getSink(req.params.name);
+  if (!sink || !sink.outbox) {
+    return res.status(404).json({ error: 'No outbox for this sink' });
+  }
+  const { ids } = req.body || {};
+  if (ids !== undefined && !Array.isArray(ids)) {
+    return res.status(400).json({ error: 'ids must be an array' });
+  }
+
+  try {
+    const requeued = await sink.outbox.resendDeadLetters(ids);
+    res.json({ requeued });
+  } catch (error) {
+    console.error('Error resending dead letters:', error);
+    res.status(500).json({ error: 'Failed to resend dead letters' });
+  }
+});
+
+// Strain polling jobs for every user, soonest first (admins)
+app.get('/polling/jobs', requireAdmin, async (req, res) => {
+  res.json(await pollingJobs.listJobs());
+});
+
 // Start server
 let strainPollerInterval;
 
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
   console.log('Visit the URL to start the OAuth flow');
+
+  // Deliver queued alert notifications (including any left from before a restart)
+  notifications.start();
+
+  // Process queued webhook events (including any left from before a restart)
+  webhookQueue.start();
+
+  // Refresh WHOOP tokens shortly before they expire
+  tokenRefresher.start();
   
-  // Initialize strain poller after server is ready
+  // Relay strain and alert events from the instances that poll to browsers connected here
+  strainManager.strainBridge.start();
+  alertBridge.start();
+  alertUpdateBridge.start();
+
+  // Run persisted strain polling jobs (catching up on any missed while the server was down)
   if (process.env.ENABLE_STRAIN_WORKER === 'true') {
-    // Bootstrap per-user polling for users who had it enabled
-    (async () => {
-      console.log('🔍 Starting bootstrap process...');
-      console.log('ENABLE_STRAIN_WORKER:', process.env.ENABLE_STRAIN_WORKER);
-      
-      const allTokens = await tokenStorage.getAll();
-      console.log(`📁 Found ${Object.keys(allTokens).length} total tokens in storage`);
-      
-      const enabledUsers = [];
-      for (const [uid, enc] of Object.entries(allTokens)) {
-        try {
-          console.log(`🔓 Attempting to get token for user ${uid}`);
-          // Use tokenStorage.get() instead of direct decryption to handle refresh
-          const tokenData = await tokenStorage.get(uid);
-          
-          if (tokenData) {
-            console.log(`✅ Successfully got token for user ${uid}`);
-            console.log(`⚙️  strainPollingEnabled: ${tokenData.strainPollingEnabled}`);
-            console.log(`🕒 Token expires at: ${new Date(tokenData.expiresAt).toISOString()}`);
-            
-            if (tokenData.strainPollingEnabled) {
-              enabledUsers.push(uid);
-              console.log(`✨ Added user ${uid} to enabled users list`);
-            }
-          } else {
-            console.log(`❌ No valid token found for user ${uid}`);
-          }
-        } catch (error) {
-          console.error(`❌ Failed to get token for user ${uid}:`, error.message);
-        }
-      }
-      strainManager.bootstrap(enabledUsers);
-      console.log(`🚀 Strain polling commenced for ${enabledUsers.length} users`);
-    })();
+    strainManager.start();
   } else {
-    console.log('⚠️  ENABLE_STRAIN_WORKER is not "true", skipping bootstrap');
+    console.log('⚠️  ENABLE_STRAIN_WORKER is not "true", skipping strain polling jobs');
     console.log('Current value:', process.env.ENABLE_STRAIN_WORKER);
   }
 });
@@ -0,0 +1,50 @@
+require('dotenv').config({ path: '../.env' });
+const { parseArgs } = require('util');
+const tokenStorage = require('../utils/tokenStorage');
+const { drainSinks } = require('../utils/sinks');
+const { backfillUser, COLLECTION_KINDS } = require('../worker/backfill');
+
+const USAGE = `Usage: node scripts/backfill.js (--user <whoopUserId> | --all) [--start <ISO date>] [--end <ISO date>] [--types cycle,recovery,sleep,workout]`;
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      user: { type: 'string', multiple: true },
+      all: { type: 'boolean', default: false },
+      start: { type: 'string' },
+      end: { type: 'string' },
+      types: { type: 'string' }
+    }
+  });
+
+  const kinds = values.types ? values.types.split(',').map((kind) => kind.trim()) : COLLECTION_KINDS;
+  const unknownKinds = kinds.filter((kind) => !COLLECTION_KINDS.includes(kind));
+  if (unknownKinds.length > 0 || (!values.all && !values.user)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const userIds = values.all ? Object.keys(await tokenStorage.getAll()) : values.user;
+  let failed = 0;
+
+  for (const userId of userIds) {
+    try {
+      const run = await backfillUser(userId, { start: values.start, end: values.end, kinds });
+      console.log(JSON.stringify(run, null, 2));
+    } catch (error) {
+      failed += 1;
+    }
+  }
+
+  // Make sure queued records reach the sinks before the process exits
+  if (!(await drainSinks())) {
+    console.error('Some records are still pending in the outbox; they will be delivered on the next app start');
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('Backfill failed:', error);
+  process.exit(1);
+});
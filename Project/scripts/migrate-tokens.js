@@ -0,0 +1,32 @@
+require('dotenv').config({ path: '../.env' });
+const { parseArgs } = require('util');
+const { createTokenStore, TOKEN_STORE } = require('../utils/tokenStores');
+const { closePool } = require('../utils/db');
+
+const USAGE = `Usage: node scripts/migrate-tokens.js [--store supabase|postgres|file]`;
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      store: { type: 'string', default: TOKEN_STORE }
+    }
+  });
+
+  let store;
+  try {
+    store = createTokenStore(values.store);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  await store.migrate();
+  console.log(`user_tokens is ready in the ${store.name} token store`);
+  await closePool();
+}
+
+main().catch((error) => {
+  console.error('Token store migration failed:', error);
+  process.exit(1);
+});
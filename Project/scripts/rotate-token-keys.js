@@ -0,0 +1,24 @@
+require('dotenv').config({ path: '../.env' });
+const tokenStorage = require('../utils/tokenStorage');
+const { closePool } = require('../utils/db');
+
+// Re-encrypts every stored token row with the active key (the first entry in
+// TOKEN_ENCRYPTION_KEYS). Keep the old key listed until this succeeds.
+async function main() {
+  const { activeKeyId } = tokenStorage.keyring;
+  console.log(`Re-encrypting stored tokens with key "${activeKeyId}" (${tokenStorage.store.name} token store)`);
+
+  const summary = await tokenStorage.rotateKeys();
+  console.log(`${summary.rotated} re-encrypted, ${summary.current} already current, ${summary.failed.length} failed (of ${summary.total})`);
+  if (summary.failed.length > 0) {
+    console.error(`Could not re-encrypt tokens for: ${summary.failed.join(', ')}`);
+  }
+
+  await closePool();
+  process.exit(summary.failed.length > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('Key rotation failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'whoop-consent-'));
+
+const consent = require('../utils/consent');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('isExportAllowed', async (t) => {
+  await t.test('passes records that are not about an athlete, and deletion notices', () => {
+    assert.strictEqual(consent.isExportAllowed('strain', { strain: 12 }), true);
+    assert.strictEqual(consent.isExportAllowed('workout_deleted', { workout_id: 1, user_id: 'a1' }), true);
+  });
+
+  await t.test('withholds athlete records without export consent', () => {
+    assert.strictEqual(consent.isExportAllowed('recovery', { user_id: 'a1' }), false);
+  });
+
+  await t.test('withholds record types with no known data type', () => {
+    assert.strictEqual(consent.isExportAllowed('mystery', { user_id: 'a1' }), false);
+  });
+
+  await t.test('allows only the data types consented for export', async () => {
+    await consent.setConsent('a1', { audience: 'export', dataTypes: ['recovery', 'strain'] }, { actorId: 'a1' });
+
+    assert.strictEqual(consent.isExportAllowed('recovery', { user_id: 'a1' }), true);
+    assert.strictEqual(consent.isExportAllowed('cycle_closed', { user_id: 'a1' }), true);
+    assert.strictEqual(consent.isExportAllowed('sleep', { user_id: 'a1' }), false);
+    assert.strictEqual(consent.isExportAllowed('symptom_checkin', { user_id: 'a1' }), false);
+    assert.strictEqual(consent.isExportAllowed('recovery', { user_id: 'a2' }), false);
+  });
+
+  await t.test('does not treat team consent as export consent', async () => {
+    await consent.setConsent('a2', { audience: 'team', teamId: 't1', dataTypes: ['sleep'] }, { actorId: 'a2' });
+
+    assert.strictEqual(consent.isExportAllowed('sleep', { user_id: 'a2' }), false);
+  });
+
+  await t.test('maps alerts to the data type of their metric', () => {
+    assert.strictEqual(consent.isExportAllowed('alert', { user_id: 'a1', metric: 'hrv' }), true);
+    assert.strictEqual(consent.isExportAllowed('alert', { user_id: 'a1', metric: 'sleep_performance' }), false);
+    assert.strictEqual(consent.isExportAllowed('alert', { user_id: 'a1', key: 'rtp:violation', metric: 'daily_strain' }), false);
+  });
+
+  await t.test('stops once the consent is revoked', async () => {
+    const [active] = consent.listConsents('a1').filter((entry) => !entry.revokedAt);
+    await consent.revokeConsent('a1', active.id, 'a1');
+
+    assert.strictEqual(consent.isExportAllowed('recovery', { user_id: 'a1' }), false);
+  });
+});
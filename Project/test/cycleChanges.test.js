@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { STRAIN_CHANGE_THRESHOLD, detectChanges, unclosedCycleIds, emittedState } = require('../utils/cycleChanges');
+
+const cycle = (id, { strain = 10, end = null, scoreState = 'SCORED' } = {}) => ({
+  id,
+  start: '2026-10-01T06:00:00.000Z',
+  end,
+  score_state: scoreState,
+  score: scoreState === 'SCORED' ? { strain } : undefined
+});
+
+const state = (cycleId, { strain = 10, closed = false, unclosed = [] } = {}) => ({
+  cycleId,
+  strain,
+  closed,
+  unclosedCycleIds: unclosed
+});
+
+test('detectChanges', async (t) => {
+  await t.test('sends strain but no cycle_started on the first poll', () => {
+    assert.deepStrictEqual(detectChanges(null, cycle(1)), {
+      started: false,
+      strainChanged: true,
+      closed: false,
+      previousCycleId: null
+    });
+  });
+
+  await t.test('ignores strain changes below the threshold', () => {
+    const changes = detectChanges(state(1, { strain: 10 }), cycle(1, { strain: 10 + STRAIN_CHANGE_THRESHOLD / 2 }));
+    assert.strictEqual(changes.strainChanged, false);
+    assert.strictEqual(changes.started, false);
+  });
+
+  await t.test('sends strain once the change passes the threshold', () => {
+    const changes = detectChanges(state(1, { strain: 10 }), cycle(1, { strain: 10 + STRAIN_CHANGE_THRESHOLD * 2 }));
+    assert.strictEqual(changes.strainChanged, true);
+  });
+
+  await t.test('sends strain when none was sent for the cycle yet', () => {
+    assert.strictEqual(detectChanges(state(1, { strain: null }), cycle(1)).strainChanged, true);
+  });
+
+  await t.test('never sends strain or closes an unscored cycle', () => {
+    ['PENDING_SCORE', 'UNSCORABLE'].forEach((scoreState) => {
+      const changes = detectChanges(state(1, { strain: null }), cycle(1, { scoreState, end: '2026-10-02T06:00:00.000Z' }));
+      assert.strictEqual(changes.strainChanged, false);
+      assert.strictEqual(changes.closed, false);
+    });
+  });
+
+  await t.test('closes a scored cycle once it has ended, only once', () => {
+    const ended = cycle(1, { end: '2026-10-02T06:00:00.000Z' });
+    assert.strictEqual(detectChanges(state(1), ended).closed, true);
+    assert.strictEqual(detectChanges(state(1, { closed: true }), ended).closed, false);
+  });
+
+  await t.test('starts a new cycle and reports the previous one when it was not closed', () => {
+    const changes = detectChanges(state(1), cycle(2));
+    assert.strictEqual(changes.started, true);
+    assert.strictEqual(changes.strainChanged, true);
+    assert.strictEqual(changes.previousCycleId, 1);
+  });
+
+  await t.test('does not report a previous cycle that was already closed', () => {
+    assert.strictEqual(detectChanges(state(1, { closed: true }), cycle(2)).previousCycleId, null);
+  });
+
+  await t.test('compares cycle IDs as strings', () => {
+    assert.strictEqual(detectChanges(state('1'), cycle(1)).started, false);
+  });
+});
+
+test('unclosedCycleIds keeps earlier cycles waiting to close without duplicates', () => {
+  const previous = state(2, { unclosed: [1] });
+  assert.deepStrictEqual(unclosedCycleIds(previous, detectChanges(previous, cycle(3))), [1, 2]);
+  assert.deepStrictEqual(unclosedCycleIds(previous, { previousCycleId: '1' }), [1]);
+  assert.deepStrictEqual(unclosedCycleIds(null, detectChanges(null, cycle(1))), []);
+});
+
+test('emittedState remembers what was sent for the cycle', () => {
+  const sent = emittedState(cycle(1, { strain: 12 }), null, { strain: true, closed: false });
+  assert.strictEqual(sent.strain, 12);
+  assert.strictEqual(sent.closed, false);
+
+  const unchanged = emittedState(cycle(1, { strain: 12.05 }), sent, { strain: false, closed: false, unclosedCycleIds: [0] });
+  assert.strictEqual(unchanged.strain, 12);
+  assert.deepStrictEqual(unchanged.unclosedCycleIds, [0]);
+
+  const next = emittedState(cycle(2, { strain: 3 }), { ...sent, closed: true }, { strain: false, closed: false });
+  assert.strictEqual(next.strain, null);
+  assert.strictEqual(next.closed, false);
+});
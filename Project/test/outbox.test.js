@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'whoop-outbox-'));
+
+const { Outbox } = require('../utils/outbox');
+
+const failingOutbox = (name) => new Outbox({
+  name,
+  maxAttempts: 1,
+  deliver: async () => {
+    throw new Error('target down');
+  }
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('moves records that keep failing to the dead letters', async () => {
+  const outbox = failingOutbox('dead-letters');
+  await outbox.enqueue({ value: 'strain' });
+  await outbox.drain();
+
+  assert.deepStrictEqual(outbox.stats(), { pending: 0, consecutiveFailures: 1, deadLetters: 1 });
+  const onDisk = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'outbox/dead-letters.dead.json'), 'utf8'));
+  assert.strictEqual(onDisk.records.length, 1);
+});
+
+test('keeps records pending when the dead letters cannot be written', async () => {
+  const outbox = failingOutbox('dead-letter-write-fails');
+  outbox.deadLetters.save = async () => {
+    throw new Error('disk full');
+  };
+  await outbox.enqueue({ value: 'strain' });
+  await outbox.drain();
+
+  assert.deepStrictEqual(outbox.stats(), { pending: 1, consecutiveFailures: 1, deadLetters: 0 });
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'whoop-permissions-'));
+
+const organizations = require('../utils/organizations');
+const consent = require('../utils/consent');
+const { can, canOnTeam, athletesFor } = require('../utils/permissions');
+
+const user = (userId) => ({ userId, isAuthenticated: true });
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('RBAC permission checks', async (t) => {
+  const org = await organizations.createOrganization({ name: 'State' }, 'admin');
+  const soccer = await organizations.createTeam(org.id, { name: 'Soccer' }, 'admin');
+  const track = await organizations.createTeam(org.id, { name: 'Track' }, 'admin');
+
+  await organizations.addMember(soccer.id, { userId: 'athlete-1', role: 'athlete' }, 'admin');
+  await organizations.addMember(soccer.id, { userId: 'coach-1', role: 'coach' }, 'admin');
+  await organizations.addMember(soccer.id, { userId: 'trainer-1', role: 'athletic_trainer' }, 'admin');
+  await organizations.addMember(soccer.id, { userId: 'physician-1', role: 'physician' }, 'admin');
+  await organizations.addMember(track.id, { userId: 'coach-2', role: 'coach' }, 'admin');
+  await consent.setConsent('athlete-1', { audience: 'team', teamId: soccer.id, dataTypes: ['recovery', 'symptoms'] }, { actorId: 'athlete-1' });
+
+  await t.test('canOnTeam follows the role on that team only', () => {
+    assert.strictEqual(canOnTeam(user('coach-1'), 'readiness:read', soccer.id), true);
+    assert.strictEqual(canOnTeam(user('coach-1'), 'medical:read', soccer.id), false);
+    assert.strictEqual(canOnTeam(user('coach-1'), 'readiness:read', track.id), false);
+    assert.strictEqual(canOnTeam(user('physician-1'), 'roster:manage', soccer.id), false);
+    assert.strictEqual(canOnTeam(user('trainer-1'), 'rtp:manage', soccer.id), true);
+    assert.strictEqual(canOnTeam(user('athlete-1'), 'readiness:read', soccer.id), false);
+    assert.strictEqual(canOnTeam(null, 'readiness:read', soccer.id), false);
+  });
+
+  await t.test('athletes have their own permissions but cannot manage their return to play', () => {
+    assert.strictEqual(can(user('athlete-1'), 'medical:read', 'athlete-1'), true);
+    assert.strictEqual(can(user('athlete-1'), 'rtp:manage', 'athlete-1'), false);
+  });
+
+  await t.test('staff need the role on a team the athlete is on', () => {
+    assert.strictEqual(can(user('coach-1'), 'readiness:read', 'athlete-1'), true);
+    assert.strictEqual(can(user('coach-1'), 'medical:read', 'athlete-1'), false);
+    assert.strictEqual(can(user('physician-1'), 'medical:read', 'athlete-1'), true);
+    assert.strictEqual(can(user('coach-2'), 'readiness:read', 'athlete-1'), false);
+    assert.strictEqual(can(user('athlete-1'), 'readiness:read', 'coach-1'), false);
+  });
+
+  await t.test('staff also need the athlete\'s consent for the data type', () => {
+    assert.strictEqual(can(user('coach-1'), 'readiness:read', 'athlete-1', 'recovery'), true);
+    assert.strictEqual(can(user('coach-1'), 'readiness:read', 'athlete-1', 'sleep'), false);
+    assert.strictEqual(can(user('physician-1'), 'medical:read', 'athlete-1', 'symptoms'), true);
+  });
+
+  await t.test('athletesFor lists athletes on teams where the role grants the permission', () => {
+    assert.deepStrictEqual(athletesFor(user('coach-1'), 'readiness:read'), ['athlete-1']);
+    assert.deepStrictEqual(athletesFor(user('coach-1'), 'medical:read'), []);
+    assert.deepStrictEqual(athletesFor(user('coach-2'), 'readiness:read'), []);
+  });
+});
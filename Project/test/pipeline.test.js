@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, {
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'whoop-pipeline-')),
+  DATA_SINKS: 'file'
+});
+
+const alerts = require('../utils/alerts');
+const returnToPlay = require('../utils/returnToPlay');
+const timeseries = require('../utils/timeseries');
+const { recordBiometric, recordCycleEvent } = require('../utils/pipeline');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const recovery = (cycleId, recoveryScore) => ({
+  cycle_id: cycleId,
+  created_at: new Date().toISOString(),
+  updated_at: new Date().toISOString(),
+  score_state: 'SCORED',
+  score: { recovery_score: recoveryScore }
+});
+
+const cycle = (id, daysAgo, strain) => ({
+  id,
+  start: new Date(Date.now() - daysAgo * DAY_MS).toISOString(),
+  end: new Date(Date.now() - (daysAgo - 1) * DAY_MS).toISOString(),
+  score_state: 'SCORED',
+  score: { strain }
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test.before(async () => {
+  await alerts.createRule({
+    name: 'Low recovery',
+    scope: { type: 'all' },
+    metric: 'recovery_score',
+    operator: '<',
+    threshold: 30
+  }, 'admin');
+});
+
+test('backfilled readings do not run alert rules', async () => {
+  await recordBiometric('recovery', 'backfilled', recovery(1, 10), {}, { backfill: true });
+
+  assert.deepStrictEqual(alerts.listAlerts({ userId: 'backfilled' }), []);
+});
+
+test('live readings run alert rules', async () => {
+  await recordBiometric('recovery', 'live', recovery(1, 10));
+
+  assert.strictEqual(alerts.listAlerts({ userId: 'live' }).length, 1);
+});
+
+test('a failing alert rule does not skip the return-to-play check', async (t) => {
+  const episode = await returnToPlay.openEpisode({ userId: 'rtp', injuryDate: '2026-01-01' }, 'trainer');
+  t.mock.method(alerts, 'evaluate', async () => {
+    throw new Error('alerts store unavailable');
+  });
+
+  await recordBiometric('workout', 'rtp', {
+    id: 1,
+    start: new Date(Date.now() + 1000).toISOString(),
+    updated_at: new Date().toISOString(),
+    score_state: 'SCORED',
+    score: { strain: 15 }
+  });
+
+  assert.deepStrictEqual(returnToPlay.getEpisode(episode.id).violations.map((violation) => violation.metric), ['workout_strain']);
+});
+
+test('closed cycles are scored for daily strain and run alert rules', async () => {
+  await alerts.createRule({
+    name: 'High daily strain',
+    scope: { type: 'athlete', id: 'strainer' },
+    metric: 'daily_strain',
+    operator: '>',
+    threshold: 14
+  }, 'admin');
+  for (let day = 10; day >= 2; day -= 1) {
+    await timeseries.upsert('cycle', 'strainer', day, cycle(day, day, 8 + (day % 3)));
+  }
+
+  const started = await recordCycleEvent('cycle_started', 'strainer', { ...cycle(100, 1, 0), end: null, score_state: 'PENDING_SCORE' });
+  assert.strictEqual(started.baseline, undefined);
+
+  const closed = await recordCycleEvent('cycle_closed', 'strainer', cycle(1, 1, 16));
+
+  assert.strictEqual(closed.baseline.daily_strain.value, 16);
+  assert.strictEqual(closed.baseline.daily_strain.n, 9);
+  assert.ok(closed.baseline.daily_strain.z > 0);
+  assert.deepStrictEqual(alerts.listAlerts({ userId: 'strainer' }).map((alert) => alert.metric), ['daily_strain']);
+});
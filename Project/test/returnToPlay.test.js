@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, {
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'whoop-rtp-')),
+  DATA_SINKS: 'file'
+});
+
+const returnToPlay = require('../utils/returnToPlay');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const workout = (id, start, strain) => ({
+  id,
+  start: new Date(start).toISOString(),
+  score_state: 'SCORED',
+  score: { strain }
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('checkExertion', async (t) => {
+  const episode = await returnToPlay.openEpisode({ userId: 'a1', injuryDate: new Date(Date.now() - 48 * HOUR_MS).toISOString() }, 'trainer');
+  // Entered stage 1 a day ago, a day after the injury
+  episode.stages[0].enteredAt = new Date(Date.now() - 24 * HOUR_MS).toISOString();
+  const stageStart = Date.parse(episode.stages[0].enteredAt);
+
+  await t.test('flags activity in the current stage over its limit', async () => {
+    const flagged = await returnToPlay.checkExertion('workout', 'a1', workout(1, stageStart + 1000, 15));
+    assert.deepStrictEqual(flagged.map((violation) => [violation.metric, violation.stage]), [['workout_strain', 1]]);
+  });
+
+  await t.test('ignores activity that started before the current stage', async () => {
+    assert.deepStrictEqual(await returnToPlay.checkExertion('workout', 'a1', workout(2, stageStart - HOUR_MS, 15)), []);
+  });
+
+  await t.test('ignores activity from before the injury', async () => {
+    assert.deepStrictEqual(await returnToPlay.checkExertion('workout', 'a1', workout(3, stageStart - 72 * HOUR_MS, 15)), []);
+  });
+
+  await t.test('does not hold earlier-stage activity against a later stage', async () => {
+    await returnToPlay.changeStage(episode.id, 2, 'trainer');
+    const earlier = workout(4, stageStart + HOUR_MS, 9);
+    assert.deepStrictEqual(await returnToPlay.checkExertion('workout', 'a1', earlier), []);
+
+    const current = workout(5, Date.now() + 1000, 9);
+    const flagged = await returnToPlay.checkExertion('workout', 'a1', current);
+    assert.deepStrictEqual(flagged.map((violation) => [violation.objectId, violation.stage]), [['5', 2]]);
+  });
+});
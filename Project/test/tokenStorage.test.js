@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, {
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'whoop-tokens-')),
+  TOKEN_STORE: 'memory',
+  TOKEN_ENCRYPTION_KEYS: `k1:${crypto.randomBytes(32).toString('base64')}`,
+  CLIENT_ID: 'test-client',
+  CLIENT_SECRET: 'test-secret'
+});
+
+// Stands in for the WHOOP token endpoint; each test sets how it answers
+let respond = null;
+let requests = 0;
+const server = http.createServer((req, res) => {
+  requests += 1;
+  respond(req, res);
+});
+
+let tokenStorage;
+
+const expiringTokens = (refreshToken) => ({
+  accessToken: 'old-access',
+  refreshToken,
+  expiresAt: Date.now() + 60 * 1000
+});
+
+function answer(status, body) {
+  return (req, res) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+}
+
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.WHOOP_API_HOSTNAME = `http://127.0.0.1:${server.address().port}`;
+  tokenStorage = require('../utils/tokenStorage');
+});
+
+test.beforeEach(() => {
+  requests = 0;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('stores the new tokens after a successful refresh', async () => {
+  respond = answer(200, { access_token: 'new-access', refresh_token: 'r2', expires_in: 3600 });
+  await tokenStorage.set('u-ok', expiringTokens('r1'));
+
+  const refreshed = await tokenStorage.refreshToken('u-ok', await tokenStorage.getRaw('u-ok'));
+
+  assert.strictEqual(refreshed.accessToken, 'new-access');
+  assert.strictEqual((await tokenStorage.getRaw('u-ok')).refreshToken, 'r2');
+});
+
+test('keeps the tokens on a transient failure and does not retry the POST', async () => {
+  respond = answer(503, { error: 'temporarily_unavailable' });
+  await tokenStorage.set('u-transient', expiringTokens('r1'));
+
+  await assert.rejects(
+    tokenStorage.refreshToken('u-transient', await tokenStorage.getRaw('u-transient')),
+    (error) => error.permanent === false && error.status === 503
+  );
+  assert.strictEqual(requests, 1);
+
+  const stored = await tokenStorage.getRaw('u-transient');
+  assert.strictEqual(stored.needsReauth, undefined);
+  assert.strictEqual(stored.refreshToken, 'r1');
+  // The access token hasn't expired yet, so it is still handed out
+  assert.strictEqual((await tokenStorage.get('u-transient')).accessToken, 'old-access');
+});
+
+test('marks the user for reauthorization when the refresh token is rejected', async () => {
+  respond = answer(400, { error: 'invalid_grant' });
+  await tokenStorage.set('u-permanent', expiringTokens('r1'));
+
+  await assert.rejects(
+    tokenStorage.refreshToken('u-permanent', await tokenStorage.getRaw('u-permanent')),
+    (error) => error.permanent === true
+  );
+
+  assert.strictEqual((await tokenStorage.getRaw('u-permanent')).needsReauth, true);
+  assert.strictEqual(await tokenStorage.get('u-permanent'), null);
+});
+
+test('uses the stored tokens when another refresh rotated them first', async () => {
+  respond = async (req, res) => {
+    // Another instance refreshes while this request is in flight
+    await tokenStorage.set('u-race', { accessToken: 'other-access', refreshToken: 'r2', expiresAt: Date.now() + 3600 * 1000 });
+    answer(400, { error: 'invalid_grant' })(req, res);
+  };
+  await tokenStorage.set('u-race', expiringTokens('r1'));
+
+  const refreshed = await tokenStorage.refreshToken('u-race', await tokenStorage.getRaw('u-race'));
+
+  assert.strictEqual(refreshed.accessToken, 'other-access');
+  assert.strictEqual((await tokenStorage.getRaw('u-race')).needsReauth, undefined);
+});
+
+test('shares one refresh between concurrent callers', async () => {
+  respond = answer(200, { access_token: 'shared-access', refresh_token: 'r2', expires_in: 3600 });
+  await tokenStorage.set('u-concurrent', expiringTokens('r1'));
+  const tokens = await tokenStorage.getRaw('u-concurrent');
+
+  const results = await Promise.all([
+    tokenStorage.refreshToken('u-concurrent', tokens),
+    tokenStorage.refreshToken('u-concurrent', tokens)
+  ]);
+
+  assert.strictEqual(requests, 1);
+  assert.deepStrictEqual(results.map((result) => result.accessToken), ['shared-access', 'shared-access']);
+});
@@ -0,0 +1,366 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { JsonStore } = require('./jsonStore');
+const baselines = require('./baselines');
+const { sendRecord } = require('./sinks');
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b
+};
+const SOURCES = ['value', 'zscore'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const SCOPE_TYPES = ['athlete', 'team', 'all'];
+const OPEN_STATUSES = ['active', 'acknowledged'];
+
+const rulesStore = new JsonStore('alert-rules.json', { rules: [] });
+const alertsStore = new JsonStore('alerts.json', { alerts: [] });
+
+// Broadcasts 'alert' (new episode) and 'alert.updated' (repeat, ack, resolve)
+const alertEmitter = new EventEmitter();
+
+// Other subsystems (return-to-play, teams) contribute evaluation context such
+// as { rtpStage } or { teamIds } without this module depending on them
+const contextProviders = [];
+
+/**
+ * Registers a function that adds fields to the rule evaluation context
+ * @param {Function} provider - async (userId) => Object
+ */
+function registerContextProvider(provider) {
+  contextProviders.push(provider);
+}
+
+async function buildContext(userId) {
+  const context = { userId, teamIds: [] };
+  for (const provider of contextProviders) {
+    try {
+      Object.assign(context, await provider(userId));
+    } catch (error) {
+      console.error('Error building alert context:', error);
+    }
+  }
+  return context;
+}
+
+/**
+ * Validates a rule definition
+ * @param {Object} rule - Rule fields
+ * @returns {string[]} - Problems (empty when valid)
+ */
+function validateRule(rule) {
+  const problems = [];
+  if (!rule.name || typeof rule.name !== 'string') problems.push('name is required');
+  if (!baselines.METRICS.includes(rule.metric)) problems.push(`metric must be one of: ${baselines.METRICS.join(', ')}`);
+  if (!SOURCES.includes(rule.source)) problems.push(`source must be one of: ${SOURCES.join(', ')}`);
+  if (!OPERATORS[rule.operator]) problems.push(`operator must be one of: ${Object.keys(OPERATORS).join(' ')}`);
+  if (typeof rule.threshold !== 'number') problems.push('threshold must be a number');
+  if (!Number.isInteger(rule.consecutiveDays) || rule.consecutiveDays < 1) problems.push('consecutiveDays must be a positive integer');
+  if (!SEVERITIES.includes(rule.severity)) problems.push(`severity must be one of: ${SEVERITIES.join(', ')}`);
+  if (!rule.scope || !SCOPE_TYPES.includes(rule.scope.type)) problems.push(`scope.type must be one of: ${SCOPE_TYPES.join(', ')}`);
+  if (rule.scope && rule.scope.type !== 'all' && !rule.scope.id) problems.push('scope.id is required for athlete and team rules');
+  if (rule.rtpStage != null && !Number.isInteger(rule.rtpStage)) problems.push('rtpStage must be an integer');
+  return problems;
+}
+
+function normalizeRule(input) {
+  return {
+    name: input.name,
+    description: input.description || '',
+    enabled: input.enabled !== false,
+    scope: input.scope ? { type: input.scope.type, id: input.scope.id != null ? String(input.scope.id) : null } : input.scope,
+    metric: input.metric,
+    source: input.source || 'value',
+    operator: input.operator,
+    threshold: input.threshold,
+    consecutiveDays: input.consecutiveDays ?? 1,
+    rtpStage: input.rtpStage ?? null,
+    severity: input.severity || 'warning'
+  };
+}
+
+/**
+ * Creates an alert rule
+ * @param {Object} input - Rule fields
+ * @param {string} createdBy - User ID of the staff member creating the rule
+ * @returns {Promise<Object>} - Created rule
+ * @throws {Error} - With status 400 when the rule is invalid
+ */
+async function createRule(input, createdBy) {
+  const rule = normalizeRule(input);
+  const problems = validateRule(rule);
+  if (problems.length > 0) {
+    const error = new Error(problems.join('; '));
+    error.status = 400;
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const created = { id: crypto.randomUUID(), ...rule, createdBy, createdAt: now, updatedAt: now };
+  rulesStore.data.rules.push(created);
+  await rulesStore.save();
+  return created;
+}
+
+/**
+ * Updates an alert rule
+ * @param {string} ruleId - Rule ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object|null>} - Updated rule or null when not found
+ * @throws {Error} - With status 400 when the result is invalid
+ */
+async function updateRule(ruleId, changes) {
+  const existing = getRule(ruleId);
+  if (!existing) return null;
+
+  const rule = normalizeRule({ ...existing, ...changes });
+  const problems = validateRule(rule);
+  if (problems.length > 0) {
+    const error = new Error(problems.join('; '));
+    error.status = 400;
+    throw error;
+  }
+
+  Object.assign(existing, rule, { updatedAt: new Date().toISOString() });
+  await rulesStore.save();
+  return existing;
+}
+
+/**
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<boolean>} - True if a rule was deleted
+ */
+async function deleteRule(ruleId) {
+  const before = rulesStore.data.rules.length;
+  rulesStore.data.rules = rulesStore.data.rules.filter((rule) => rule.id !== ruleId);
+  if (rulesStore.data.rules.length === before) return false;
+  await rulesStore.save();
+  return true;
+}
+
+function getRule(ruleId) {
+  return rulesStore.data.rules.find((rule) => rule.id === ruleId) || null;
+}
+
+/**
+ * @param {Object} [filter]
+ * @param {string} [filter.userId] - Only rules that apply to this athlete's scope
+ * @param {string[]} [filter.teamIds] - Teams the athlete belongs to
+ * @returns {Object[]} - Rules
+ */
+function listRules({ userId, teamIds = [] } = {}) {
+  if (!userId) return rulesStore.data.rules;
+  return rulesStore.data.rules.filter((rule) => ruleApplies(rule, { userId, teamIds }));
+}
+
+function ruleApplies(rule, context) {
+  switch (rule.scope.type) {
+    case 'all':
+      return true;
+    case 'athlete':
+      return rule.scope.id === String(context.userId);
+    case 'team':
+      return context.teamIds.includes(rule.scope.id);
+    default:
+      return false;
+  }
+}
+
+function readingMatches(rule, score) {
+  const observed = rule.source === 'zscore' ? score?.z : score?.value;
+  return typeof observed === 'number' && OPERATORS[rule.operator](observed, rule.threshold);
+}
+
+/**
+ * Checks the last N days of a metric for a consecutive-day rule
+ * @returns {Object|null} - The most recent day's score if every day matched
+ */
+function consecutiveDaysMatch(rule, userId) {
+  const days = baselines.dailyDeviations(userId, rule.metric, rule.consecutiveDays + 1)
+    .slice(0, rule.consecutiveDays);
+  if (days.length < rule.consecutiveDays) return null;
+
+  // Days must be back to back, newest first
+  for (let i = 1; i < days.length; i++) {
+    const gap = (new Date(days[i - 1].date) - new Date(days[i].date)) / (24 * 60 * 60 * 1000);
+    if (gap !== 1) return null;
+  }
+  return days.every((day) => readingMatches(rule, day)) ? days[0] : null;
+}
+
+/**
+ * Opens a new alert episode, or folds the trigger into the open episode with the same key
+ * @param {Object} definition
+ * @param {string} definition.key - Deduplication key (one open episode per key and athlete)
+ * @param {string} definition.name - Human-readable alert name
+ * @param {string} definition.userId - WHOOP user ID of the athlete
+ * @param {string} definition.metric - Metric that triggered the alert
+ * @param {string} definition.severity - info | warning | critical
+ * @param {string} definition.condition - Human-readable condition
+ * @param {Object} definition.reading - Reading that triggered the alert
+ * @param {string} [definition.ruleId] - Rule ID for rule-based alerts
+ * @returns {Promise<Object|null>} - The new alert, or null when folded into an open one
+ */
+async function raiseAlert({ key, name, userId, metric, severity, condition, reading, ruleId = null }) {
+  const now = new Date().toISOString();
+  const open = alertsStore.data.alerts.find((alert) =>
+    alert.key === key && alert.userId === String(userId) && OPEN_STATUSES.includes(alert.status)
+  );
+
+  if (open) {
+    open.occurrences += 1;
+    open.lastTriggeredAt = now;
+    open.reading = reading;
+    await alertsStore.save();
+    alertEmitter.emit('alert.updated', open);
+    return null;
+  }
+
+  const alert = {
+    id: crypto.randomUUID(),
+    key,
+    ruleId,
+    ruleName: name,
+    userId: String(userId),
+    metric,
+    severity,
+    condition,
+    status: 'active',
+    reading,
+    occurrences: 1,
+    firstTriggeredAt: now,
+    lastTriggeredAt: now,
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    resolvedAt: null,
+    resolvedBy: null
+  };
+  alertsStore.data.alerts.push(alert);
+  await alertsStore.save();
+
+  console.log(`Alert fired for user ${userId}: ${alert.ruleName} (${alert.condition})`);
+  await sendRecord('alert', { ...alert, user_id: alert.userId });
+  alertEmitter.emit('alert', alert);
+  return alert;
+}
+
+function fire(rule, userId, reading) {
+  return raiseAlert({
+    key: `rule:${rule.id}`,
+    ruleId: rule.id,
+    name: rule.name,
+    userId,
+    metric: rule.metric,
+    severity: rule.severity,
+    condition: `${rule.metric} ${rule.source === 'zscore' ? 'z-score ' : ''}${rule.operator} ${rule.threshold}` +
+      (rule.consecutiveDays > 1 ? ` for ${rule.consecutiveDays} consecutive days` : ''),
+    reading
+  });
+}
+
+/**
+ * Evaluates every applicable rule against a freshly scored reading
+ * @param {string} userId - WHOOP user ID
+ * @param {Object} scores - { [metric]: { value, mean, sd, n, z } } from baselines.scoreReading
+ * @returns {Promise<Object[]>} - Newly opened alerts
+ */
+async function evaluate(userId, scores) {
+  const metrics = Object.keys(scores);
+  if (metrics.length === 0) return [];
+
+  const context = await buildContext(userId);
+  const fired = [];
+
+  const rules = rulesStore.data.rules.filter((rule) =>
+    rule.enabled &&
+    metrics.includes(rule.metric) &&
+    ruleApplies(rule, context) &&
+    (rule.rtpStage === null || rule.rtpStage === context.rtpStage)
+  );
+
+  for (const rule of rules) {
+    const reading = rule.consecutiveDays > 1
+      ? consecutiveDaysMatch(rule, userId)
+      : (readingMatches(rule, scores[rule.metric]) ? scores[rule.metric] : null);
+
+    if (reading) {
+      const alert = await fire(rule, userId, { ...reading, metric: rule.metric });
+      if (alert) fired.push(alert);
+    }
+  }
+  return fired;
+}
+
+/**
+ * @param {Object} [filter]
+ * @param {string|string[]} [filter.userId] - Athlete ID(s)
+ * @param {string} [filter.status] - active | acknowledged | resolved | open
+ * @returns {Object[]} - Alerts, newest first
+ */
+function listAlerts({ userId, status } = {}) {
+  const userIds = userId ? [].concat(userId).map(String) : null;
+  return alertsStore.data.alerts
+    .filter((alert) => !userIds || userIds.includes(alert.userId))
+    .filter((alert) => !status || (status === 'open' ? OPEN_STATUSES.includes(alert.status) : alert.status === status))
+    .sort((a, b) => new Date(b.lastTriggeredAt) - new Date(a.lastTriggeredAt));
+}
+
+function getAlert(alertId) {
+  return alertsStore.data.alerts.find((alert) => alert.id === alertId) || null;
+}
+
+/**
+ * Acknowledges an open alert (staff has seen it; the episode stays open)
+ * @param {string} alertId - Alert ID
+ * @param {string} actorId - User ID of the staff member
+ * @returns {Promise<Object|null>} - Updated alert or null when not found / not active
+ */
+async function acknowledgeAlert(alertId, actorId) {
+  const alert = getAlert(alertId);
+  if (!alert || alert.status !== 'active') return null;
+
+  alert.status = 'acknowledged';
+  alert.acknowledgedAt = new Date().toISOString();
+  alert.acknowledgedBy = actorId;
+  await alertsStore.save();
+  alertEmitter.emit('alert.updated', alert);
+  return alert;
+}
+
+/**
+ * Resolves an alert; the next trigger of the same rule opens a new episode
+ * @param {string} alertId - Alert ID
+ * @param {string} actorId - User ID of the staff member
+ * @param {string} [note] - Resolution note
+ * @returns {Promise<Object|null>} - Updated alert or null when not found / already resolved
+ */
+async function resolveAlert(alertId, actorId, note = '') {
+  const alert = getAlert(alertId);
+  if (!alert || !OPEN_STATUSES.includes(alert.status)) return null;
+
+  alert.status = 'resolved';
+  alert.resolvedAt = new Date().toISOString();
+  alert.resolvedBy = actorId;
+  alert.resolutionNote = note;
+  await alertsStore.save();
+  alertEmitter.emit('alert.updated', alert);
+  return alert;
+}
+
+module.exports = {
+  alertEmitter,
+  registerContextProvider,
+  createRule,
+  updateRule,
+  deleteRule,
+  getRule,
+  listRules,
+  evaluate,
+  raiseAlert,
+  listAlerts,
+  getAlert,
+  acknowledgeAlert,
+  resolveAlert
+};
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR } = require('./jsonStore');
+
+const AUDIT_LOG_PATH = path.join(DATA_DIR, 'audit-log.ndjson');
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const GENESIS_HASH = '0'.repeat(64);
+
+// Append-only, hash-chained log of who accessed which athlete's data. Each
+// line is one entry whose hash covers its own fields and the previous entry's
+// hash, so editing or removing any line breaks the chain from there on (see
+// verify()). Entries are only ever appended, never rewritten.
+let entries = null;
+let appending = Promise.resolve();
+
+function load() {
+  if (!entries) {
+    entries = [];
+    try {
+      if (fs.pathExistsSync(AUDIT_LOG_PATH)) {
+        entries = fs.readFileSync(AUDIT_LOG_PATH, 'utf8')
+          .split('\n')
+          .filter(Boolean)
+          .map((line) => JSON.parse(line));
+      }
+    } catch (error) {
+      // Keep going without history rather than refusing every request; verify() will flag the file
+      console.error(`Error reading ${AUDIT_LOG_PATH}:`, error.message);
+    }
+  }
+  return entries;
+}
+
+function hashEntry({ hash, ...fields }) {
+  return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+}
+
+/**
+ * Appends entries to the log (one per subject athlete)
+ * @param {Object} event
+ * @param {string} event.actorId - User ID of whoever performed the action
+ * @param {string|string[]|null} event.subjectId - Athlete(s) whose data was involved
+ * @param {string} event.action - What happened (e.g. "history.read")
+ * @param {Object} [event.details] - Request details (method, path, status, ...)
+ * @param {string} [event.at] - When it happened (defaults to now)
+ * @returns {Promise<Object[]>} - Appended entries
+ */
+function record({ actorId, subjectId, action, details = {}, at = new Date().toISOString() }) {
+  // Nothing to name (e.g. an empty roster) is still an access worth logging
+  const subjects = [].concat(subjectId ?? []);
+  if (subjects.length === 0) subjects.push(null);
+
+  appending = appending
+    .catch(() => {})
+    .then(async () => {
+      const log = load();
+      const appended = subjects.map((subject) => {
+        const previous = log[log.length - 1];
+        const entry = {
+          seq: previous ? previous.seq + 1 : 1,
+          id: crypto.randomUUID(),
+          at,
+          actorId: actorId == null ? null : String(actorId),
+          subjectId: subject == null ? null : String(subject),
+          action,
+          details,
+          prevHash: previous ? previous.hash : GENESIS_HASH
+        };
+        entry.hash = hashEntry(entry);
+        log.push(entry);
+        return entry;
+      });
+
+      await fs.ensureDir(path.dirname(AUDIT_LOG_PATH));
+      await fs.appendFile(AUDIT_LOG_PATH, appended.map((entry) => JSON.stringify(entry) + '\n').join(''));
+      return appended;
+    });
+  return appending;
+}
+
+/**
+ * Pages through the log, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.actorId] - Who performed the action
+ * @param {string} [filters.subjectId] - Whose data was involved
+ * @param {string} [filters.action] - Action, or a prefix ending in "." (e.g. "history.")
+ * @param {string} [filters.from] - ISO 8601 lower bound (inclusive)
+ * @param {string} [filters.to] - ISO 8601 upper bound (exclusive)
+ * @param {number} [filters.limit] - Page size
+ * @param {string} [filters.nextToken] - Token from the previous page
+ * @returns {{ entries: Object[], next_token: string|null }}
+ */
+function query({ actorId, subjectId, action, from, to, limit, nextToken } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  // Tokens hold the sequence number to continue below, so new entries don't shift pages
+  const before = nextToken ? parseInt(Buffer.from(nextToken, 'base64url').toString(), 10) || Infinity : Infinity;
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
+
+  const matches = [];
+  const log = load();
+  for (let i = log.length - 1; i >= 0 && matches.length <= pageSize; i--) {
+    const entry = log[i];
+    const time = new Date(entry.at).getTime();
+    if (entry.seq >= before) continue;
+    if (actorId && entry.actorId !== String(actorId)) continue;
+    if (subjectId && entry.subjectId !== String(subjectId)) continue;
+    if (action && !(action.endsWith('.') ? entry.action.startsWith(action) : entry.action === action)) continue;
+    if (time < fromTime || time >= toTime) continue;
+    matches.push(entry);
+  }
+
+  const page = matches.slice(0, pageSize);
+  return {
+    entries: page,
+    next_token: matches.length > pageSize ? Buffer.from(String(page[page.length - 1].seq)).toString('base64url') : null
+  };
+}
+
+/**
+ * Walks the hash chain from the first entry
+ * @returns {Promise<Object>} - { valid, entries, brokenAt } where brokenAt is the first bad sequence number
+ */
+async function verify() {
+  await appending.catch(() => {});
+  if (!(await fs.pathExists(AUDIT_LOG_PATH))) {
+    return { valid: true, entries: 0, brokenAt: null };
+  }
+
+  // Read the file itself rather than the in-memory copy, which is what we want to check
+  const lines = (await fs.readFile(AUDIT_LOG_PATH, 'utf8')).split('\n').filter(Boolean);
+  let prevHash = GENESIS_HASH;
+  for (let i = 0; i < lines.length; i++) {
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch (error) {
+      return { valid: false, entries: lines.length, brokenAt: i + 1, reason: 'Unparseable entry' };
+    }
+    if (entry.seq !== i + 1) {
+      return { valid: false, entries: lines.length, brokenAt: i + 1, reason: 'Sequence gap' };
+    }
+    if (entry.prevHash !== prevHash) {
+      return { valid: false, entries: lines.length, brokenAt: entry.seq, reason: 'Previous hash mismatch' };
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      return { valid: false, entries: lines.length, brokenAt: entry.seq, reason: 'Entry hash mismatch' };
+    }
+    prevHash = entry.hash;
+  }
+  return { valid: true, entries: lines.length, brokenAt: null };
+}
+
+/**
+ * Express middleware that audits a route. Place it before the route's access
+ * checks so refused requests are logged too; anonymous requests are not.
+ * The subject is whatever the route resolved: req.auditSubjects (several
+ * athletes), req.athleteId, the athlete named in the query, or else the
+ * logged-in user.
+ * @param {string} action - Action name
+ * @param {Object} [options]
+ * @param {boolean} [options.stream] - Log when the stream opens (SSE responses never "finish")
+ * @returns {Function} - Express middleware
+ */
+function auditAccess(action, { stream = false } = {}) {
+  return (req, res, next) => {
+    if (!req.user) return next();
+
+    // Captured now: /disconnect logs the user out before the response finishes
+    const actorId = req.user.userId;
+    const at = new Date().toISOString();
+    let logged = false;
+
+    const log = () => {
+      if (logged) return;
+      logged = true;
+      record({
+        actorId,
+        subjectId: req.auditSubjects || req.athleteId || req.query.athleteId || req.query.userId || actorId,
+        action,
+        at,
+        details: {
+          method: req.method,
+          path: req.originalUrl,
+          status: res.statusCode,
+          ip: req.ip
+        }
+      }).catch((error) => console.error(`Error writing audit log entry for ${action}:`, error));
+    };
+
+    if (stream) {
+      const flushHeaders = res.flushHeaders.bind(res);
+      res.flushHeaders = () => {
+        log();
+        flushHeaders();
+      };
+    }
+    res.on('finish', log);
+    res.on('close', log);
+    next();
+  };
+}
+
+module.exports = {
+  record,
+  query,
+  verify,
+  auditAccess
+};
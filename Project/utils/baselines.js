@@ -0,0 +1,177 @@
+require('dotenv').config({ path: '../../.env' });
+const timeseries = require('./timeseries');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BASELINE_WINDOW_DAYS = parseInt(process.env.BASELINE_WINDOW_DAYS, 10) || 28;
+const BASELINE_MIN_SAMPLES = parseInt(process.env.BASELINE_MIN_SAMPLES, 10) || 7;
+
+// Physiological metrics we keep personal baselines for. Only scored objects
+// count, and daily strain only uses closed cycles so a half-finished day
+// doesn't drag the baseline down. Readings a metric leaves out (naps, open
+// cycles) are neither part of a baseline nor scored against one.
+const METRICS = {
+  resting_heart_rate: {
+    kind: 'recovery',
+    value: (data) => data.score?.resting_heart_rate
+  },
+  hrv: {
+    kind: 'recovery',
+    value: (data) => data.score?.hrv_rmssd_milli
+  },
+  recovery_score: {
+    kind: 'recovery',
+    value: (data) => data.score?.recovery_score
+  },
+  sleep_performance: {
+    kind: 'sleep',
+    value: (data) => data.score?.sleep_performance_percentage,
+    include: (data) => !data.nap
+  },
+  daily_strain: {
+    kind: 'cycle',
+    value: (data) => data.score?.strain,
+    include: (data) => !!data.end
+  }
+};
+
+function readingValue(metric, data) {
+  const { value: valueOf, include = () => true } = METRICS[metric];
+  if (!data || data.score_state !== 'SCORED' || !include(data)) return null;
+  const value = valueOf(data);
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Computes a personal baseline (mean and standard deviation) for one metric
+ * @param {string} userId - WHOOP user ID
+ * @param {string} metric - Metric name (see METRICS)
+ * @param {Object} [options]
+ * @param {Date|string} [options.asOf] - End of the window (defaults to now)
+ * @param {string} [options.excludeId] - Object ID to leave out (the reading being scored)
+ * @param {number} [options.windowDays] - Window length in days
+ * @returns {Object|null} - { mean, sd, n, from, to } or null without enough samples
+ */
+function computeBaseline(userId, metric, { asOf = new Date(), excludeId, windowDays = BASELINE_WINDOW_DAYS } = {}) {
+  const { kind } = METRICS[metric];
+  const to = new Date(asOf);
+  const from = new Date(to.getTime() - windowDays * DAY_MS);
+
+  const values = timeseries.list(kind, userId, { from, to })
+    .filter((entry) => entry.id !== excludeId)
+    .map((entry) => readingValue(metric, entry.data))
+    .filter((value) => value !== null);
+
+  if (values.length < BASELINE_MIN_SAMPLES) {
+    return null;
+  }
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+
+  return {
+    mean,
+    sd: Math.sqrt(variance),
+    n: values.length,
+    from: from.toISOString(),
+    to: to.toISOString()
+  };
+}
+
+/**
+ * Scores one stored reading against the baseline that preceded it
+ * @param {string} metric - Metric name
+ * @param {Object} entry - Time-series entry
+ * @returns {Object|null} - { value, mean, sd, n, z } or null when the reading has no value
+ */
+function scoreEntry(metric, entry) {
+  const value = readingValue(metric, entry.data);
+  if (value === null) return null;
+
+  const baseline = computeBaseline(entry.userId, metric, { asOf: entry.time, excludeId: entry.id });
+  if (!baseline) {
+    return { value, mean: null, sd: null, n: 0, z: null };
+  }
+
+  return {
+    value,
+    mean: baseline.mean,
+    sd: baseline.sd,
+    n: baseline.n,
+    z: baseline.sd > 0 ? (value - baseline.mean) / baseline.sd : null
+  };
+}
+
+/**
+ * Scores a new reading for every metric derived from its object kind
+ * @param {string} kind - cycle | recovery | sleep | workout
+ * @param {string} userId - WHOOP user ID
+ * @param {string|number} objectId - ID the reading is stored under
+ * @returns {Object} - { [metric]: { value, mean, sd, n, z } } (empty when nothing applies)
+ */
+function scoreReading(kind, userId, objectId) {
+  const entry = timeseries.get(kind, userId, objectId);
+  const scores = {};
+  if (!entry || entry.deleted) return scores;
+
+  Object.keys(METRICS)
+    .filter((metric) => METRICS[metric].kind === kind)
+    .forEach((metric) => {
+      const score = scoreEntry(metric, entry);
+      if (score) scores[metric] = score;
+    });
+  return scores;
+}
+
+/**
+ * Daily deviation series for one metric (latest reading per UTC day), newest first
+ * @param {string} userId - WHOOP user ID
+ * @param {string} metric - Metric name
+ * @param {number} [days=14] - How many days to look back
+ * @returns {Object[]} - [{ date, objectId, value, mean, sd, n, z }]
+ */
+function dailyDeviations(userId, metric, days = 14) {
+  const { kind, include = () => true } = METRICS[metric];
+  const from = new Date(Date.now() - days * DAY_MS);
+  const byDay = new Map();
+
+  // list() is newest first, so the first entry we see for a day is its latest
+  timeseries.list(kind, userId, { from })
+    .filter((entry) => include(entry.data))
+    .forEach((entry) => {
+      const date = new Date(entry.time).toISOString().slice(0, 10);
+      if (!byDay.has(date)) byDay.set(date, entry);
+    });
+
+  return [...byDay.entries()]
+    .map(([date, entry]) => ({ date, objectId: entry.id, ...scoreEntry(metric, entry) }))
+    .filter((day) => day.value !== undefined);
+}
+
+/**
+ * Current baselines and the latest reading's deviation for every metric
+ * @param {string} userId - WHOOP user ID
+ * @returns {Object} - { [metric]: { baseline, latest } }
+ */
+function getBaselines(userId) {
+  const result = {};
+  Object.keys(METRICS).forEach((metric) => {
+    const latestEntry = timeseries.list(METRICS[metric].kind, userId)
+      .find((entry) => readingValue(metric, entry.data) !== null);
+
+    result[metric] = {
+      baseline: computeBaseline(userId, metric),
+      latest: latestEntry ? { objectId: latestEntry.id, time: latestEntry.time, ...scoreEntry(metric, latestEntry) } : null
+    };
+  });
+  return result;
+}
+
+module.exports = {
+  METRICS: Object.keys(METRICS),
+  BASELINE_WINDOW_DAYS,
+  BASELINE_MIN_SAMPLES,
+  computeBaseline,
+  scoreReading,
+  dailyDeviations,
+  getBaselines
+};
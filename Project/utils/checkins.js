@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { JsonStore } = require('./jsonStore');
+const timeseries = require('./timeseries');
+const { sendRecord } = require('./sinks');
+
+// SCAT5 symptom checklist, each rated 0 (none) to 6 (severe)
+const SYMPTOMS = {
+  headache: 'Headache',
+  pressure_in_head: 'Pressure in head',
+  neck_pain: 'Neck pain',
+  nausea_or_vomiting: 'Nausea or vomiting',
+  dizziness: 'Dizziness',
+  blurred_vision: 'Blurred vision',
+  balance_problems: 'Balance problems',
+  sensitivity_to_light: 'Sensitivity to light',
+  sensitivity_to_noise: 'Sensitivity to noise',
+  feeling_slowed_down: 'Feeling slowed down',
+  feeling_in_a_fog: 'Feeling like "in a fog"',
+  dont_feel_right: '"Don\'t feel right"',
+  difficulty_concentrating: 'Difficulty concentrating',
+  difficulty_remembering: 'Difficulty remembering',
+  fatigue_or_low_energy: 'Fatigue or low energy',
+  confusion: 'Confusion',
+  drowsiness: 'Drowsiness',
+  more_emotional: 'More emotional',
+  irritability: 'Irritability',
+  sadness: 'Sadness',
+  nervous_or_anxious: 'Nervous or anxious',
+  trouble_falling_asleep: 'Trouble falling asleep'
+};
+const MAX_SEVERITY = 6;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const store = new JsonStore('checkins.json', { checkins: [] });
+
+function invalid(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Records (or replaces) an athlete's symptom check-in for a day
+ * @param {string} userId - WHOOP user ID (from req.user.userId)
+ * @param {Object} input
+ * @param {Object} input.scores - { [symptom]: 0-6 } for every symptom in SYMPTOMS
+ * @param {string} [input.date] - YYYY-MM-DD the check-in is for (defaults to today, UTC)
+ * @param {string} [input.notes] - Free-text notes
+ * @returns {Promise<Object>} - Stored check-in
+ * @throws {Error} - With status 400 for invalid input
+ */
+async function submitCheckin(userId, { scores, date = new Date().toISOString().slice(0, 10), notes = '' }) {
+  if (!DATE_PATTERN.test(date) || isNaN(Date.parse(date))) throw invalid('date must be YYYY-MM-DD');
+  if (!scores || typeof scores !== 'object') throw invalid('scores are required');
+
+  const missing = Object.keys(SYMPTOMS).filter((symptom) => scores[symptom] === undefined);
+  if (missing.length > 0) throw invalid(`Missing symptom scores: ${missing.join(', ')}`);
+  const unknown = Object.keys(scores).filter((symptom) => !SYMPTOMS[symptom]);
+  if (unknown.length > 0) throw invalid(`Unknown symptoms: ${unknown.join(', ')}`);
+
+  const normalized = {};
+  for (const symptom of Object.keys(SYMPTOMS)) {
+    const value = Number(scores[symptom]);
+    if (!Number.isInteger(value) || value < 0 || value > MAX_SEVERITY) {
+      throw invalid(`${symptom} must be an integer from 0 to ${MAX_SEVERITY}`);
+    }
+    normalized[symptom] = value;
+  }
+
+  const values = Object.values(normalized);
+  const now = new Date().toISOString();
+  const existing = store.data.checkins.find((checkin) => checkin.userId === String(userId) && checkin.date === date);
+
+  const checkin = {
+    id: existing?.id || crypto.randomUUID(),
+    userId: String(userId),
+    date,
+    scores: normalized,
+    totalSymptoms: values.filter((value) => value > 0).length,
+    severityScore: values.reduce((sum, value) => sum + value, 0),
+    notes: String(notes).slice(0, 2000),
+    submittedAt: existing?.submittedAt || now,
+    updatedAt: now
+  };
+
+  if (existing) {
+    Object.assign(existing, checkin);
+  } else {
+    store.data.checkins.push(checkin);
+  }
+  await store.save();
+
+  await sendRecord('symptom_checkin', {
+    checkin_id: checkin.id,
+    user_id: checkin.userId,
+    date: checkin.date,
+    scores: checkin.scores,
+    total_symptoms: checkin.totalSymptoms,
+    severity_score: checkin.severityScore,
+    notes: checkin.notes,
+    submitted_at: checkin.updatedAt
+  });
+  return checkin;
+}
+
+function entryForDay(kind, userId, date, timeOf) {
+  const entry = timeseries.list(kind, userId)
+    .find((candidate) => candidate.data && (timeOf(candidate) || '').slice(0, 10) === date);
+  return entry ? entry.data : null;
+}
+
+/**
+ * Lists check-ins, each joined with that day's recovery and main sleep
+ * (the sleep that ended on that day)
+ * @param {string} userId - WHOOP user ID
+ * @param {Object} [options]
+ * @param {string} [options.from] - YYYY-MM-DD inclusive
+ * @param {string} [options.to] - YYYY-MM-DD inclusive
+ * @returns {Object[]} - Check-ins, newest first
+ */
+function listCheckins(userId, { from, to } = {}) {
+  return store.data.checkins
+    .filter((checkin) => checkin.userId === String(userId))
+    .filter((checkin) => (!from || checkin.date >= from) && (!to || checkin.date <= to))
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .map((checkin) => ({
+      ...checkin,
+      recovery: entryForDay('recovery', userId, checkin.date, (entry) => entry.data.created_at),
+      sleep: entryForDay('sleep', userId, checkin.date, (entry) => (!entry.data.nap ? entry.data.end : null))
+    }));
+}
+
+/**
+ * @param {string} userId - WHOOP user ID
+ * @returns {Object|null} - Most recent check-in
+ */
+function latestCheckin(userId) {
+  return store.data.checkins
+    .filter((checkin) => checkin.userId === String(userId))
+    .sort((a, b) => b.date.localeCompare(a.date))[0] || null;
+}
+
+module.exports = {
+  SYMPTOMS,
+  MAX_SEVERITY,
+  submitCheckin,
+  listCheckins,
+  latestCheckin
+};
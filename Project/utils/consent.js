@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const { JsonStore } = require('./jsonStore');
+
+// What an athlete can choose to share
+const DATA_TYPES = {
+  strain: 'Strain (daily cycles)',
+  sleep: 'Sleep',
+  recovery: 'Recovery (HRV, resting heart rate)',
+  workout: 'Workouts',
+  symptoms: 'Symptom check-ins and return-to-play status'
+};
+
+// Who it is shared with: the staff of one team, or the data export (the
+// configured data sinks, e.g. Foundry)
+const AUDIENCES = ['team', 'export'];
+
+// Data type carried by each record type sent to the data sinks
+const RECORD_DATA_TYPES = {
+  strain: 'strain',
+  cycle_started: 'strain',
+  cycle_closed: 'strain',
+  recovery: 'recovery',
+  sleep: 'sleep',
+  workout: 'workout',
+  symptom_checkin: 'symptoms',
+  rtp_episode_opened: 'symptoms',
+  rtp_stage_changed: 'symptoms',
+  rtp_episode_closed: 'symptoms',
+  rtp_violation: 'symptoms'
+};
+
+// Data type behind each alert / baseline metric
+const METRIC_DATA_TYPES = {
+  resting_heart_rate: 'recovery',
+  hrv: 'recovery',
+  recovery_score: 'recovery',
+  sleep_performance: 'sleep',
+  daily_strain: 'strain',
+  workout_strain: 'workout',
+  max_heart_rate: 'workout'
+};
+
+const store = new JsonStore('consents.json', { consents: [], audit: [] });
+
+function invalid(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function findActive(userId, audience, teamId) {
+  return store.data.consents.find((consent) =>
+    consent.userId === String(userId) &&
+    consent.audience === audience &&
+    (audience !== 'team' || consent.teamId === teamId) &&
+    !consent.revokedAt
+  ) || null;
+}
+
+function audit(entry) {
+  store.data.audit.push({ id: crypto.randomUUID(), at: new Date().toISOString(), ...entry });
+}
+
+/**
+ * Sets which data types an athlete shares with an audience. Adding types is a
+ * grant, removing them a revocation; an empty list revokes the consent.
+ * Every change is written to the audit trail.
+ * @param {string} userId - WHOOP user ID of the athlete
+ * @param {Object} input
+ * @param {string} input.audience - team | export
+ * @param {string} [input.teamId] - Team the data is shared with (team audience)
+ * @param {string[]} input.dataTypes - Data types to share (see DATA_TYPES)
+ * @param {Object} context
+ * @param {string} context.actorId - Who made the change (the athlete, or staff recording paper consent)
+ * @param {string} [context.source] - How consent was given (settings, invite, ...)
+ * @param {string} [context.inviteId] - Invite the athlete accepted
+ * @param {string} [context.at] - When the athlete agreed (defaults to now)
+ * @returns {Promise<Object|null>} - Active consent, or null when everything was revoked
+ * @throws {Error} - With status 400 for invalid input
+ */
+async function setConsent(userId, { audience, teamId = null, dataTypes }, { actorId, source = 'settings', inviteId = null, at = new Date().toISOString() }) {
+  if (!AUDIENCES.includes(audience)) throw invalid(`audience must be one of: ${AUDIENCES.join(', ')}`);
+  if (audience === 'team' && !teamId) throw invalid('teamId is required for team consent');
+  if (!Array.isArray(dataTypes)) throw invalid('dataTypes must be an array');
+  const unknown = dataTypes.filter((type) => !DATA_TYPES[type]);
+  if (unknown.length > 0) throw invalid(`Unknown data types: ${unknown.join(', ')}`);
+
+  const wanted = [...new Set(dataTypes)];
+  const existing = findActive(userId, audience, teamId);
+  const before = existing ? existing.dataTypes : [];
+  const added = wanted.filter((type) => !before.includes(type));
+  const removed = before.filter((type) => !wanted.includes(type));
+  if (added.length === 0 && removed.length === 0) return existing;
+
+  let consent = existing;
+  if (wanted.length === 0) {
+    existing.revokedAt = at;
+    existing.revokedBy = actorId;
+    consent = null;
+  } else if (existing) {
+    existing.dataTypes = wanted;
+    existing.updatedAt = at;
+  } else {
+    consent = {
+      id: crypto.randomUUID(),
+      userId: String(userId),
+      audience,
+      teamId: audience === 'team' ? teamId : null,
+      dataTypes: wanted,
+      source,
+      inviteId,
+      grantedAt: at,
+      grantedBy: actorId,
+      updatedAt: at,
+      revokedAt: null
+    };
+    store.data.consents.push(consent);
+  }
+
+  audit({
+    userId: String(userId),
+    actorId,
+    action: wanted.length === 0 ? 'revoked' : (existing ? 'updated' : 'granted'),
+    consentId: (consent || existing).id,
+    audience,
+    teamId: audience === 'team' ? teamId : null,
+    added,
+    removed,
+    dataTypes: wanted,
+    source
+  });
+  await store.save();
+
+  if (removed.length > 0) {
+    console.log(`Consent: user ${userId} stopped sharing ${removed.join(', ')} with ${audience === 'team' ? `team ${teamId}` : 'export'}`);
+  }
+  return consent;
+}
+
+/**
+ * Revokes a consent entirely
+ * @param {string} userId - WHOOP user ID of the athlete
+ * @param {string} consentId - Consent ID
+ * @param {string} actorId - Who revoked it
+ * @returns {Promise<boolean>} - True if an active consent was revoked
+ */
+async function revokeConsent(userId, consentId, actorId) {
+  const consent = store.data.consents.find((candidate) =>
+    candidate.id === consentId && candidate.userId === String(userId) && !candidate.revokedAt
+  );
+  if (!consent) return false;
+  await setConsent(userId, { audience: consent.audience, teamId: consent.teamId, dataTypes: [] }, { actorId });
+  return true;
+}
+
+/**
+ * @param {string} userId - WHOOP user ID of the athlete
+ * @param {string} audience - team | export
+ * @param {string} [teamId] - Team (team audience)
+ * @returns {string[]} - Data types currently shared with the audience
+ */
+function sharedDataTypes(userId, audience, teamId) {
+  const consent = findActive(userId, audience, teamId);
+  return consent ? consent.dataTypes : [];
+}
+
+/**
+ * @param {string} userId - WHOOP user ID of the athlete
+ * @param {string} audience - team | export
+ * @param {string|null} teamId - Team (team audience)
+ * @param {string} dataType - Data type
+ * @returns {boolean} - True if the athlete currently shares this data type with the audience
+ */
+function isShared(userId, audience, teamId, dataType) {
+  return sharedDataTypes(userId, audience, teamId).includes(dataType);
+}
+
+/**
+ * @param {Object} alert - Alert episode
+ * @returns {string|undefined} - Data type the alert reveals (return-to-play alerts count as symptoms)
+ */
+function dataTypeForAlert(alert) {
+  return alert.key?.startsWith('rtp:') ? 'symptoms' : METRIC_DATA_TYPES[alert.metric];
+}
+
+/**
+ * Decides whether a record may leave the app through the data sinks. Records
+ * that aren't about an athlete, and deletion notices, always pass.
+ * @param {string} valueType - Record type
+ * @param {Object} payload - Record payload
+ * @returns {boolean} - True if the record may be exported
+ */
+function isExportAllowed(valueType, payload) {
+  const userId = payload?.user_id;
+  if (!userId || valueType.endsWith('_deleted')) return true;
+
+  const dataType = valueType === 'alert' ? dataTypeForAlert(payload) : RECORD_DATA_TYPES[valueType];
+  if (!dataType) {
+    console.warn(`Consent: no data type for ${valueType} records; withholding`);
+    return false;
+  }
+  return isShared(userId, 'export', null, dataType);
+}
+
+/**
+ * @param {string} userId - WHOOP user ID of the athlete
+ * @returns {Object[]} - The athlete's consents (active and revoked), newest first
+ */
+function listConsents(userId) {
+  return store.data.consents
+    .filter((consent) => consent.userId === String(userId))
+    .sort((a, b) => new Date(b.grantedAt) - new Date(a.grantedAt));
+}
+
+/**
+ * @param {string} userId - WHOOP user ID of the athlete
+ * @returns {Object[]} - Audit trail of consent changes, newest first
+ */
+function consentHistory(userId) {
+  return store.data.audit
+    .filter((entry) => entry.userId === String(userId))
+    .sort((a, b) => new Date(b.at) - new Date(a.at));
+}
+
+module.exports = {
+  DATA_TYPES,
+  AUDIENCES,
+  METRIC_DATA_TYPES,
+  setConsent,
+  revokeConsent,
+  sharedDataTypes,
+  isShared,
+  dataTypeForAlert,
+  isExportAllowed,
+  listConsents,
+  consentHistory
+};
@@ -0,0 +1,87 @@
+require('dotenv').config({ path: '../../.env' });
+const crypto = require('crypto');
+const os = require('os');
+const { getPool } = require('./db');
+
+// How instances of the app share work. "local" (the default) assumes one
+// instance. "postgres" keeps polling jobs in DATABASE_URL, where each job is
+// leased to one instance at a time, serialises token refreshes with advisory
+// locks, and bridges strain events between instances with LISTEN/NOTIFY.
+const COORDINATION_MODES = ['local', 'postgres'];
+const COORDINATION = process.env.COORDINATION || 'local';
+
+if (!COORDINATION_MODES.includes(COORDINATION)) {
+  throw new Error(`Unknown COORDINATION "${COORDINATION}" (expected one of: ${COORDINATION_MODES.join(', ')})`);
+}
+if (COORDINATION === 'postgres' && !process.env.DATABASE_URL) {
+  throw new Error('DATABASE_URL environment variable is required for COORDINATION=postgres');
+}
+
+// How long withLock() waits for another instance to let go of a lock
+const LOCK_WAIT_MS = 1000 * 30;
+
+// Identifies this process as a lease owner; unique per start so a restarted
+// instance doesn't inherit leases it can't vouch for
+const INSTANCE_ID = process.env.INSTANCE_ID ||
+  `${process.env.RENDER_INSTANCE_ID || os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+/**
+ * @returns {boolean} - True when several instances coordinate through Postgres
+ */
+function isCoordinated() {
+  return COORDINATION === 'postgres';
+}
+
+/**
+ * Runs fn while holding a Postgres advisory lock on key, so only one instance
+ * at a time does it (with COORDINATION=local, fn just runs; callers guard
+ * against overlap within the process themselves). The lock belongs to a
+ * transaction, so it is released even if the connection drops.
+ * @param {string} key - Lock name (e.g. "token-refresh:<userId>")
+ * @param {Function} fn - async () => result
+ * @param {Object} [options]
+ * @param {number} [options.waitMs=30000] - How long to wait for the lock; 0 gives up at once
+ * @returns {Promise<*>} - fn's result
+ * @throws {Error} - error.lockBusy is true when another instance held the lock throughout
+ */
+async function withLock(key, fn, { waitMs = LOCK_WAIT_MS } = {}) {
+  if (!isCoordinated()) return fn();
+
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    let acquired = true;
+    if (waitMs > 0) {
+      await client.query(`SET LOCAL lock_timeout = ${Math.round(waitMs)}`);
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [key]);
+    } else {
+      const { rows } = await client.query('SELECT pg_try_advisory_xact_lock(hashtext($1)) AS acquired', [key]);
+      acquired = rows[0].acquired;
+    }
+    if (!acquired) {
+      const error = new Error(`Lock "${key}" is held by another instance`);
+      error.lockBusy = true;
+      throw error;
+    }
+
+    const result = await fn();
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    // 55P03: lock_timeout ran out
+    if (error.code === '55P03') {
+      error.lockBusy = true;
+    }
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  COORDINATION,
+  INSTANCE_ID,
+  isCoordinated,
+  withLock
+};
@@ -0,0 +1,84 @@
+require('dotenv').config({ path: '../../.env' });
+
+// Smallest change in a cycle's strain that is worth another "strain" record
+const STRAIN_CHANGE_THRESHOLD = process.env.STRAIN_CHANGE_THRESHOLD !== undefined
+  ? parseFloat(process.env.STRAIN_CHANGE_THRESHOLD)
+  : 0.1;
+// Ended cycles still waiting for their final score are retried on each poll;
+// beyond this many, the oldest are given up
+const MAX_UNCLOSED_CYCLES = 7;
+
+/**
+ * @param {Object} cycle - WHOOP cycle
+ * @returns {boolean} - Whether WHOOP has scored the cycle
+ */
+function isScored(cycle) {
+  return cycle.score_state === 'SCORED' && typeof cycle.score?.strain === 'number';
+}
+
+/**
+ * Works out what the strain poller should emit for the latest cycle, given
+ * what it last emitted for the athlete. Unscored cycles (PENDING_SCORE,
+ * UNSCORABLE) never produce a "strain" or "cycle_closed" record, so a cycle
+ * that ends before WHOOP scores it is closed on a later poll.
+ * @param {Object|null} previous - Last emitted state ({ cycleId, strain, closed, unclosedCycleIds }), null before the first poll
+ * @param {Object} cycle - Latest WHOOP cycle
+ * @returns {Object} - { started, strainChanged, closed, previousCycleId } where previousCycleId is set
+ *   when the cycle changed before the previous one was seen closing
+ */
+function detectChanges(previous, cycle) {
+  const started = Boolean(previous) && String(previous.cycleId) !== String(cycle.id);
+  const sameCycle = Boolean(previous) && !started;
+  const scored = isScored(cycle);
+
+  return {
+    started,
+    strainChanged: scored && (!sameCycle || previous.strain === null ||
+      Math.abs(cycle.score.strain - previous.strain) >= STRAIN_CHANGE_THRESHOLD),
+    closed: scored && Boolean(cycle.end) && !(sameCycle && previous.closed),
+    previousCycleId: started && !previous.closed ? previous.cycleId : null
+  };
+}
+
+/**
+ * Earlier cycles that ended without a "cycle_closed" record: the ones still
+ * waiting from before, plus the previous cycle when a new one started first
+ * @param {Object|null} previous - Last emitted state
+ * @param {Object} changes - From detectChanges()
+ * @returns {Array<string|number>} - Cycle IDs, oldest first
+ */
+function unclosedCycleIds(previous, changes) {
+  const ids = [...(previous?.unclosedCycleIds || [])];
+  if (changes.previousCycleId !== null && !ids.some((id) => String(id) === String(changes.previousCycleId))) {
+    ids.push(changes.previousCycleId);
+  }
+  return ids.slice(-MAX_UNCLOSED_CYCLES);
+}
+
+/**
+ * @param {Object} cycle - Latest WHOOP cycle
+ * @param {Object|null} previous - Last emitted state
+ * @param {Object} emitted
+ * @param {boolean} emitted.strain - Whether a "strain" record was just sent
+ * @param {boolean} emitted.closed - Whether a "cycle_closed" record was just sent
+ * @param {Array<string|number>} [emitted.unclosedCycleIds] - Earlier cycles still to be closed
+ * @returns {Object} - State to remember for the next poll
+ */
+function emittedState(cycle, previous, { strain, closed, unclosedCycleIds: unclosed = [] }) {
+  const sameCycle = previous && String(previous.cycleId) === String(cycle.id);
+  return {
+    cycleId: cycle.id,
+    strain: strain ? cycle.score.strain : (sameCycle ? previous.strain : null),
+    closed: closed || Boolean(sameCycle && previous.closed),
+    unclosedCycleIds: unclosed,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  STRAIN_CHANGE_THRESHOLD,
+  isScored,
+  detectChanges,
+  unclosedCycleIds,
+  emittedState
+};
@@ -0,0 +1,73 @@
+require('dotenv').config({ path: '../../.env' });
+const { Pool, Client } = require('pg');
+
+// Get environment variables
+const DATABASE_URL = process.env.DATABASE_URL;
+const DATABASE_SSL = process.env.DATABASE_SSL === 'true';
+
+let pool = null;
+
+/**
+ * @returns {boolean} - True if a Postgres connection string is configured
+ */
+function isDatabaseConfigured() {
+  return !!DATABASE_URL;
+}
+
+/**
+ * Returns the shared Postgres pool, creating it on first use
+ * @returns {Pool} - pg connection pool
+ * @throws {Error} - When DATABASE_URL is not set
+ */
+function getPool() {
+  if (!DATABASE_URL) {
+    throw new Error('DATABASE_URL environment variable is required for Postgres features');
+  }
+  if (!pool) {
+    pool = new Pool({
+      connectionString: DATABASE_URL,
+      ssl: DATABASE_SSL ? { rejectUnauthorized: false } : undefined
+    });
+    pool.on('error', (error) => {
+      console.error('Postgres pool error:', error);
+    });
+  }
+  return pool;
+}
+
+/**
+ * Opens a dedicated connection, for sessions a pooled connection can't hold
+ * (e.g. LISTEN)
+ * @returns {Promise<Client>} - Connected pg client; the caller ends it
+ * @throws {Error} - When DATABASE_URL is not set or the connection fails
+ */
+async function connectClient() {
+  if (!DATABASE_URL) {
+    throw new Error('DATABASE_URL environment variable is required for Postgres features');
+  }
+  const client = new Client({
+    connectionString: DATABASE_URL,
+    ssl: DATABASE_SSL ? { rejectUnauthorized: false } : undefined
+  });
+  await client.connect();
+  return client;
+}
+
+/**
+ * Closes the shared pool (used by CLI scripts and shutdown)
+ * @returns {Promise<void>}
+ */
+async function closePool() {
+  if (pool) {
+    const closing = pool;
+    pool = null;
+    await closing.end();
+  }
+}
+
+module.exports = {
+  isDatabaseConfigured,
+  getPool,
+  connectClient,
+  closePool
+};
@@ -0,0 +1,56 @@
+const { JsonStore } = require('./jsonStore');
+
+// How long a delivery is remembered; backfills reaching further back resend
+const DEFAULT_RETENTION_MS = 1000 * 60 * 60 * 24 * 90;
+
+/**
+ * Remembers which records a sink has actually delivered, by a caller-chosen
+ * key (e.g. WHOOP object and version), so a backfill can tell what still has
+ * to be sent. Records that were dead-lettered, withheld by consent or never
+ * written are simply absent.
+ */
+class DeliveryLedger {
+  /**
+   * @param {string} fileName - File name relative to DATA_DIR
+   * @param {Object} [options]
+   * @param {number} [options.retentionMs] - How long deliveries are remembered (default 90 days)
+   */
+  constructor(fileName, { retentionMs = DEFAULT_RETENTION_MS } = {}) {
+    this.store = new JsonStore(fileName, { delivered: {} });
+    this.retentionMs = retentionMs;
+  }
+
+  /**
+   * @param {string} key - Delivery key
+   * @returns {boolean} - Whether a record with this key has been delivered
+   */
+  has(key) {
+    return Boolean(this.store.data.delivered[key]);
+  }
+
+  /**
+   * Records keys as delivered now and forgets deliveries past the retention period
+   * @param {string[]} keys - Delivery keys (falsy entries are ignored)
+   * @returns {Promise<void>}
+   */
+  async mark(keys) {
+    const delivered = this.store.data.delivered;
+    const now = Date.now();
+    const fresh = keys.filter(Boolean);
+    if (fresh.length === 0) return;
+
+    fresh.forEach((key) => {
+      delivered[key] = new Date(now).toISOString();
+    });
+    Object.keys(delivered).forEach((key) => {
+      if (now - new Date(delivered[key]).getTime() > this.retentionMs) {
+        delete delivered[key];
+      }
+    });
+    await this.store.save();
+  }
+}
+
+module.exports = {
+  DeliveryLedger
+};
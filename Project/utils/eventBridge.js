@@ -0,0 +1,141 @@
+const { getPool, connectClient } = require('./db');
+const { INSTANCE_ID, isCoordinated } = require('./coordination');
+
+// Postgres rejects NOTIFY payloads of 8000 bytes or more
+const MAX_PAYLOAD_BYTES = 7900;
+const RECONNECT_DELAY = 1000 * 5;
+
+/**
+ * Carries one event of an in-process EventEmitter to every instance through
+ * Postgres LISTEN/NOTIFY (COORDINATION=postgres). publish() always emits
+ * locally first, so this instance's listeners never depend on the database;
+ * other instances re-emit what they receive. With a single instance it is a
+ * plain emit. For events emitted by code that doesn't know about the bridge,
+ * relay() forwards every local emit instead.
+ * @param {Object} options
+ * @param {EventEmitter} options.emitter - Emitter to bridge
+ * @param {string} options.event - Event name (e.g. "strain")
+ * @param {string} options.channel - NOTIFY channel (letters and underscores)
+ * @returns {Object} - { publish(payload), relay(), start(), stop() }
+ */
+function createEventBridge({ emitter, event, channel }) {
+  let client = null;
+  let running = false;
+  let reconnectTimer = null;
+  // Set while re-emitting an event from another instance, so relay() doesn't send it back
+  let receiving = false;
+
+  function emitLocally(payload) {
+    try {
+      emitter.emit(event, payload);
+    } catch (error) {
+      console.error(`Error in ${event} listener:`, error);
+    }
+  }
+
+  async function notifyOthers(payload) {
+    if (!isCoordinated()) return;
+
+    const message = JSON.stringify({ origin: INSTANCE_ID, payload });
+    if (Buffer.byteLength(message) > MAX_PAYLOAD_BYTES) {
+      console.warn(`${event} event too large to send to other instances (${Buffer.byteLength(message)} bytes)`);
+      return;
+    }
+    try {
+      await getPool().query('SELECT pg_notify($1, $2)', [channel, message]);
+    } catch (error) {
+      console.error(`Error sending ${event} event to other instances:`, error.message);
+    }
+  }
+
+  function reconnectLater() {
+    if (!running || reconnectTimer) return;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      listen();
+    }, RECONNECT_DELAY);
+    reconnectTimer.unref();
+  }
+
+  async function listen() {
+    let connection;
+    try {
+      connection = await connectClient();
+      connection.on('notification', ({ channel: received, payload }) => {
+        if (received !== channel) return;
+        try {
+          const message = JSON.parse(payload);
+          if (message.origin !== INSTANCE_ID) {
+            receiving = true;
+            try {
+              emitLocally(message.payload);
+            } finally {
+              receiving = false;
+            }
+          }
+        } catch (error) {
+          console.error(`Ignoring malformed ${channel} notification:`, error.message);
+        }
+      });
+      connection.on('error', (error) => {
+        console.error(`Lost ${channel} listener connection:`, error.message);
+        connection.end().catch(() => {});
+      });
+      connection.on('end', () => {
+        if (client === connection) client = null;
+        reconnectLater();
+      });
+      await connection.query(`LISTEN ${channel}`);
+      client = connection;
+      console.log(`Listening for ${event} events from other instances on ${channel}`);
+    } catch (error) {
+      console.error(`Error listening on ${channel}, retrying in ${RECONNECT_DELAY / 1000}s:`, error.message);
+      if (connection) {
+        connection.end().catch(() => {});
+      } else {
+        reconnectLater();
+      }
+    }
+  }
+
+  return {
+    /**
+     * @param {Object} payload - Event payload (must be JSON-serialisable)
+     * @returns {Promise<void>} - Resolves once other instances were notified (never rejects)
+     */
+    async publish(payload) {
+      emitLocally(payload);
+      await notifyOthers(payload);
+    },
+
+    /**
+     * Sends every event emitted on this instance to the others (events
+     * received from them are not sent back)
+     */
+    relay() {
+      emitter.on(event, (payload) => {
+        if (!receiving) notifyOthers(payload);
+      });
+    },
+
+    start() {
+      if (!isCoordinated() || running) return;
+      running = true;
+      listen();
+    },
+
+    stop() {
+      running = false;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      if (client) {
+        client.end().catch(() => {});
+        client = null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createEventBridge
+};
@@ -1,59 +1,108 @@
 require('dotenv').config({ path: '../../.env' });
+const { Outbox } = require('./outbox');
+const consent = require('./consent');
 
 // Get environment variables
 const FOUNDRY_STREAM_URI = process.env.FOUNDRY_STREAM_URI;
 const FOUNDRY_TOKEN = process.env.FOUNDRY_TOKEN;
+const FOUNDRY_BATCH_SIZE = parseInt(process.env.FOUNDRY_BATCH_SIZE, 10) || 50;
+const FOUNDRY_MAX_ATTEMPTS = parseInt(process.env.FOUNDRY_MAX_ATTEMPTS, 10) || 8;
 
-// Validate required environment variables
-if (!FOUNDRY_STREAM_URI) {
-    throw new Error('FOUNDRY_STREAM_URI environment variable is required');
+let foundryOutbox = null;
+
+/**
+ * @returns {boolean} - True if Foundry credentials are configured
+ */
+function isFoundryConfigured() {
+    return !!(FOUNDRY_STREAM_URI && FOUNDRY_TOKEN);
 }
-if (!FOUNDRY_TOKEN) {
-    throw new Error('FOUNDRY_TOKEN environment variable is required');
+
+/**
+ * Posts a batch of records to the Foundry datastream
+ * @param {Object[]} records - Streaming rows ({ timestamp, value, payload })
+ * @returns {Promise<void>}
+ * @throws {Error} - When Foundry rejects the batch or is unreachable
+ */
+async function postRecords(records) {
+    // Create a post request with an array of streaming rows
+    const response = await fetch(FOUNDRY_STREAM_URI, {
+        method: 'POST',
+        headers: {
+            Authorization: "Bearer " + FOUNDRY_TOKEN,
+            "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ records })
+    });
+
+    // Check if the request was successful
+    if (!response.ok) {
+        const errorText = await response.text().catch(() => 'No error text');
+        throw new Error(`Foundry API error: ${response.status} - ${errorText}`);
+    }
 }
 
 /**
- * Sends data to Foundry datastream
+ * Returns the Foundry outbox, creating it on first use. Records are written to
+ * disk first and flushed to Foundry in batches, so a slow or unavailable
+ * Foundry never loses readings or fails the caller.
+ * @returns {Outbox} - Foundry outbox
+ * @throws {Error} - When Foundry credentials are missing
+ */
+function getFoundryOutbox() {
+    // Validate required environment variables
+    if (!FOUNDRY_STREAM_URI) {
+        throw new Error('FOUNDRY_STREAM_URI environment variable is required');
+    }
+    if (!FOUNDRY_TOKEN) {
+        throw new Error('FOUNDRY_TOKEN environment variable is required');
+    }
+
+    if (!foundryOutbox) {
+        foundryOutbox = new Outbox({
+            name: 'foundry',
+            deliver: postRecords,
+            batchSize: FOUNDRY_BATCH_SIZE,
+            maxAttempts: FOUNDRY_MAX_ATTEMPTS,
+            // Re-checked at delivery so a revocation also stops records already queued
+            isDeliverable: (record) => consent.isExportAllowed(record.value, JSON.parse(record.payload))
+        });
+    }
+    return foundryOutbox;
+}
+
+/**
+ * Queues data for the Foundry datastream. Athlete data is only sent for data
+ * types the athlete has consented to export.
  * @param {string} valueType - Type of data being sent
  * @param {Object} payloadData - Data payload
- * @returns {Promise<boolean>} - Success status
+ * @param {string} [timestamp] - Record timestamp (defaults to now)
+ * @param {Object} [options]
+ * @param {string} [options.key] - Delivery key remembered once Foundry accepts the record
+ * @returns {Promise<boolean>} - True once the record is durably queued, false when consent withholds it
  */
-async function sendToFoundry(valueType, payloadData) {
+async function sendToFoundry(valueType, payloadData, timestamp = new Date().toISOString(), { key } = {}) {
+    if (!consent.isExportAllowed(valueType, payloadData)) {
+        return false;
+    }
+
     try {
         // Create record matching the new schema: timestamp, value, payload
         const record = {
-            timestamp: new Date().toISOString(),
+            timestamp,
             value: valueType,
             payload: JSON.stringify(payloadData)
         };
 
-        const sampleData = [record];
-
-        // Create a post request with an array of streaming rows
-        const response = await fetch(FOUNDRY_STREAM_URI, {
-            method: 'POST',
-            headers: {
-                Authorization: "Bearer " + FOUNDRY_TOKEN,
-                "Content-Type": "application/json",
-            },
-            body: JSON.stringify({ records: sampleData })
-        });
-
-        // Check if the request was successful
-        if (!response.ok) {
-            const errorText = await response.text().catch(() => 'No error text');
-            throw new Error(`Foundry API error: ${response.status} - ${errorText}`);
-        }
-    
-        // Log success and return
-        console.log('Successfully sent data to Foundry');
+        await getFoundryOutbox().enqueue(record, { key });
         return true;
     } catch (error) {
-        console.error('Error sending data to Foundry:', error);
+        console.error('Error queueing data for Foundry:', error);
         throw error;
     }
 }
-  
+
 module.exports = {
-    sendToFoundry
-};
\ No newline at end of file
+    sendToFoundry,
+    getFoundryOutbox,
+    isFoundryConfigured
+};
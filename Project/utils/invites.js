@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { JsonStore } = require('./jsonStore');
+const organizations = require('./organizations');
+const consent = require('./consent');
+
+const DEFAULT_EXPIRY_HOURS = 72;
+const MAX_EXPIRY_HOURS = 30 * 24;
+
+// Only a hash of each invite token is stored; the token itself is shown once,
+// in the link returned to the staff member who created it
+const store = new JsonStore('invites.json', { invites: [] });
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function invalid(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Invite as shown to staff (never includes the token hash)
+function publicInvite({ tokenHash, ...invite }) {
+  return { ...invite, status: inviteStatus(invite) };
+}
+
+function inviteStatus(invite) {
+  if (invite.revokedAt) return 'revoked';
+  if (invite.usedAt) return 'used';
+  if (new Date(invite.expiresAt) <= new Date()) return 'expired';
+  return 'pending';
+}
+
+/**
+ * Creates a single-use invite for an athlete to join a team
+ * @param {string} teamId - Team ID
+ * @param {Object} [options]
+ * @param {number} [options.expiresInHours=72] - How long the link stays valid
+ * @param {string} createdBy - User ID of the staff member
+ * @returns {Promise<Object|null>} - { invite, token } or null when the team doesn't exist
+ * @throws {Error} - With status 400 for an invalid expiry
+ */
+async function createInvite(teamId, { expiresInHours = DEFAULT_EXPIRY_HOURS } = {}, createdBy) {
+  if (!organizations.getTeam(teamId)) return null;
+  if (typeof expiresInHours !== 'number' || expiresInHours <= 0 || expiresInHours > MAX_EXPIRY_HOURS) {
+    throw invalid(`expiresInHours must be a number between 0 and ${MAX_EXPIRY_HOURS}`);
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const invite = {
+    id: crypto.randomUUID(),
+    tokenHash: hashToken(token),
+    teamId,
+    role: 'athlete',
+    createdBy,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + expiresInHours * 60 * 60 * 1000).toISOString(),
+    usedAt: null,
+    usedBy: null,
+    revokedAt: null
+  };
+  store.data.invites.push(invite);
+  await store.save();
+  return { invite: publicInvite(invite), token };
+}
+
+/**
+ * @param {string} token - Token from the invite link
+ * @returns {Object|null} - The invite and its team, or null when the link is unknown, used, revoked or expired
+ */
+function findValidInvite(token) {
+  const tokenHash = hashToken(token);
+  const invite = store.data.invites.find((candidate) => candidate.tokenHash === tokenHash);
+  if (!invite || inviteStatus(invite) !== 'pending') return null;
+  const team = organizations.getTeam(invite.teamId);
+  return team ? { invite: publicInvite(invite), team } : null;
+}
+
+/**
+ * Checks the data types an athlete ticked on the invite page
+ * @param {*} dataTypes - Data types from the accept form
+ * @returns {string[]} - The data types
+ * @throws {Error} - With status 400 when none or unknown ones were given
+ */
+function validateDataTypes(dataTypes) {
+  if (!Array.isArray(dataTypes) || dataTypes.length === 0 ||
+      dataTypes.some((dataType) => !consent.DATA_TYPES[dataType])) {
+    throw invalid(`dataTypes must be a non-empty array of: ${Object.keys(consent.DATA_TYPES).join(', ')}`);
+  }
+  return [...new Set(dataTypes)];
+}
+
+/**
+ * Uses an invite: puts the athlete on the team's roster and records their
+ * consent to share the data types they ticked with the team. Someone already
+ * on the team keeps their role (staff opening their own team's link stay staff).
+ * @param {string} token - Token from the invite link
+ * @param {string} userId - WHOOP user ID of the athlete
+ * @param {Object} options
+ * @param {string[]} options.dataTypes - Data types the athlete agreed to share on the invite page
+ * @param {string} [options.consentedAt] - When the athlete agreed on the invite page
+ * @returns {Promise<Object|null>} - { invite, team, membership, consent } or null when the invite isn't valid
+ * @throws {Error} - With status 400 for invalid data types
+ */
+async function redeemInvite(token, userId, { dataTypes, consentedAt } = {}) {
+  const tokenHash = hashToken(token);
+  const invite = store.data.invites.find((candidate) => candidate.tokenHash === tokenHash);
+  if (!invite || inviteStatus(invite) !== 'pending') return null;
+  const sharedTypes = validateDataTypes(dataTypes);
+
+  // Mark used before anything async so the link can't be redeemed twice
+  invite.usedAt = new Date().toISOString();
+  invite.usedBy = String(userId);
+  await store.save();
+
+  const existing = organizations.listMembers(invite.teamId).find((member) => member.userId === String(userId));
+  const membership = existing ||
+    await organizations.addMember(invite.teamId, { userId, role: invite.role }, invite.createdBy);
+  const consentRecord = await consent.setConsent(
+    userId,
+    { audience: 'team', teamId: invite.teamId, dataTypes: sharedTypes },
+    { actorId: String(userId), source: 'invite', inviteId: invite.id, at: consentedAt }
+  );
+  return { invite: publicInvite(invite), team: organizations.getTeam(invite.teamId), membership, consent: consentRecord };
+}
+
+/**
+ * @param {string} teamId - Team ID
+ * @returns {Object[]} - The team's invites with their status, newest first
+ */
+function listInvites(teamId) {
+  return store.data.invites
+    .filter((invite) => invite.teamId === teamId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(publicInvite);
+}
+
+/**
+ * @param {string} teamId - Team ID
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object|null>} - Revoked invite or null when there is no pending invite with this ID
+ */
+async function revokeInvite(teamId, inviteId) {
+  const invite = store.data.invites.find((candidate) => candidate.id === inviteId && candidate.teamId === teamId);
+  if (!invite || inviteStatus(invite) !== 'pending') return null;
+  invite.revokedAt = new Date().toISOString();
+  await store.save();
+  return publicInvite(invite);
+}
+
+module.exports = {
+  validateDataTypes,
+  createInvite,
+  findValidInvite,
+  redeemInvite,
+  listInvites,
+  revokeInvite
+};
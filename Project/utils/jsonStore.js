@@ -0,0 +1,71 @@
+require('dotenv').config({ path: '../../.env' });
+const fs = require('fs-extra');
+const path = require('path');
+
+// Local state lives next to the app unless DATA_DIR points somewhere persistent
+// (e.g. a mounted disk on Render)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Small file-backed JSON document used for local persistence.
+ * The document is loaded synchronously on first access and every save() is
+ * written to a temp file and renamed into place, so a crash mid-write never
+ * leaves a half-written file behind. Saves are serialised through a promise
+ * chain so concurrent callers can't interleave writes.
+ */
+class JsonStore {
+  /**
+   * @param {string} fileName - File name relative to DATA_DIR
+   * @param {Object} defaults - Initial document when the file doesn't exist yet
+   */
+  constructor(fileName, defaults = {}) {
+    this.filePath = path.join(DATA_DIR, fileName);
+    this.defaults = defaults;
+    this.doc = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Returns the in-memory document, loading it from disk on first access
+   * @returns {Object} - Mutable document; call save() after changing it
+   */
+  get data() {
+    if (!this.doc) {
+      this.doc = this.load();
+    }
+    return this.doc;
+  }
+
+  load() {
+    try {
+      if (fs.pathExistsSync(this.filePath)) {
+        return { ...structuredClone(this.defaults), ...fs.readJsonSync(this.filePath) };
+      }
+    } catch (error) {
+      console.error(`Error reading ${this.filePath}, starting empty:`, error.message);
+    }
+    return structuredClone(this.defaults);
+  }
+
+  /**
+   * Persists the current document to disk
+   * @returns {Promise<void>}
+   */
+  save() {
+    const snapshot = JSON.stringify(this.data);
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.writeFile(tmpPath, snapshot);
+        await fs.rename(tmpPath, this.filePath);
+      });
+    return this.writing;
+  }
+}
+
+module.exports = {
+  JsonStore,
+  DATA_DIR
+};
@@ -0,0 +1,476 @@
+require('dotenv').config({ path: '../../.env' });
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { JsonStore } = require('./jsonStore');
+const consent = require('./consent');
+const organizations = require('./organizations');
+const { ROLE_PERMISSIONS } = require('./permissions');
+
+// Get environment variables
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = parseInt(process.env.SMTP_PORT, 10) || 587;
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASS = process.env.SMTP_PASS;
+const SMTP_FROM = process.env.SMTP_FROM || 'WHOOP Dashboard <alerts@localhost>';
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:3000';
+const NOTIFY_MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || 5;
+
+const DISPATCH_INTERVAL = 1000 * 15;  // check for due deliveries every 15 seconds
+const RETRY_BASE_DELAY = 1000 * 30;
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+const CHANNELS = ['email', 'webhook'];
+const WEBHOOK_FORMATS = ['slack', 'teams', 'json'];
+// A recipient sees what a staff member with its role on its team may see
+const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS).filter((role) => ROLE_PERMISSIONS[role].length > 0);
+
+const recipientsStore = new JsonStore('notification-recipients.json', { recipients: [] });
+const deliveriesStore = new JsonStore('notification-deliveries.json', { deliveries: [] });
+
+let transporter = null;
+let dispatchTimer = null;
+let dispatching = false;
+
+function getTransporter() {
+  if (!SMTP_HOST) {
+    throw new Error('SMTP_HOST environment variable is required for email notifications');
+  }
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined
+    });
+  }
+  return transporter;
+}
+
+// ---------------------------------------------------------------------------
+// RECIPIENTS
+// ---------------------------------------------------------------------------
+
+/**
+ * Validates recipient preferences
+ * @param {Object} recipient - Recipient fields
+ * @returns {string[]} - Problems (empty when valid)
+ */
+function validateRecipient(recipient) {
+  const problems = [];
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  if (!recipient.name) problems.push('name is required');
+  if (!recipient.teamId || !organizations.getTeam(recipient.teamId)) problems.push('teamId must name an existing team');
+  if (!STAFF_ROLES.includes(recipient.role)) problems.push(`role must be one of: ${STAFF_ROLES.join(', ')}`);
+  if (!Array.isArray(recipient.channels) || recipient.channels.length === 0 ||
+      recipient.channels.some((channel) => !CHANNELS.includes(channel))) {
+    problems.push(`channels must be a non-empty array of: ${CHANNELS.join(', ')}`);
+  }
+  if (recipient.channels?.includes('email') && !recipient.email) problems.push('email is required for the email channel');
+  if (recipient.channels?.includes('webhook')) {
+    if (!recipient.webhookUrl || !/^https?:\/\//.test(recipient.webhookUrl)) problems.push('webhookUrl must be an http(s) URL');
+    if (!WEBHOOK_FORMATS.includes(recipient.webhookFormat)) problems.push(`webhookFormat must be one of: ${WEBHOOK_FORMATS.join(', ')}`);
+  }
+  if (SEVERITY_RANK[recipient.minSeverity] === undefined) problems.push('minSeverity must be info, warning or critical');
+  if (!Array.isArray(recipient.athleteIds)) problems.push('athleteIds must be an array');
+  if (recipient.quietHours) {
+    const { start, end, timezone } = recipient.quietHours;
+    if (!timePattern.test(start) || !timePattern.test(end)) problems.push('quietHours start and end must be HH:MM');
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      problems.push('quietHours.timezone must be an IANA time zone');
+    }
+  }
+  return problems;
+}
+
+function normalizeRecipient(input) {
+  return {
+    name: input.name,
+    teamId: input.teamId || null,
+    role: input.role || null,
+    email: input.email || null,
+    webhookUrl: input.webhookUrl || null,
+    webhookFormat: input.webhookFormat || 'slack',
+    channels: input.channels || [],
+    minSeverity: input.minSeverity || 'warning',
+    athleteIds: (input.athleteIds || []).map(String),
+    quietHours: input.quietHours ? { timezone: 'UTC', ...input.quietHours } : null,
+    enabled: input.enabled !== false
+  };
+}
+
+function invalid(problems) {
+  const error = new Error(problems.join('; '));
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Adds a notification recipient
+ * @param {Object} input - Recipient preferences
+ * @param {string} createdBy - User ID of the staff member
+ * @returns {Promise<Object>} - Created recipient
+ * @throws {Error} - With status 400 when preferences are invalid
+ */
+async function createRecipient(input, createdBy) {
+  const recipient = normalizeRecipient(input);
+  const problems = validateRecipient(recipient);
+  if (problems.length > 0) throw invalid(problems);
+
+  const created = { id: crypto.randomUUID(), ...recipient, createdBy, createdAt: new Date().toISOString() };
+  recipientsStore.data.recipients.push(created);
+  await recipientsStore.save();
+  return created;
+}
+
+/**
+ * @param {string} recipientId - Recipient ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object|null>} - Updated recipient or null when not found
+ * @throws {Error} - With status 400 when preferences are invalid
+ */
+async function updateRecipient(recipientId, changes) {
+  const existing = getRecipient(recipientId);
+  if (!existing) return null;
+
+  const recipient = normalizeRecipient({ ...existing, ...changes });
+  const problems = validateRecipient(recipient);
+  if (problems.length > 0) throw invalid(problems);
+
+  Object.assign(existing, recipient, { updatedAt: new Date().toISOString() });
+  await recipientsStore.save();
+  return existing;
+}
+
+/**
+ * @param {string} recipientId - Recipient ID
+ * @returns {Promise<boolean>} - True if a recipient was deleted
+ */
+async function deleteRecipient(recipientId) {
+  const before = recipientsStore.data.recipients.length;
+  recipientsStore.data.recipients = recipientsStore.data.recipients.filter((recipient) => recipient.id !== recipientId);
+  if (recipientsStore.data.recipients.length === before) return false;
+  await recipientsStore.save();
+  return true;
+}
+
+function getRecipient(recipientId) {
+  return recipientsStore.data.recipients.find((recipient) => recipient.id === recipientId) || null;
+}
+
+function listRecipients() {
+  return recipientsStore.data.recipients;
+}
+
+// ---------------------------------------------------------------------------
+// QUIET HOURS
+// ---------------------------------------------------------------------------
+
+function minutesOfDay(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const hour = parseInt(parts.find((part) => part.type === 'hour').value, 10);
+  const minute = parseInt(parts.find((part) => part.type === 'minute').value, 10);
+  return hour * 60 + minute;
+}
+
+function parseClock(clock) {
+  const [hour, minute] = clock.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * @param {Object|null} quietHours - { start, end, timezone }
+ * @param {Date} date - Moment to check
+ * @returns {boolean} - True if the moment falls inside the quiet window (which may wrap midnight)
+ */
+function inQuietHours(quietHours, date) {
+  if (!quietHours) return false;
+  const now = minutesOfDay(date, quietHours.timezone);
+  const start = parseClock(quietHours.start);
+  const end = parseClock(quietHours.end);
+  return start <= end ? (now >= start && now < end) : (now >= start || now < end);
+}
+
+/**
+ * First moment at or after `from` outside the quiet window
+ * (stepped in 5-minute increments so DST changes are handled by Intl)
+ */
+function quietHoursEnd(quietHours, from) {
+  const step = 5 * 60 * 1000;
+  let candidate = new Date(from);
+  for (let i = 0; i < (24 * 60) / 5 && inQuietHours(quietHours, candidate); i++) {
+    candidate = new Date(candidate.getTime() + step);
+  }
+  return candidate;
+}
+
+// ---------------------------------------------------------------------------
+// MESSAGES & CHANNELS
+// ---------------------------------------------------------------------------
+
+function formatAlert(alert) {
+  const subject = `[${alert.severity.toUpperCase()}] ${alert.ruleName} - athlete ${alert.userId}`;
+  const reading = alert.reading || {};
+  const lines = [
+    `${alert.ruleName} (${alert.condition})`,
+    `Athlete: ${alert.userId}`,
+    `Reading: ${reading.value ?? 'n/a'}${typeof reading.z === 'number' ? ` (z = ${reading.z.toFixed(2)})` : ''}`,
+    `Triggered: ${alert.firstTriggeredAt}`,
+    `Details: ${APP_BASE_URL}/alerts?status=open`
+  ];
+  return { subject, text: lines.join('\n') };
+}
+
+function webhookBody(format, { subject, text }, alert) {
+  switch (format) {
+    case 'teams':
+      return {
+        '@type': 'MessageCard',
+        '@context': 'http://schema.org/extensions',
+        summary: subject,
+        themeColor: alert?.severity === 'critical' ? 'D32F2F' : 'F9A825',
+        title: subject,
+        text: text.replace(/\n/g, '<br>')
+      };
+    case 'json':
+      return { subject, text, alert };
+    case 'slack':
+    default:
+      return { text: `*${subject}*\n${text}` };
+  }
+}
+
+async function sendEmail(recipient, message) {
+  await getTransporter().sendMail({
+    from: SMTP_FROM,
+    to: recipient.email,
+    subject: message.subject,
+    text: message.text
+  });
+}
+
+async function sendWebhook(recipient, message, alert) {
+  const response = await fetch(recipient.webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(webhookBody(recipient.webhookFormat, message, alert))
+  });
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => 'No error text');
+    throw new Error(`Webhook error: ${response.status} - ${errorText}`);
+  }
+}
+
+const SENDERS = {
+  email: sendEmail,
+  webhook: sendWebhook
+};
+
+// ---------------------------------------------------------------------------
+// DISPATCH
+// ---------------------------------------------------------------------------
+
+/**
+ * Recipients stand in for staff of one team: they only hear about athletes on
+ * that team, about data the athlete shares with it, and about what their role
+ * may read (symptom and return-to-play alerts need medical:read)
+ * @param {Object} recipient - Recipient
+ * @param {Object} alert - Alert record
+ * @returns {boolean} - True if the recipient may be told about the alert
+ */
+function recipientMaySee(recipient, alert) {
+  const dataType = consent.dataTypeForAlert(alert);
+  const permission = dataType === 'symptoms' ? 'medical:read' : 'readiness:read';
+  return Boolean(dataType) &&
+    organizations.athleteTeamIds(alert.userId).includes(recipient.teamId) &&
+    (ROLE_PERMISSIONS[recipient.role] || []).includes(permission) &&
+    consent.isShared(alert.userId, 'team', recipient.teamId, dataType);
+}
+
+function recipientWants(recipient, alert) {
+  return recipient.enabled &&
+    SEVERITY_RANK[alert.severity] >= SEVERITY_RANK[recipient.minSeverity] &&
+    (recipient.athleteIds.length === 0 || recipient.athleteIds.includes(String(alert.userId))) &&
+    recipientMaySee(recipient, alert);
+}
+
+/**
+ * Queues deliveries of an alert to every interested recipient and channel.
+ * Outside quiet hours (or for critical alerts) they go out right away,
+ * otherwise they are held until the recipient's quiet hours end.
+ * @param {Object} alert - Alert record
+ * @returns {Promise<Object[]>} - Queued deliveries
+ */
+async function notifyAlert(alert) {
+  const now = new Date();
+  const queued = [];
+  const message = formatAlert(alert);
+
+  listRecipients()
+    .filter((recipient) => recipientWants(recipient, alert))
+    .forEach((recipient) => {
+      const deferUntil = alert.severity !== 'critical' && inQuietHours(recipient.quietHours, now)
+        ? quietHoursEnd(recipient.quietHours, now)
+        : now;
+
+      recipient.channels.forEach((channel) => {
+        queued.push({
+          id: crypto.randomUUID(),
+          recipientId: recipient.id,
+          channel,
+          alertId: alert.id,
+          message,
+          alert,
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: deferUntil.toISOString(),
+          createdAt: now.toISOString()
+        });
+      });
+    });
+
+  if (queued.length === 0) return queued;
+
+  deliveriesStore.data.deliveries.push(...queued);
+  await deliveriesStore.save();
+  dispatchDue();
+  return queued;
+}
+
+async function attemptDelivery(delivery) {
+  const recipient = getRecipient(delivery.recipientId);
+  if (!recipient) {
+    delivery.status = 'failed';
+    delivery.lastError = 'Recipient no longer exists';
+    return;
+  }
+
+  delivery.attempts += 1;
+  try {
+    await SENDERS[delivery.channel](recipient, delivery.message, delivery.alert);
+    delivery.status = 'sent';
+    delivery.sentAt = new Date().toISOString();
+    console.log(`Notification ${delivery.channel} sent to ${recipient.name} for alert ${delivery.alertId}`);
+  } catch (error) {
+    delivery.lastError = error.message;
+    if (delivery.attempts >= NOTIFY_MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      console.error(`Notification ${delivery.channel} to ${recipient.name} failed permanently:`, error.message);
+    } else {
+      const delay = RETRY_BASE_DELAY * 2 ** (delivery.attempts - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      console.error(`Notification ${delivery.channel} to ${recipient.name} failed, retrying in ${Math.round(delay / 1000)}s:`, error.message);
+    }
+  }
+}
+
+/**
+ * Sends every pending delivery whose time has come
+ * @returns {Promise<void>}
+ */
+async function dispatchDue() {
+  if (dispatching) return;
+  dispatching = true;
+  try {
+    const now = Date.now();
+    const due = deliveriesStore.data.deliveries.filter((delivery) =>
+      delivery.status === 'pending' && new Date(delivery.nextAttemptAt).getTime() <= now
+    );
+    for (const delivery of due) {
+      await attemptDelivery(delivery);
+      await deliveriesStore.save();
+    }
+  } catch (error) {
+    console.error('Error dispatching notifications:', error);
+  } finally {
+    dispatching = false;
+  }
+}
+
+/**
+ * Sends a test message to one recipient on every configured channel, bypassing the queue
+ * @param {string} recipientId - Recipient ID
+ * @returns {Promise<Object[]|null>} - Per-channel results or null when not found
+ */
+async function sendTest(recipientId) {
+  const recipient = getRecipient(recipientId);
+  if (!recipient) return null;
+
+  const message = {
+    subject: 'WHOOP Dashboard test notification',
+    text: `This is a test notification for ${recipient.name}.`
+  };
+  const results = [];
+  for (const channel of recipient.channels) {
+    try {
+      await SENDERS[channel](recipient, message, null);
+      results.push({ channel, ok: true });
+    } catch (error) {
+      results.push({ channel, ok: false, error: error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * @param {Object} [filter]
+ * @param {string} [filter.status] - pending | sent | failed
+ * @returns {Object[]} - Deliveries, newest first
+ */
+function listDeliveries({ status } = {}) {
+  return deliveriesStore.data.deliveries
+    .filter((delivery) => !status || delivery.status === status)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Subscribes the dispatcher to new alerts. Pass the emitter alerts are raised
+ * on in this process (alerts.alertEmitter), not one that also carries alerts
+ * relayed from other instances, or each instance would notify.
+ * @param {EventEmitter} emitter - Emits 'alert' with the alert
+ */
+function attach(emitter) {
+  emitter.on('alert', (alert) => {
+    notifyAlert(alert).catch((error) => {
+      console.error('Error queueing alert notifications:', error);
+    });
+  });
+}
+
+/**
+ * Starts the background dispatcher (also delivers anything left from before a restart)
+ */
+function start() {
+  if (dispatchTimer) return;
+  dispatchTimer = setInterval(dispatchDue, DISPATCH_INTERVAL);
+  dispatchTimer.unref();
+  dispatchDue();
+}
+
+function shutdown() {
+  if (dispatchTimer) {
+    clearInterval(dispatchTimer);
+    dispatchTimer = null;
+  }
+}
+
+module.exports = {
+  attach,
+  start,
+  shutdown,
+  notifyAlert,
+  sendTest,
+  createRecipient,
+  updateRecipient,
+  deleteRecipient,
+  getRecipient,
+  listRecipients,
+  listDeliveries
+};
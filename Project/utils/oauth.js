@@ -1,5 +1,8 @@
 require('dotenv').config({ path: '../../.env' });
 const tokenStorage = require('./tokenStorage');
+const invites = require('./invites');
+const { resourcePath } = require('./whoop');
+const { scheduler } = require('./whoopScheduler');
 
 // Environment variables
 const WHOOP_API_HOSTNAME = process.env.WHOOP_API_HOSTNAME || 'https://api.prod.whoop.com';
@@ -12,8 +15,8 @@ const WHOOP_API_HOSTNAME = process.env.WHOOP_API_HOSTNAME || 'https://api.prod.w
  */
 const fetchProfile = async (accessToken, done) => {
   try {
-    const profileResponse = await fetch(
-      `${WHOOP_API_HOSTNAME}/developer/v1/user/profile/basic`,
+    const profileResponse = await scheduler.request(
+      `${WHOOP_API_HOSTNAME}${resourcePath('profile')}`,
       {
         headers: {
           Authorization: `Bearer ${accessToken}`,
@@ -33,7 +36,10 @@ const fetchProfile = async (accessToken, done) => {
 };
 
 /**
- * Handles user data after successful OAuth authentication
+ * Handles user data after successful OAuth authentication. When the login
+ * started from an invite link (req.session.invite), the athlete is added to
+ * the invite's team and their consent for the data types they ticked is recorded.
+ * @param {Object} req - Express request (strategy uses passReqToCallback)
  * @param {string} accessToken - OAuth access token from WHOOP
  * @param {string} refreshToken - OAuth refresh token from WHOOP
  * @param {number} expires_in - Token expiration time in seconds
@@ -45,6 +51,7 @@ const fetchProfile = async (accessToken, done) => {
  * @returns {void} - Calls done() with user object or error
  */
 const getUser = async (
+  req,
   accessToken,
   refreshToken,
   { expires_in },
@@ -78,6 +85,25 @@ const getUser = async (
       tokenExpiresAt: new Date(expiresAt).toISOString()
     });
 
+    const pendingInvite = req.session?.invite;
+    if (pendingInvite) {
+      delete req.session.invite;
+      try {
+        const redeemed = await invites.redeemInvite(pendingInvite.token, user_id, {
+          dataTypes: pendingInvite.dataTypes,
+          consentedAt: pendingInvite.consentedAt
+        });
+        if (redeemed) {
+          console.log(`User ${user_id} joined team ${redeemed.team.name} via invite ${redeemed.invite.id}`);
+        } else {
+          console.warn(`Invite for user ${user_id} was no longer valid; not joining a team`);
+        }
+      } catch (error) {
+        // A failed invite must not block the login itself
+        console.error('Error redeeming invite:', error);
+      }
+    }
+
     // Passport looks for the user passed into 'done' to forward to serializeUser
     done(null, user);
   } catch (error) {
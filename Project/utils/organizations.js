@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { JsonStore } = require('./jsonStore');
+const alerts = require('./alerts');
+
+// Team roles. Athletes are the people being monitored; the other roles are
+// staff who see the athletes on their teams (see utils/permissions.js)
+const ROLES = ['athlete', 'coach', 'athletic_trainer', 'physician'];
+
+const store = new JsonStore('organizations.json', { organizations: [], teams: [], memberships: [], profiles: {} });
+
+function invalid(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function requireName(name) {
+  if (!name || typeof name !== 'string' || !name.trim()) throw invalid('name is required');
+  return name.trim();
+}
+
+/**
+ * @param {Object} input
+ * @param {string} input.name - Organization name (e.g. the school or club)
+ * @param {string} createdBy - User ID of the admin
+ * @returns {Promise<Object>} - Created organization
+ * @throws {Error} - With status 400 for invalid input
+ */
+async function createOrganization({ name }, createdBy) {
+  const organization = {
+    id: crypto.randomUUID(),
+    name: requireName(name),
+    createdBy,
+    createdAt: new Date().toISOString()
+  };
+  store.data.organizations.push(organization);
+  await store.save();
+  return organization;
+}
+
+function getOrganization(orgId) {
+  return store.data.organizations.find((organization) => organization.id === orgId) || null;
+}
+
+/**
+ * @param {Object} [filter]
+ * @param {string[]} [filter.ids] - Only these organizations
+ * @returns {Object[]} - Organizations, each with its teams
+ */
+function listOrganizations({ ids } = {}) {
+  return store.data.organizations
+    .filter((organization) => !ids || ids.includes(organization.id))
+    .map((organization) => ({
+      ...organization,
+      teams: store.data.teams.filter((team) => team.orgId === organization.id)
+    }));
+}
+
+/**
+ * @param {string} orgId - Organization the team belongs to
+ * @param {Object} input
+ * @param {string} input.name - Team name (e.g. "Women's Soccer")
+ * @param {string} createdBy - User ID of the admin
+ * @returns {Promise<Object|null>} - Created team or null when the organization doesn't exist
+ * @throws {Error} - With status 400 for invalid input
+ */
+async function createTeam(orgId, { name }, createdBy) {
+  if (!getOrganization(orgId)) return null;
+  const team = {
+    id: crypto.randomUUID(),
+    orgId,
+    name: requireName(name),
+    createdBy,
+    createdAt: new Date().toISOString()
+  };
+  store.data.teams.push(team);
+  await store.save();
+  return team;
+}
+
+function getTeam(teamId) {
+  return store.data.teams.find((team) => team.id === teamId) || null;
+}
+
+/**
+ * @param {string} teamId - Team ID
+ * @returns {Object[]} - Memberships on the team
+ */
+function listMembers(teamId) {
+  return store.data.memberships.filter((membership) => membership.teamId === teamId);
+}
+
+/**
+ * Adds someone to a team's roster, or changes their role if already on it
+ * @param {string} teamId - Team ID
+ * @param {Object} input
+ * @param {string} input.userId - WHOOP user ID
+ * @param {string} input.role - One of ROLES
+ * @param {string} addedBy - User ID of the staff member or admin
+ * @returns {Promise<Object|null>} - Membership or null when the team doesn't exist
+ * @throws {Error} - With status 400 for invalid input
+ */
+async function addMember(teamId, { userId, role }, addedBy) {
+  if (!getTeam(teamId)) return null;
+  if (!userId) throw invalid('userId is required');
+  if (!ROLES.includes(role)) throw invalid(`role must be one of: ${ROLES.join(', ')}`);
+
+  const existing = store.data.memberships.find((membership) =>
+    membership.teamId === teamId && membership.userId === String(userId)
+  );
+  if (existing) {
+    existing.role = role;
+    existing.updatedAt = new Date().toISOString();
+    await store.save();
+    return existing;
+  }
+
+  const membership = {
+    teamId,
+    userId: String(userId),
+    role,
+    addedBy,
+    addedAt: new Date().toISOString()
+  };
+  store.data.memberships.push(membership);
+  await store.save();
+  return membership;
+}
+
+/**
+ * @param {string} teamId - Team ID
+ * @param {string} userId - WHOOP user ID
+ * @returns {Promise<boolean>} - True if someone was removed
+ */
+async function removeMember(teamId, userId) {
+  const before = store.data.memberships.length;
+  store.data.memberships = store.data.memberships.filter((membership) =>
+    !(membership.teamId === teamId && membership.userId === String(userId))
+  );
+  if (store.data.memberships.length === before) return false;
+  await store.save();
+  return true;
+}
+
+/**
+ * @param {string} userId - WHOOP user ID
+ * @returns {Object[]} - The user's memberships, each with its team
+ */
+function membershipsFor(userId) {
+  return store.data.memberships
+    .filter((membership) => membership.userId === String(userId))
+    .map((membership) => ({ ...membership, team: getTeam(membership.teamId) }));
+}
+
+/**
+ * Remembers a user's name from their WHOOP profile so staff views can show
+ * athletes by name rather than WHOOP user ID
+ * @param {Object} user - req.user after login
+ * @returns {Promise<void>}
+ */
+async function saveProfile({ userId, firstName, lastName }) {
+  const existing = store.data.profiles[userId];
+  if (existing && existing.firstName === firstName && existing.lastName === lastName) return;
+  store.data.profiles[userId] = { firstName, lastName, updatedAt: new Date().toISOString() };
+  await store.save();
+}
+
+/**
+ * @param {string} userId - WHOOP user ID
+ * @returns {string} - "First Last", or the user ID when the user hasn't logged in yet
+ */
+function displayName(userId) {
+  const profile = store.data.profiles[String(userId)];
+  return profile ? [profile.firstName, profile.lastName].filter(Boolean).join(' ') : String(userId);
+}
+
+/**
+ * @param {string} userId - WHOOP user ID
+ * @returns {string[]} - Teams the user is on as an athlete
+ */
+function athleteTeamIds(userId) {
+  return membershipsFor(userId)
+    .filter((membership) => membership.role === 'athlete')
+    .map((membership) => membership.teamId);
+}
+
+// Team-scoped alert rules apply to the athletes on that team
+alerts.registerContextProvider(async (userId) => ({
+  teamIds: athleteTeamIds(userId)
+}));
+
+module.exports = {
+  ROLES,
+  createOrganization,
+  getOrganization,
+  listOrganizations,
+  createTeam,
+  getTeam,
+  listMembers,
+  addMember,
+  removeMember,
+  membershipsFor,
+  athleteTeamIds,
+  saveProfile,
+  displayName
+};
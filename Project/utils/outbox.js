@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { JsonStore } = require('./jsonStore');
+const { DeliveryLedger } = require('./deliveryLedger');
+
+/**
+ * Durable outbox: records are persisted locally before any network call and
+ * delivered in batches by a background flusher. Failed batches are retried with
+ * exponential backoff; records that keep failing are moved to a dead-letter
+ * store where they can be inspected and resent. Pending records survive restarts
+ * and are replayed as soon as the outbox is created again. Entries enqueued with
+ * a key are remembered once delivered (see utils/deliveryLedger.js).
+ */
+class Outbox {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Outbox name, used for the files under DATA_DIR/outbox
+   * @param {Function} options.deliver - async (records[]) => void, throws on failure
+   * @param {number} [options.batchSize=50] - Max records per delivery
+   * @param {number} [options.maxAttempts=8] - Attempts before a record is dead-lettered
+   * @param {number} [options.baseDelayMs=1000] - First retry delay
+   * @param {number} [options.maxDelayMs=300000] - Retry delay cap
+   * @param {Function} [options.isDeliverable] - (record) => boolean, checked right before
+   *   delivery; records that fail it are dropped (e.g. consent revoked while queued)
+   */
+  constructor({ name, deliver, batchSize = 50, maxAttempts = 8, baseDelayMs = 1000, maxDelayMs = 1000 * 60 * 5, isDeliverable = () => true }) {
+    this.name = name;
+    this.deliver = deliver;
+    this.isDeliverable = isDeliverable;
+    this.batchSize = batchSize;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+
+    this.store = new JsonStore(`outbox/${name}.json`, { pending: [], failures: 0 });
+    this.deadLetters = new JsonStore(`outbox/${name}.dead.json`, { records: [] });
+    this.delivered = new DeliveryLedger(`outbox/${name}.delivered.json`);
+
+    this.timer = null;
+    this.flushing = null;
+
+    // Replay anything left over from a previous run
+    if (this.store.data.pending.length > 0) {
+      console.log(`Outbox ${name}: replaying ${this.store.data.pending.length} pending records`);
+      this.schedule(0);
+    }
+  }
+
+  /**
+   * Persists a record and schedules a flush
+   * @param {Object} record - Record to deliver
+   * @param {Object} [options]
+   * @param {string} [options.key] - Delivery key to remember once the record is delivered
+   * @returns {Promise<string>} - Outbox entry ID
+   */
+  async enqueue(record, { key } = {}) {
+    const entry = {
+      id: crypto.randomUUID(),
+      record,
+      attempts: 0,
+      enqueuedAt: new Date().toISOString(),
+      ...(key ? { key } : {})
+    };
+    this.store.data.pending.push(entry);
+    await this.store.save();
+
+    // Don't jump the backoff if the target is currently failing
+    if (this.store.data.failures === 0) {
+      this.schedule(0);
+    }
+    return entry.id;
+  }
+
+  schedule(delayMs) {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, delayMs);
+    this.timer.unref();
+  }
+
+  backoffDelay() {
+    const exponential = this.baseDelayMs * 2 ** Math.max(this.store.data.failures - 1, 0);
+    const jitter = Math.random() * this.baseDelayMs;
+    return Math.min(exponential + jitter, this.maxDelayMs);
+  }
+
+  /**
+   * Delivers pending records batch by batch until the outbox is empty or a batch fails
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.flushBatches().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async flushBatches() {
+    const state = this.store.data;
+
+    while (state.pending.length > 0) {
+      const withheld = state.pending.filter((entry) => !this.isDeliverable(entry.record));
+      if (withheld.length > 0) {
+        const ids = new Set(withheld.map((entry) => entry.id));
+        state.pending = state.pending.filter((entry) => !ids.has(entry.id));
+        await this.store.save();
+        console.log(`Outbox ${this.name}: dropped ${withheld.length} records that may no longer be delivered`);
+        continue;
+      }
+
+      const batch = state.pending.slice(0, this.batchSize);
+
+      try {
+        await this.deliver(batch.map((entry) => entry.record));
+      } catch (error) {
+        state.failures += 1;
+        batch.forEach((entry) => {
+          entry.attempts += 1;
+          entry.lastError = error.message;
+          entry.lastAttemptAt = new Date().toISOString();
+        });
+
+        const exhausted = batch.filter((entry) => entry.attempts >= this.maxAttempts);
+        if (exhausted.length > 0) {
+          try {
+            await this.moveToDeadLetters(exhausted);
+          } catch (deadLetterError) {
+            // They stay pending and are dead-lettered after the next failed attempt
+            console.error(`Outbox ${this.name}: could not write dead letters:`, deadLetterError.message);
+          }
+        }
+        await this.store.save();
+
+        if (state.pending.length === 0) return;
+        const delay = this.backoffDelay();
+        console.error(`Outbox ${this.name}: delivery failed (${error.message}), retrying in ${Math.round(delay / 1000)}s`);
+        this.schedule(delay);
+        return;
+      }
+
+      const delivered = new Set(batch.map((entry) => entry.id));
+      state.pending = state.pending.filter((entry) => !delivered.has(entry.id));
+      state.failures = 0;
+      await Promise.all([this.store.save(), this.delivered.mark(batch.map((entry) => entry.key))]);
+      console.log(`Outbox ${this.name}: delivered ${batch.length} records`);
+    }
+  }
+
+  /**
+   * Moves entries from the pending queue to the dead-letter store. They only
+   * leave the queue once the dead letters are safely on disk.
+   * @param {Object[]} entries - Pending entries
+   * @returns {Promise<void>}
+   * @throws {Error} - When the dead letters can't be written (the entries stay pending)
+   */
+  async moveToDeadLetters(entries) {
+    const ids = new Set(entries.map((entry) => entry.id));
+    const records = this.deadLetters.data.records;
+    entries.forEach((entry) => {
+      records.push({ ...entry, deadLetteredAt: new Date().toISOString() });
+    });
+    try {
+      await this.deadLetters.save();
+    } catch (error) {
+      this.deadLetters.data.records = records.filter((entry) => !ids.has(entry.id));
+      throw error;
+    }
+    this.store.data.pending = this.store.data.pending.filter((entry) => !ids.has(entry.id));
+    console.error(`Outbox ${this.name}: moved ${entries.length} records to dead letters`);
+  }
+
+  /**
+   * @param {string} key - Delivery key passed to enqueue()
+   * @returns {boolean} - Whether a record with this key was delivered or is still queued
+   */
+  hasSent(key) {
+    return this.delivered.has(key) || this.store.data.pending.some((entry) => entry.key === key);
+  }
+
+  /**
+   * @returns {Object} - Counts of pending and dead-lettered records
+   */
+  stats() {
+    return {
+      pending: this.store.data.pending.length,
+      consecutiveFailures: this.store.data.failures,
+      deadLetters: this.deadLetters.data.records.length
+    };
+  }
+
+  /**
+   * @returns {Object[]} - Dead-lettered entries, oldest first
+   */
+  listDeadLetters() {
+    return this.deadLetters.data.records;
+  }
+
+  /**
+   * Moves dead-lettered entries back into the pending queue with a fresh attempt budget
+   * @param {string[]} [ids] - Entry IDs to resend; all dead letters when omitted
+   * @returns {Promise<number>} - Number of entries requeued
+   */
+  async resendDeadLetters(ids) {
+    const wanted = ids ? new Set(ids) : null;
+    const requeue = [];
+    const keep = [];
+
+    this.deadLetters.data.records.forEach((entry) => {
+      (!wanted || wanted.has(entry.id) ? requeue : keep).push(entry);
+    });
+
+    if (requeue.length === 0) return 0;
+
+    this.deadLetters.data.records = keep;
+    requeue.forEach(({ deadLetteredAt, lastError, lastAttemptAt, ...entry }) => {
+      this.store.data.pending.push({ ...entry, attempts: 0 });
+    });
+    await Promise.all([this.store.save(), this.deadLetters.save()]);
+
+    this.schedule(0);
+    return requeue.length;
+  }
+
+  /**
+   * Flushes until nothing is pending or delivery fails (used by CLI scripts before exit)
+   * @returns {Promise<boolean>} - True if the outbox is empty
+   */
+  async drain() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    await this.flush();
+    return this.store.data.pending.length === 0;
+  }
+}
+
+module.exports = {
+  Outbox
+};
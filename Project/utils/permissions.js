@@ -0,0 +1,184 @@
+const organizations = require('./organizations');
+const consent = require('./consent');
+
+// What each team role may do for the athletes on the same team:
+//   readiness:read - strain, recovery, sleep, baselines, alerts, RTP stage
+//   medical:read   - symptom check-ins, injury details and clinical notes
+//   alerts:manage  - acknowledge / resolve alerts
+//   rtp:manage     - open injury episodes and sign off stages
+//   roster:manage  - invite and remove athletes
+const ROLE_PERMISSIONS = {
+  athlete: [],
+  coach: ['readiness:read', 'alerts:manage', 'roster:manage'],
+  athletic_trainer: ['readiness:read', 'medical:read', 'alerts:manage', 'rtp:manage', 'roster:manage'],
+  physician: ['readiness:read', 'medical:read', 'alerts:manage', 'rtp:manage']
+};
+
+// Athletes always see their own data, but don't manage their own return to play
+const SELF_PERMISSIONS = ['readiness:read', 'medical:read', 'alerts:manage'];
+
+// Admins manage organizations, teams, alert rules, notifications and sinks.
+// Being an admin does not grant access to athlete data.
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || '')
+  .split(',')
+  .map((id) => id.trim())
+  .filter(Boolean);
+
+function isAuthenticated(req) {
+  return !!(req.user && req.user.isAuthenticated);
+}
+
+function isAdmin(user) {
+  return !!user && ADMIN_USER_IDS.includes(String(user.userId));
+}
+
+/**
+ * @param {Object} user - req.user
+ * @param {string} permission - Permission name
+ * @param {string} teamId - Team ID
+ * @returns {boolean} - True if the user's role on the team grants the permission
+ */
+function canOnTeam(user, permission, teamId) {
+  if (!user) return false;
+  return organizations.membershipsFor(user.userId).some((membership) =>
+    membership.teamId === teamId && ROLE_PERMISSIONS[membership.role].includes(permission)
+  );
+}
+
+/**
+ * Data types the athlete shares with teams on which the user has the permission
+ * @param {Object} user - req.user
+ * @param {string} permission - Permission name
+ * @param {string} athleteId - WHOOP user ID of the athlete
+ * @returns {string[]} - Data types (all of them for the athlete's own data)
+ */
+function sharedDataTypes(user, permission, athleteId) {
+  if (!user) return [];
+  if (String(athleteId) === String(user.userId)) return Object.keys(consent.DATA_TYPES);
+  const types = new Set();
+  organizations.athleteTeamIds(athleteId)
+    .filter((teamId) => canOnTeam(user, permission, teamId))
+    .forEach((teamId) => consent.sharedDataTypes(athleteId, 'team', teamId).forEach((type) => types.add(type)));
+  return [...types];
+}
+
+/**
+ * @param {Object} user - req.user
+ * @param {string} permission - Permission name
+ * @param {string} athleteId - WHOOP user ID of the athlete
+ * @param {string} [dataType] - Data type involved; staff also need the athlete's consent for it
+ * @returns {boolean} - True if the user may do this for the athlete
+ */
+function can(user, permission, athleteId, dataType) {
+  if (!user) return false;
+  if (String(athleteId) === String(user.userId)) return SELF_PERMISSIONS.includes(permission);
+  return organizations.athleteTeamIds(athleteId).some((teamId) =>
+    canOnTeam(user, permission, teamId) && (!dataType || consent.isShared(athleteId, 'team', teamId, dataType))
+  );
+}
+
+/**
+ * Athletes the user may do something for (excluding themselves)
+ * @param {Object} user - req.user
+ * @param {string} permission - Permission name
+ * @returns {string[]} - WHOOP user IDs
+ */
+function athletesFor(user, permission) {
+  const athleteIds = new Set();
+  organizations.membershipsFor(user.userId)
+    .filter((membership) => ROLE_PERMISSIONS[membership.role].includes(permission))
+    .forEach((membership) => {
+      organizations.listMembers(membership.teamId)
+        .filter((member) => member.role === 'athlete' && member.userId !== String(user.userId))
+        .forEach((member) => athleteIds.add(member.userId));
+    });
+  return [...athleteIds];
+}
+
+// Middleware
+
+function requireAuth(req, res, next) {
+  if (!isAuthenticated(req)) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+  next();
+}
+
+// Same as requireAuth for HTML pages: send the visitor back to the login page
+function requireLogin(req, res, next) {
+  if (!isAuthenticated(req)) {
+    return res.redirect('/');
+  }
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!isAuthenticated(req)) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
+/**
+ * Resolves which athlete a request is about (the logged-in user unless another
+ * athlete is named) and checks the permission for them. Sets req.athleteId and
+ * req.sharedDataTypes (what the athlete lets this user see).
+ * @param {string} permission - Permission name
+ * @param {Function} [getAthleteId] - (req) => athlete ID named in the request
+ * @param {Function} [getDataType] - (req) => data type the route returns, when it returns a single one
+ * @returns {Function} - Express middleware
+ */
+function requireAthleteAccess(permission, getAthleteId = (req) => req.query.athleteId, getDataType = () => undefined) {
+  return (req, res, next) => {
+    if (!isAuthenticated(req)) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+    const athleteId = String(getAthleteId(req) || req.user.userId);
+    if (!can(req.user, permission, athleteId)) {
+      return res.status(403).json({ error: 'Not permitted for this athlete' });
+    }
+    const dataType = getDataType(req);
+    if (dataType && !can(req.user, permission, athleteId, dataType)) {
+      return res.status(403).json({ error: `Athlete does not share ${dataType} data with you` });
+    }
+    req.athleteId = athleteId;
+    req.sharedDataTypes = sharedDataTypes(req.user, permission, athleteId);
+    next();
+  };
+}
+
+/**
+ * Checks the permission on the team named by a route parameter. Admins pass.
+ * @param {string} permission - Permission name
+ * @param {string} [param] - Route parameter holding the team ID
+ * @returns {Function} - Express middleware
+ */
+function requireTeamPermission(permission, param = 'teamId') {
+  return (req, res, next) => {
+    if (!isAuthenticated(req)) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+    if (!isAdmin(req.user) && !canOnTeam(req.user, permission, req.params[param])) {
+      return res.status(403).json({ error: 'Not permitted for this team' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  SELF_PERMISSIONS,
+  isAdmin,
+  sharedDataTypes,
+  can,
+  canOnTeam,
+  athletesFor,
+  requireAuth,
+  requireLogin,
+  requireAdmin,
+  requireAthleteAccess,
+  requireTeamPermission
+};
@@ -0,0 +1,215 @@
+const { EventEmitter } = require('events');
+const timeseries = require('./timeseries');
+const baselines = require('./baselines');
+const alerts = require('./alerts');
+const returnToPlay = require('./returnToPlay');
+const { sendRecord } = require('./sinks');
+const { isUuid } = require('./whoopModel');
+// Loaded for its alert context provider (team-scoped rules)
+require('./organizations');
+
+// Broadcasts 'record' ({ kind, userId }) after each stored or deleted object,
+// so live views know an athlete's data changed
+const pipelineEmitter = new EventEmitter();
+
+// Record type emitted to the data sinks for each WHOOP object kind
+const RECORD_TYPES = {
+  cycle: 'strain',
+  recovery: 'recovery',
+  sleep: 'sleep',
+  workout: 'workout'
+};
+
+// Field that carries the object ID in "*_deleted" records
+const DELETED_ID_FIELDS = {
+  cycle: 'cycle_id',
+  recovery: 'cycle_id',
+  sleep: 'sleep_id',
+  workout: 'workout_id'
+};
+
+/**
+ * @param {string} kind - cycle | recovery | sleep | workout
+ * @param {Object} data - WHOOP object
+ * @returns {string|number} - ID the object is stored under (recoveries are keyed by cycle)
+ */
+function objectIdFor(kind, data) {
+  return kind === 'recovery' ? data.cycle_id : data.id;
+}
+
+/**
+ * Identifies one version of a WHOOP object in the data sinks' delivery ledgers
+ * @param {string} kind - cycle | recovery | sleep | workout
+ * @param {string} userId - WHOOP user ID
+ * @param {Object} data - WHOOP object
+ * @returns {string} - Delivery key
+ */
+function deliveryKey(kind, userId, data) {
+  return `${RECORD_TYPES[kind]}:${userId}:${objectIdFor(kind, data)}:${data.updated_at}`;
+}
+
+/**
+ * Resolves the ID a webhook names to the ID the object is stored under. v2
+ * webhooks name sleeps and workouts by UUID (recoveries by their sleep's
+ * UUID), while objects first seen through v1 are stored under integer IDs.
+ * @param {string} kind - cycle | recovery | sleep | workout
+ * @param {string} userId - WHOOP user ID
+ * @param {string|number} id - ID from the webhook
+ * @returns {string|number} - Stored object ID (the ID itself when nothing better is known)
+ */
+function storedObjectId(kind, userId, id) {
+  if (!isUuid(id)) return id;
+
+  if (kind === 'recovery') {
+    const sleep = timeseries.find('sleep', userId, (entry) => entry.data?.uuid === id);
+    if (sleep?.data?.cycle_id != null) return sleep.data.cycle_id;
+    const recovery = timeseries.find('recovery', userId, (entry) => entry.data?.sleep_uuid === id);
+    if (recovery) return recovery.id;
+  } else {
+    const entry = timeseries.find(kind, userId, (candidate) => candidate.data?.uuid === id);
+    if (entry) return entry.id;
+  }
+  console.warn(`No stored ${kind} for UUID ${id} (user ${userId}); using the UUID`);
+  return id;
+}
+
+/**
+ * Converts a WHOOP cycle into the strain summary used by the dashboard and "strain" records
+ * @param {Object} cycle - Cycle as returned by the WHOOP API
+ * @returns {Object} - Strain summary
+ */
+function summarizeCycle(cycle) {
+  return {
+    strain: cycle.score?.strain || 0,
+    averageHeartRate: cycle.score?.average_heart_rate || 0,
+    maxHeartRate: cycle.score?.max_heart_rate || 0,
+    start: cycle.start,
+    end: cycle.end,
+    scoreState: cycle.score_state,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Evaluates alert rules against a scored reading and checks it against the
+ * athlete's return-to-play stage. A failing rule must never stop the reading
+ * itself from being stored, nor the return-to-play check from running.
+ * @param {string} kind - cycle | recovery | sleep | workout
+ * @param {string} userId - WHOOP user ID
+ * @param {Object} data - WHOOP object
+ * @param {Object} deviations - From baselines.scoreReading()
+ * @returns {Promise<void>}
+ */
+async function runChecks(kind, userId, data, deviations) {
+  try {
+    await alerts.evaluate(userId, deviations);
+  } catch (error) {
+    console.error(`Error evaluating alert rules for user ${userId}:`, error);
+  }
+  try {
+    await returnToPlay.checkExertion(kind, userId, data);
+  } catch (error) {
+    console.error(`Error checking return-to-play limits for user ${userId}:`, error);
+  }
+}
+
+/**
+ * Stores a WHOOP object in the local time series, scores it against the
+ * athlete's baselines, sends it to the data sinks, evaluates alert rules and
+ * checks it against the athlete's return-to-play stage
+ * @param {string} kind - cycle | recovery | sleep | workout
+ * @param {string} userId - WHOOP user ID
+ * @param {Object} data - WHOOP object
+ * @param {Object} [extra] - Additional fields for the emitted record (e.g. webhook_received_at)
+ * @param {Object} [options]
+ * @param {string[]} [options.sinkNames] - Only send to these sinks (all sinks when omitted)
+ * @param {boolean} [options.backfill=false] - Historical reading: stored, scored and sent, but
+ *   alert rules and return-to-play checks are skipped so old data never alerts staff as if it were new
+ * @returns {Promise<Object>} - Emitted record payload
+ */
+async function recordBiometric(kind, userId, data, extra = {}, { sinkNames, backfill = false } = {}) {
+  const objectId = objectIdFor(kind, data);
+  await timeseries.upsert(kind, userId, objectId, data);
+
+  const payload = kind === 'cycle'
+    ? { ...summarizeCycle(data), ...extra, user_id: userId }
+    : { ...data, user_id: userId, ...extra };
+
+  // Deviation from the athlete's own normal travels with the record
+  const deviations = baselines.scoreReading(kind, userId, objectId);
+  if (Object.keys(deviations).length > 0) {
+    payload.baseline = deviations;
+  }
+
+  await sendRecord(RECORD_TYPES[kind], payload, { key: deliveryKey(kind, userId, data), sinkNames });
+
+  if (!backfill) {
+    await runChecks(kind, userId, data, deviations);
+  }
+
+  pipelineEmitter.emit('record', { kind, userId: String(userId) });
+  return payload;
+}
+
+/**
+ * Sends a "cycle_started" or "cycle_closed" record for a cycle boundary seen
+ * by the strain poller, storing the cycle in the local time series too. A
+ * closed cycle carries the day's final strain, so it is also scored against
+ * the athlete's baselines and run through the alert and return-to-play checks
+ * (open cycles are never scored for daily strain).
+ * @param {string} event - cycle_started | cycle_closed
+ * @param {string} userId - WHOOP user ID
+ * @param {Object} cycle - WHOOP cycle
+ * @returns {Promise<Object>} - Emitted record payload
+ */
+async function recordCycleEvent(event, userId, cycle) {
+  await timeseries.upsert('cycle', userId, cycle.id, cycle);
+
+  const payload = { ...summarizeCycle(cycle), cycle_id: cycle.id, user_id: userId };
+  const deviations = event === 'cycle_closed' ? baselines.scoreReading('cycle', userId, cycle.id) : {};
+  if (Object.keys(deviations).length > 0) {
+    payload.baseline = deviations;
+  }
+  await sendRecord(event, payload);
+
+  if (event === 'cycle_closed') {
+    await runChecks('cycle', userId, cycle, deviations);
+  }
+
+  pipelineEmitter.emit('record', { kind: 'cycle', userId: String(userId) });
+  return payload;
+}
+
+/**
+ * Tombstones a deleted WHOOP object and sends a "*_deleted" record to the data sinks
+ * @param {string} kind - cycle | recovery | sleep | workout
+ * @param {string} userId - WHOOP user ID
+ * @param {string|number} objectId - WHOOP object ID (cycle ID for recoveries)
+ * @returns {Promise<Object>} - Emitted record payload
+ */
+async function recordDeletion(kind, userId, objectId) {
+  const entry = await timeseries.tombstone(kind, userId, objectId);
+
+  const payload = {
+    [DELETED_ID_FIELDS[kind]]: objectId,
+    user_id: userId,
+    deleted_at: entry.deletedAt
+  };
+
+  await sendRecord(`${RECORD_TYPES[kind]}_deleted`, payload);
+
+  pipelineEmitter.emit('record', { kind, userId: String(userId) });
+  return payload;
+}
+
+module.exports = {
+  pipelineEmitter,
+  RECORD_TYPES,
+  objectIdFor,
+  deliveryKey,
+  storedObjectId,
+  summarizeCycle,
+  recordBiometric,
+  recordCycleEvent,
+  recordDeletion
+};
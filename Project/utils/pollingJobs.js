@@ -0,0 +1,278 @@
+require('dotenv').config({ path: '../../.env' });
+const organizations = require('./organizations');
+const { INSTANCE_ID } = require('./coordination');
+const { createPollingStore } = require('./pollingStores');
+
+const POLL_INTERVAL_MINUTES = parseInt(process.env.POLL_INTERVAL_MINUTES, 10) || 10;
+// Each run is moved by up to this fraction of the interval, so users who were
+// enabled together drift apart instead of all polling in the same second
+const POLL_JITTER = process.env.POLL_JITTER !== undefined ? parseFloat(process.env.POLL_JITTER) : 0.1;
+// How long a claimed job stays with an instance that stops renewing its leases
+const POLL_LEASE_SECONDS = parseInt(process.env.POLL_LEASE_SECONDS, 10) || 60;
+// Runs missed while the server was asleep are spread over this window on startup
+const CATCH_UP_WINDOW = 1000 * 60;
+const MIN_INTERVAL_MINUTES = 5;
+const MAX_INTERVAL_MINUTES = 60 * 24;
+const MINUTE = 1000 * 60;
+
+// One strain polling job per athlete, plus per-team interval overrides, in the
+// local file or (COORDINATION=postgres) shared Postgres tables. The strain
+// poller (worker/strainPoller.js) runs whatever is due.
+const store = createPollingStore();
+
+function invalid(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * @param {*} minutes - Interval in minutes, or null to use the team / default interval
+ * @returns {number|null} - Validated interval
+ * @throws {Error} - With status 400 when out of range
+ */
+function validateInterval(minutes) {
+  if (minutes === null) return null;
+  if (!Number.isInteger(minutes) || minutes < MIN_INTERVAL_MINUTES || minutes > MAX_INTERVAL_MINUTES) {
+    throw invalid(`intervalMinutes must be an integer from ${MIN_INTERVAL_MINUTES} to ${MAX_INTERVAL_MINUTES}, or null`);
+  }
+  return minutes;
+}
+
+/**
+ * Works out how often a user is polled: their own interval, else the shortest
+ * interval of the teams they are an athlete on, else POLL_INTERVAL_MINUTES
+ * @param {string} userId - WHOOP user ID
+ * @param {Object} [job] - The user's job
+ * @returns {Promise<Object>} - { minutes, source } where source is user | team | default
+ */
+async function intervalFor(userId, job) {
+  if (job?.intervalMinutes) {
+    return { minutes: job.intervalMinutes, source: 'user' };
+  }
+  const teamIntervals = await store.teamIntervals();
+  const teamMinutes = organizations.athleteTeamIds(userId)
+    .map((teamId) => teamIntervals[teamId])
+    .filter(Boolean);
+  if (teamMinutes.length > 0) {
+    return { minutes: Math.min(...teamMinutes), source: 'team' };
+  }
+  return { minutes: POLL_INTERVAL_MINUTES, source: 'default' };
+}
+
+/**
+ * @param {number} intervalMs - Polling interval
+ * @returns {number} - Random offset within ±POLL_JITTER of the interval
+ */
+function jitter(intervalMs) {
+  return Math.round(intervalMs * POLL_JITTER * (Math.random() * 2 - 1));
+}
+
+async function withInterval(job) {
+  if (!job) return null;
+  const { minutes, source } = await intervalFor(job.userId, job);
+  return { ...job, effectiveIntervalMinutes: minutes, intervalSource: source };
+}
+
+/**
+ * @param {string} userId - WHOOP user ID
+ * @returns {Promise<Object|null>} - The user's job with its effective interval
+ */
+async function getJob(userId) {
+  return withInterval(await store.get(userId));
+}
+
+/**
+ * @returns {Promise<Object[]>} - Every job with its effective interval, soonest first
+ */
+async function listJobs() {
+  const jobs = await Promise.all((await store.list()).map(withInterval));
+  return jobs.sort((a, b) => new Date(a.nextRunAt) - new Date(b.nextRunAt));
+}
+
+/**
+ * Turns polling on for a user. The first run is due straight away.
+ * @param {string} userId - WHOOP user ID
+ * @param {Object} [options]
+ * @param {number|null} [options.intervalMinutes] - Own interval (null clears it; omit to keep it)
+ * @returns {Promise<Object>} - The job
+ * @throws {Error} - With status 400 for an invalid interval
+ */
+async function enableJob(userId, { intervalMinutes } = {}) {
+  const now = new Date().toISOString();
+  const changes = { updatedAt: now };
+  if (intervalMinutes !== undefined) {
+    changes.intervalMinutes = validateInterval(intervalMinutes);
+  }
+
+  const job = (await store.get(userId)) || await store.insert({
+    userId: String(userId),
+    kind: 'strain',
+    enabled: false,
+    intervalMinutes: null,
+    nextRunAt: now,
+    lastRunAt: null,
+    lastStatus: null,
+    lastError: null,
+    consecutiveFailures: 0,
+    lastEmitted: null,
+    createdAt: now
+  });
+  if (!job.enabled) {
+    changes.enabled = true;
+    changes.nextRunAt = now;
+  }
+  return withInterval(await store.update(userId, changes));
+}
+
+/**
+ * Turns polling off for a user, keeping their interval
+ * @param {string} userId - WHOOP user ID
+ * @returns {Promise<Object|null>} - The job, or null when there is none
+ */
+async function disableJob(userId) {
+  return withInterval(await store.update(userId, { enabled: false, updatedAt: new Date().toISOString() }));
+}
+
+/**
+ * Deletes a user's job (on disconnect)
+ * @param {string} userId - WHOOP user ID
+ * @returns {Promise<void>}
+ */
+async function removeJob(userId) {
+  await store.remove(userId);
+}
+
+/**
+ * Claims the enabled jobs that are due for this instance. With a single
+ * instance that is every due job; with COORDINATION=postgres it is the due
+ * jobs nobody else holds a live lease on.
+ * @param {number} [now] - Timestamp
+ * @returns {Promise<Object[]>} - Claimed jobs, most overdue first
+ */
+async function claimDueJobs(now = Date.now()) {
+  return store.claimDue(now, INSTANCE_ID, POLL_LEASE_SECONDS * 1000);
+}
+
+/**
+ * Extends this instance's leases, so its jobs aren't taken over while it is alive
+ * @returns {Promise<number>} - Number of jobs held
+ */
+async function renewLeases() {
+  return store.renewLeases(INSTANCE_ID, POLL_LEASE_SECONDS * 1000);
+}
+
+/**
+ * Gives up this instance's jobs (on shutdown) so others take them over at once
+ * @returns {Promise<void>}
+ */
+async function releaseLeases() {
+  await store.releaseLeases(INSTANCE_ID);
+}
+
+/**
+ * Records the outcome of a run and schedules the next one an interval
+ * (± jitter) from now
+ * @param {Object} job - The claimed job
+ * @param {Object} [outcome]
+ * @param {Error} [outcome.error] - Why the run failed
+ * @returns {Promise<Object|null>} - The job
+ */
+async function recordRun(job, { error = null } = {}) {
+  const now = Date.now();
+  const intervalMs = (await intervalFor(job.userId, job)).minutes * MINUTE;
+
+  return withInterval(await store.update(job.userId, {
+    lastRunAt: new Date(now).toISOString(),
+    lastStatus: error ? 'failed' : 'ok',
+    lastError: error ? error.message : null,
+    consecutiveFailures: error ? (job.consecutiveFailures || 0) + 1 : 0,
+    nextRunAt: new Date(now + intervalMs + jitter(intervalMs)).toISOString()
+  }));
+}
+
+/**
+ * Remembers what the strain poller last emitted for a user (see
+ * utils/cycleChanges.js), so unchanged polls stay quiet across restarts and
+ * instances
+ * @param {string} userId - WHOOP user ID
+ * @param {Object} state - { cycleId, strain, closed, updatedAt }
+ * @returns {Promise<void>}
+ */
+async function saveEmittedState(userId, state) {
+  await store.update(userId, { lastEmitted: state });
+}
+
+/**
+ * Reschedules jobs that came due while the server wasn't running (e.g. the
+ * Render free tier sleeping). Each runs once, not once per missed interval,
+ * at a random point in the next minute.
+ * @param {number} [now] - Timestamp
+ * @returns {Promise<number>} - Number of overdue jobs
+ */
+async function catchUp(now = Date.now()) {
+  return store.catchUp(now, CATCH_UP_WINDOW);
+}
+
+/**
+ * Sets how often the athletes on a team are polled (athletes with their own
+ * interval keep it)
+ * @param {string} teamId - Team ID
+ * @param {number|null} intervalMinutes - Interval, or null to use the default
+ * @returns {Promise<number|null>} - The team's interval
+ * @throws {Error} - With status 400 for an invalid interval
+ */
+async function setTeamInterval(teamId, intervalMinutes) {
+  const minutes = validateInterval(intervalMinutes);
+  await store.setTeamInterval(teamId, minutes);
+  return minutes;
+}
+
+/**
+ * @param {string} teamId - Team ID
+ * @returns {Promise<number|null>} - The team's interval, if it has one
+ */
+async function getTeamInterval(teamId) {
+  return (await store.teamIntervals())[teamId] || null;
+}
+
+/**
+ * Creates jobs for users who turned polling on before jobs existed, when that
+ * setting lived in the token blob as strainPollingEnabled. Runs until every
+ * token could be read.
+ * @param {Function} findLegacyUsers - async () => { userIds, complete } listing users that had polling enabled
+ * @returns {Promise<number>} - Number of jobs created
+ */
+async function migrateLegacySettings(findLegacyUsers) {
+  if (await store.getMeta('migratedFromTokens')) return 0;
+  const { userIds, complete } = await findLegacyUsers();
+  let created = 0;
+  for (const userId of userIds) {
+    if (!(await store.get(userId))) {
+      await enableJob(userId);
+      created += 1;
+    }
+  }
+  await store.setMeta('migratedFromTokens', complete);
+  return created;
+}
+
+module.exports = {
+  POLL_INTERVAL_MINUTES,
+  validateInterval,
+  intervalFor,
+  getJob,
+  listJobs,
+  enableJob,
+  disableJob,
+  removeJob,
+  claimDueJobs,
+  renewLeases,
+  releaseLeases,
+  recordRun,
+  saveEmittedState,
+  catchUp,
+  setTeamInterval,
+  getTeamInterval,
+  migrateLegacySettings
+};
@@ -0,0 +1,81 @@
+const { JsonStore } = require('../jsonStore');
+
+/**
+ * Polling jobs in DATA_DIR/polling-jobs.json, for a single instance: every due
+ * job belongs to this process, so there are no leases to take
+ * @returns {Object} - Polling job store
+ */
+function createFilePollingStore() {
+  const store = new JsonStore('polling-jobs.json', { jobs: [], teamIntervals: {}, migratedFromTokens: false });
+  const find = (userId) => store.data.jobs.find((job) => job.userId === String(userId));
+  const copy = (job) => (job ? { ...job } : null);
+
+  return {
+    name: 'file',
+
+    get: async (userId) => copy(find(userId)),
+    list: async () => store.data.jobs.map(copy),
+
+    async insert(job) {
+      if (!find(job.userId)) {
+        store.data.jobs.push({ ...job });
+        await store.save();
+      }
+      return copy(find(job.userId));
+    },
+
+    async update(userId, fields) {
+      const job = find(userId);
+      if (!job) return null;
+      Object.assign(job, fields);
+      await store.save();
+      return copy(job);
+    },
+
+    async remove(userId) {
+      store.data.jobs = store.data.jobs.filter((job) => job.userId !== String(userId));
+      await store.save();
+    },
+
+    claimDue: async (now) => store.data.jobs
+      .filter((job) => job.enabled && new Date(job.nextRunAt).getTime() <= now)
+      .sort((a, b) => new Date(a.nextRunAt) - new Date(b.nextRunAt))
+      .map(copy),
+
+    async catchUp(now, windowMs) {
+      const overdue = store.data.jobs.filter((job) => job.enabled && new Date(job.nextRunAt).getTime() <= now);
+      overdue.forEach((job) => {
+        job.nextRunAt = new Date(now + Math.round(Math.random() * windowMs)).toISOString();
+      });
+      if (overdue.length > 0) {
+        await store.save();
+      }
+      return overdue.length;
+    },
+
+    renewLeases: async () => 0,
+    releaseLeases: async () => {},
+
+    teamIntervals: async () => ({ ...store.data.teamIntervals }),
+
+    async setTeamInterval(teamId, minutes) {
+      if (minutes === null) {
+        delete store.data.teamIntervals[teamId];
+      } else {
+        store.data.teamIntervals[teamId] = minutes;
+      }
+      await store.save();
+    },
+
+    getMeta: async (key) => store.data[key],
+
+    async setMeta(key, value) {
+      store.data[key] = value;
+      await store.save();
+    }
+  };
+}
+
+module.exports = {
+  createFilePollingStore
+};
@@ -0,0 +1,18 @@
+const { isCoordinated } = require('../coordination');
+const { createFilePollingStore } = require('./file');
+const { createPostgresPollingStore } = require('./postgres');
+
+/**
+ * Creates the store behind utils/pollingJobs.js: Postgres when instances
+ * coordinate (COORDINATION=postgres), otherwise the local file. Both expose
+ * get, list, insert, update, remove, claimDue, catchUp, renewLeases,
+ * releaseLeases, teamIntervals, setTeamInterval, getMeta and setMeta.
+ * @returns {Object} - Polling job store
+ */
+function createPollingStore() {
+  return isCoordinated() ? createPostgresPollingStore() : createFilePollingStore();
+}
+
+module.exports = {
+  createPollingStore
+};
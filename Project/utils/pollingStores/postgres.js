@@ -0,0 +1,196 @@
+const { getPool } = require('../db');
+
+const MIGRATION = `
+  CREATE TABLE IF NOT EXISTS polling_jobs (
+    user_id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL DEFAULT 'strain',
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    interval_minutes INTEGER,
+    next_run_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_status TEXT,
+    last_error TEXT,
+    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+    owner TEXT,
+    lease_expires_at TIMESTAMP WITH TIME ZONE,
+    last_emitted JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS polling_jobs_due ON polling_jobs (next_run_at) WHERE enabled;
+  CREATE TABLE IF NOT EXISTS polling_team_intervals (
+    team_id TEXT PRIMARY KEY,
+    interval_minutes INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS polling_meta (
+    key TEXT PRIMARY KEY,
+    value JSONB NOT NULL
+  );
+`;
+
+// Job field -> column
+const COLUMNS = {
+  userId: 'user_id',
+  kind: 'kind',
+  enabled: 'enabled',
+  intervalMinutes: 'interval_minutes',
+  nextRunAt: 'next_run_at',
+  lastRunAt: 'last_run_at',
+  lastStatus: 'last_status',
+  lastError: 'last_error',
+  consecutiveFailures: 'consecutive_failures',
+  owner: 'owner',
+  leaseExpiresAt: 'lease_expires_at',
+  lastEmitted: 'last_emitted',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+};
+
+function toJob(row) {
+  if (!row) return null;
+  const job = {};
+  for (const [field, column] of Object.entries(COLUMNS)) {
+    const value = row[column];
+    job[field] = value instanceof Date ? value.toISOString() : value;
+  }
+  return job;
+}
+
+/**
+ * Polling jobs shared by every instance through DATABASE_URL (tables created
+ * on first use). A due job is claimed by setting owner and lease_expires_at;
+ * the owner keeps renewing its leases, so a job stays with one instance until
+ * that instance stops renewing (it died or shut down) and another claims it.
+ * @returns {Object} - Polling job store
+ */
+function createPostgresPollingStore() {
+  let migrated = null;
+
+  async function query(text, values) {
+    const pool = getPool();
+    if (!migrated) {
+      migrated = pool.query(MIGRATION).catch((error) => {
+        migrated = null;
+        throw error;
+      });
+    }
+    await migrated;
+    return pool.query(text, values);
+  }
+
+  return {
+    name: 'postgres',
+
+    async get(userId) {
+      const { rows } = await query('SELECT * FROM polling_jobs WHERE user_id = $1', [String(userId)]);
+      return toJob(rows[0]);
+    },
+
+    async list() {
+      const { rows } = await query('SELECT * FROM polling_jobs');
+      return rows.map(toJob);
+    },
+
+    async insert(job) {
+      const fields = Object.keys(job).filter((field) => COLUMNS[field]);
+      await query(
+        `INSERT INTO polling_jobs (${fields.map((field) => COLUMNS[field]).join(', ')})
+         VALUES (${fields.map((field, i) => `$${i + 1}`).join(', ')})
+         ON CONFLICT (user_id) DO NOTHING`,
+        fields.map((field) => job[field])
+      );
+      return this.get(job.userId);
+    },
+
+    // Only the given fields change, so instances updating different fields
+    // (a run finishing, the athlete turning polling off) don't undo each other
+    async update(userId, fields) {
+      const names = Object.keys(fields).filter((field) => COLUMNS[field] && field !== 'userId');
+      const { rows } = await query(
+        `UPDATE polling_jobs SET ${names.map((field, i) => `${COLUMNS[field]} = $${i + 2}`).join(', ')}
+         WHERE user_id = $1 RETURNING *`,
+        [String(userId), ...names.map((field) => fields[field])]
+      );
+      return toJob(rows[0]);
+    },
+
+    async remove(userId) {
+      await query('DELETE FROM polling_jobs WHERE user_id = $1', [String(userId)]);
+    },
+
+    // Due jobs that are unowned, ours, or whose owner stopped renewing
+    async claimDue(now, owner, leaseMs) {
+      const { rows } = await query(
+        `UPDATE polling_jobs
+         SET owner = $1, lease_expires_at = NOW() + make_interval(secs => $2)
+         WHERE user_id IN (
+           SELECT user_id FROM polling_jobs
+           WHERE enabled AND next_run_at <= NOW()
+             AND (owner IS NULL OR owner = $1 OR lease_expires_at < NOW())
+           ORDER BY next_run_at
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [owner, leaseMs / 1000]
+      );
+      return rows.map(toJob).sort((a, b) => new Date(a.nextRunAt) - new Date(b.nextRunAt));
+    },
+
+    // Jobs that live instances still hold are left to their owners
+    async catchUp(now, windowMs) {
+      const { rowCount } = await query(
+        `UPDATE polling_jobs
+         SET next_run_at = NOW() + make_interval(secs => random() * $1)
+         WHERE enabled AND next_run_at <= NOW() AND (owner IS NULL OR lease_expires_at < NOW())`,
+        [windowMs / 1000]
+      );
+      return rowCount;
+    },
+
+    async renewLeases(owner, leaseMs) {
+      const { rowCount } = await query(
+        'UPDATE polling_jobs SET lease_expires_at = NOW() + make_interval(secs => $2) WHERE owner = $1',
+        [owner, leaseMs / 1000]
+      );
+      return rowCount;
+    },
+
+    async releaseLeases(owner) {
+      await query('UPDATE polling_jobs SET owner = NULL, lease_expires_at = NULL WHERE owner = $1', [owner]);
+    },
+
+    async teamIntervals() {
+      const { rows } = await query('SELECT team_id, interval_minutes FROM polling_team_intervals');
+      return Object.fromEntries(rows.map((row) => [row.team_id, row.interval_minutes]));
+    },
+
+    async setTeamInterval(teamId, minutes) {
+      if (minutes === null) {
+        await query('DELETE FROM polling_team_intervals WHERE team_id = $1', [teamId]);
+      } else {
+        await query(
+          `INSERT INTO polling_team_intervals (team_id, interval_minutes) VALUES ($1, $2)
+           ON CONFLICT (team_id) DO UPDATE SET interval_minutes = EXCLUDED.interval_minutes`,
+          [teamId, minutes]
+        );
+      }
+    },
+
+    async getMeta(key) {
+      const { rows } = await query('SELECT value FROM polling_meta WHERE key = $1', [key]);
+      return rows[0]?.value;
+    },
+
+    async setMeta(key, value) {
+      await query(
+        `INSERT INTO polling_meta (key, value) VALUES ($1, $2)
+         ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value`,
+        [key, JSON.stringify(value)]
+      );
+    }
+  };
+}
+
+module.exports = {
+  createPostgresPollingStore
+};
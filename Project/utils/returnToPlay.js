@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { JsonStore } = require('./jsonStore');
+const alerts = require('./alerts');
+const { sendRecord } = require('./sinks');
+
+// Graduated return-to-play protocol. Each stage caps how hard the athlete may
+// work: maxDailyStrain applies to the cycle strain, maxWorkoutStrain and
+// maxHeartRate to each individual workout. null means no limit.
+const STAGES = [
+  { stage: 1, name: 'Symptom-limited activity', maxDailyStrain: 8, maxWorkoutStrain: 4, maxHeartRate: null },
+  { stage: 2, name: 'Light aerobic exercise', maxDailyStrain: 10, maxWorkoutStrain: 8, maxHeartRate: null },
+  { stage: 3, name: 'Sport-specific exercise', maxDailyStrain: 12, maxWorkoutStrain: 11, maxHeartRate: null },
+  { stage: 4, name: 'Non-contact training drills', maxDailyStrain: 15, maxWorkoutStrain: 14, maxHeartRate: null },
+  { stage: 5, name: 'Full-contact practice', maxDailyStrain: 18, maxWorkoutStrain: 17, maxHeartRate: null },
+  { stage: 6, name: 'Return to sport', maxDailyStrain: null, maxWorkoutStrain: null, maxHeartRate: null }
+];
+const LIMIT_FIELDS = ['maxDailyStrain', 'maxWorkoutStrain', 'maxHeartRate'];
+
+const store = new JsonStore('rtp-episodes.json', { episodes: [] });
+
+// Broadcasts 'violation' whenever incoming data exceeds the current stage's
+// limits, and 'episode' whenever an episode is opened, changes stage or closes
+const rtpEmitter = new EventEmitter();
+
+function invalid(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Limits for a stage, with any per-episode overrides applied
+ * @param {Object} episode - Injury episode
+ * @param {number} stageNumber - Stage number
+ * @returns {Object} - { stage, name, maxDailyStrain, maxWorkoutStrain, maxHeartRate }
+ */
+function stageLimits(episode, stageNumber) {
+  const base = STAGES.find((stage) => stage.stage === stageNumber);
+  return { ...base, ...(episode.stageLimits?.[stageNumber] || {}) };
+}
+
+/**
+ * @param {string} userId - WHOOP user ID
+ * @returns {Object|null} - The athlete's open injury episode
+ */
+function getOpenEpisode(userId) {
+  return store.data.episodes.find((episode) => episode.userId === String(userId) && episode.status === 'open') || null;
+}
+
+/**
+ * Status-only view of an episode for staff who may see readiness but not
+ * medical details: no mechanism, notes, sign-off notes or stage limit overrides
+ * @param {Object} episode - Injury episode
+ * @returns {Object} - Redacted episode
+ */
+function summarizeEpisode(episode) {
+  return {
+    id: episode.id,
+    userId: episode.userId,
+    status: episode.status,
+    currentStage: episode.currentStage,
+    stages: episode.stages.map(({ stage, enteredAt, signedOffAt, outcome }) => ({ stage, enteredAt, signedOffAt, outcome })),
+    violations: episode.violations,
+    openedAt: episode.openedAt,
+    closedAt: episode.closedAt
+  };
+}
+
+function getEpisode(episodeId) {
+  return store.data.episodes.find((episode) => episode.id === episodeId) || null;
+}
+
+/**
+ * @param {Object} [filter]
+ * @param {string|string[]} [filter.userId] - Athlete ID(s)
+ * @param {string} [filter.status] - open | closed
+ * @returns {Object[]} - Episodes, newest first
+ */
+function listEpisodes({ userId, status } = {}) {
+  const userIds = userId ? [].concat(userId).map(String) : null;
+  return store.data.episodes
+    .filter((episode) => !userIds || userIds.includes(episode.userId))
+    .filter((episode) => !status || episode.status === status)
+    .sort((a, b) => new Date(b.openedAt) - new Date(a.openedAt));
+}
+
+function validateStageLimits(stageLimitsInput) {
+  if (stageLimitsInput == null) return;
+  if (typeof stageLimitsInput !== 'object') throw invalid('stageLimits must be an object keyed by stage number');
+  Object.entries(stageLimitsInput).forEach(([stageNumber, limits]) => {
+    if (!STAGES.some((stage) => String(stage.stage) === stageNumber)) throw invalid(`Unknown stage in stageLimits: ${stageNumber}`);
+    Object.entries(limits || {}).forEach(([field, value]) => {
+      if (!LIMIT_FIELDS.includes(field)) throw invalid(`Unknown limit: ${field}`);
+      if (value !== null && typeof value !== 'number') throw invalid(`${field} must be a number or null`);
+    });
+  });
+}
+
+/**
+ * Opens an injury episode; the athlete starts at stage 1
+ * @param {Object} input
+ * @param {string} input.userId - WHOOP user ID of the athlete
+ * @param {string} input.injuryDate - ISO 8601 date of injury
+ * @param {string} [input.mechanism] - How the injury happened
+ * @param {string} [input.notes] - Clinical notes
+ * @param {Object} [input.stageLimits] - Per-stage limit overrides, e.g. { "2": { "maxHeartRate": 150 } }
+ * @param {string} openedBy - User ID of the staff member
+ * @returns {Promise<Object>} - Created episode
+ * @throws {Error} - With status 400 for invalid input, 409 when an episode is already open
+ */
+async function openEpisode({ userId, injuryDate, mechanism = '', notes = '', stageLimits: limits = null }, openedBy) {
+  if (!userId) throw invalid('userId is required');
+  if (!injuryDate || isNaN(Date.parse(injuryDate))) throw invalid('injuryDate must be an ISO 8601 date');
+  validateStageLimits(limits);
+
+  if (getOpenEpisode(userId)) {
+    const error = new Error('Athlete already has an open injury episode');
+    error.status = 409;
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const episode = {
+    id: crypto.randomUUID(),
+    userId: String(userId),
+    injuryDate,
+    mechanism,
+    notes,
+    stageLimits: limits,
+    status: 'open',
+    currentStage: 1,
+    stages: [{ stage: 1, enteredAt: now, enteredBy: openedBy, signedOffAt: null, signedOffBy: null, notes: '' }],
+    violations: [],
+    openedAt: now,
+    openedBy,
+    closedAt: null,
+    closedBy: null
+  };
+  store.data.episodes.push(episode);
+  await store.save();
+
+  await sendRecord('rtp_episode_opened', { episode_id: episode.id, user_id: episode.userId, injury_date: injuryDate, mechanism });
+  rtpEmitter.emit('episode', { userId: episode.userId, episode });
+  return episode;
+}
+
+/**
+ * Moves an athlete to another stage. Moving forward requires sign-off of the
+ * current stage and may only go one stage at a time; moving back (symptoms
+ * returned) may go to any earlier stage.
+ * @param {string} episodeId - Episode ID
+ * @param {number} stage - Target stage
+ * @param {string} actorId - User ID of the staff member signing off
+ * @param {string} [notes] - Sign-off notes
+ * @returns {Promise<Object|null>} - Updated episode or null when not found
+ * @throws {Error} - With status 400 for invalid transitions
+ */
+async function changeStage(episodeId, stage, actorId, notes = '') {
+  const episode = getEpisode(episodeId);
+  if (!episode) return null;
+  if (episode.status !== 'open') throw invalid('Episode is closed');
+  if (!STAGES.some((definition) => definition.stage === stage)) throw invalid(`stage must be between 1 and ${STAGES.length}`);
+  if (stage === episode.currentStage) throw invalid('Athlete is already at this stage');
+  if (stage > episode.currentStage + 1) throw invalid('Stages must be completed one at a time');
+
+  const now = new Date().toISOString();
+  const current = episode.stages[episode.stages.length - 1];
+  current.signedOffAt = now;
+  current.signedOffBy = actorId;
+  current.notes = notes;
+  current.outcome = stage > episode.currentStage ? 'completed' : 'regressed';
+
+  episode.stages.push({ stage, enteredAt: now, enteredBy: actorId, signedOffAt: null, signedOffBy: null, notes: '' });
+  episode.currentStage = stage;
+  await store.save();
+
+  await sendRecord('rtp_stage_changed', {
+    episode_id: episode.id,
+    user_id: episode.userId,
+    from_stage: current.stage,
+    to_stage: stage,
+    signed_off_by: actorId,
+    notes
+  });
+  rtpEmitter.emit('episode', { userId: episode.userId, episode });
+  return episode;
+}
+
+/**
+ * Closes an episode (athlete fully returned, or episode opened in error)
+ * @param {string} episodeId - Episode ID
+ * @param {string} actorId - User ID of the staff member
+ * @param {string} [notes] - Closing notes
+ * @returns {Promise<Object|null>} - Updated episode or null when not found / already closed
+ */
+async function closeEpisode(episodeId, actorId, notes = '') {
+  const episode = getEpisode(episodeId);
+  if (!episode || episode.status !== 'open') return null;
+
+  const now = new Date().toISOString();
+  const current = episode.stages[episode.stages.length - 1];
+  current.signedOffAt = now;
+  current.signedOffBy = actorId;
+
+  episode.status = 'closed';
+  episode.closedAt = now;
+  episode.closedBy = actorId;
+  episode.closingNotes = notes;
+  await store.save();
+
+  await sendRecord('rtp_episode_closed', { episode_id: episode.id, user_id: episode.userId, final_stage: episode.currentStage, notes });
+  rtpEmitter.emit('episode', { userId: episode.userId, episode });
+  return episode;
+}
+
+function measurementsFor(kind, data, limits) {
+  if (kind === 'cycle') {
+    return [{ metric: 'daily_strain', value: data.score?.strain, limit: limits.maxDailyStrain }];
+  }
+  if (kind === 'workout') {
+    return [
+      { metric: 'workout_strain', value: data.score?.strain, limit: limits.maxWorkoutStrain },
+      { metric: 'max_heart_rate', value: data.score?.max_heart_rate, limit: limits.maxHeartRate }
+    ];
+  }
+  return [];
+}
+
+/**
+ * @param {Object} episode - Injury episode
+ * @param {Object} data - WHOOP cycle or workout
+ * @returns {boolean} - Whether the activity started after the athlete entered the current stage
+ */
+function startedInCurrentStage(episode, data) {
+  const enteredAt = episode.stages[episode.stages.length - 1].enteredAt;
+  const startMs = Date.parse(data.start);
+  return !isNaN(startMs) && startMs >= Date.parse(enteredAt) && startMs >= Date.parse(episode.injuryDate);
+}
+
+/**
+ * Checks an incoming cycle or workout against the athlete's current stage and
+ * flags over-exertion. Each object is flagged once per stage and metric; a
+ * higher reading later updates the existing flag. Activity that started before
+ * the current stage (an edited old workout, a backfilled day) is not held
+ * against it.
+ * @param {string} kind - cycle | workout (other kinds are ignored)
+ * @param {string} userId - WHOOP user ID
+ * @param {Object} data - WHOOP object
+ * @returns {Promise<Object[]>} - Newly flagged violations
+ */
+async function checkExertion(kind, userId, data) {
+  const episode = getOpenEpisode(userId);
+  if (!episode || !startedInCurrentStage(episode, data)) return [];
+
+  const limits = stageLimits(episode, episode.currentStage);
+  const flagged = [];
+
+  for (const { metric, value, limit } of measurementsFor(kind, data, limits)) {
+    if (typeof value !== 'number' || limit === null || limit === undefined || value <= limit) continue;
+
+    const objectId = String(data.id);
+    const existing = episode.violations.find((violation) =>
+      violation.stage === episode.currentStage && violation.objectId === objectId && violation.metric === metric
+    );
+    if (existing) {
+      existing.value = Math.max(existing.value, value);
+      existing.lastSeenAt = new Date().toISOString();
+      continue;
+    }
+
+    const violation = {
+      id: crypto.randomUUID(),
+      stage: episode.currentStage,
+      stageName: limits.name,
+      kind,
+      objectId,
+      metric,
+      value,
+      limit,
+      detectedAt: new Date().toISOString()
+    };
+    episode.violations.push(violation);
+    flagged.push(violation);
+  }
+
+  await store.save();
+
+  for (const violation of flagged) {
+    console.log(`RTP over-exertion for user ${userId}: ${violation.metric} ${violation.value} > ${violation.limit} (stage ${violation.stage})`);
+    await sendRecord('rtp_violation', { ...violation, episode_id: episode.id, user_id: episode.userId });
+    await alerts.raiseAlert({
+      key: `rtp:${episode.id}:${violation.stage}:${violation.metric}`,
+      name: `Over-exertion in return-to-play stage ${violation.stage}`,
+      userId: episode.userId,
+      metric: violation.metric,
+      severity: 'warning',
+      condition: `${violation.metric} > ${violation.limit} (${violation.stageName})`,
+      reading: { value: violation.value, limit: violation.limit, objectId: violation.objectId }
+    });
+    rtpEmitter.emit('violation', { userId: episode.userId, episode, violation });
+  }
+  return flagged;
+}
+
+// Rules can be limited to athletes at a given stage ("strain > 10 during stage 2")
+alerts.registerContextProvider(async (userId) => ({
+  rtpStage: getOpenEpisode(userId)?.currentStage ?? null
+}));
+
+module.exports = {
+  STAGES,
+  rtpEmitter,
+  stageLimits,
+  getOpenEpisode,
+  getEpisode,
+  summarizeEpisode,
+  listEpisodes,
+  openEpisode,
+  changeStage,
+  closeEpisode,
+  checkExertion
+};
@@ -0,0 +1,103 @@
+const timeseries = require('./timeseries');
+const baselines = require('./baselines');
+const alerts = require('./alerts');
+const returnToPlay = require('./returnToPlay');
+const checkins = require('./checkins');
+const organizations = require('./organizations');
+const permissions = require('./permissions');
+const consent = require('./consent');
+
+const SEVERITY_ORDER = ['info', 'warning', 'critical'];
+
+function latestScored(kind, athleteId, include = () => true) {
+  return timeseries.list(kind, athleteId)
+    .find((entry) => entry.data?.score_state === 'SCORED' && include(entry.data)) || null;
+}
+
+// When the athlete's most recent object of each kind was last stored (poll,
+// webhook or backfill), whichever is newest
+function lastDataAt(athleteId) {
+  const times = timeseries.KINDS
+    .map((kind) => timeseries.list(kind, athleteId)[0]?.updatedAt)
+    .filter(Boolean)
+    .sort();
+  return times[times.length - 1] || null;
+}
+
+// Metric with the largest latest deviation from the athlete's baseline,
+// among the metrics the viewer may see
+function largestDeviation(athleteId, shared) {
+  let largest = null;
+  Object.entries(baselines.getBaselines(athleteId)).forEach(([metric, { latest }]) => {
+    if (typeof latest?.z !== 'number' || !shared.includes(consent.METRIC_DATA_TYPES[metric])) return;
+    if (!largest || Math.abs(latest.z) > Math.abs(largest.z)) {
+      largest = { metric, z: latest.z, value: latest.value };
+    }
+  });
+  return largest;
+}
+
+/**
+ * One roster row: the athlete's latest readiness picture. Each field is only
+ * filled in when the athlete shares that data type with the viewer's team
+ * (null otherwise); symptom details also need medical:read.
+ * @param {Object} viewer - req.user of the staff member
+ * @param {string} athleteId - WHOOP user ID of the athlete
+ * @returns {Object} - Roster row
+ */
+function athleteRow(viewer, athleteId) {
+  const shared = permissions.sharedDataTypes(viewer, 'readiness:read', athleteId);
+  const cycle = shared.includes('strain') ? timeseries.list('cycle', athleteId)[0] || null : null;
+  const recovery = shared.includes('recovery') ? latestScored('recovery', athleteId) : null;
+  const sleep = shared.includes('sleep') ? latestScored('sleep', athleteId, (data) => !data.nap) : null;
+  const openAlerts = alerts.listAlerts({ userId: athleteId, status: 'open' })
+    .filter((alert) => shared.includes(consent.dataTypeForAlert(alert)));
+  const episode = shared.includes('symptoms') ? returnToPlay.getOpenEpisode(athleteId) : null;
+
+  const row = {
+    athleteId,
+    name: organizations.displayName(athleteId),
+    teams: organizations.membershipsFor(athleteId)
+      .filter((membership) => membership.role === 'athlete' && membership.team)
+      .map(({ team }) => ({ id: team.id, name: team.name })),
+    strain: cycle?.data?.score?.strain ?? null,
+    cycleOpen: cycle ? !cycle.data?.end : null,
+    recoveryScore: recovery?.data.score.recovery_score ?? null,
+    sleepPerformance: sleep?.data.score.sleep_performance_percentage ?? null,
+    deviation: largestDeviation(athleteId, shared),
+    activeAlerts: openAlerts.length,
+    alertSeverity: openAlerts
+      .map((alert) => alert.severity)
+      .sort((a, b) => SEVERITY_ORDER.indexOf(b) - SEVERITY_ORDER.indexOf(a))[0] || null,
+    rtpStage: episode?.currentStage ?? null,
+    lastDataAt: lastDataAt(athleteId),
+    sharing: shared
+  };
+
+  if (permissions.can(viewer, 'medical:read', athleteId, 'symptoms')) {
+    const checkin = checkins.latestCheckin(athleteId);
+    row.latestCheckin = checkin
+      ? { date: checkin.date, totalSymptoms: checkin.totalSymptoms, severityScore: checkin.severityScore }
+      : null;
+  }
+  return row;
+}
+
+/**
+ * Roster rows for every athlete the viewer is responsible for
+ * @param {Object} viewer - req.user of the staff member
+ * @param {Object} [filter]
+ * @param {string} [filter.teamId] - Only athletes on this team
+ * @returns {Object[]} - Roster rows, by name
+ */
+function buildRoster(viewer, { teamId } = {}) {
+  return permissions.athletesFor(viewer, 'readiness:read')
+    .filter((athleteId) => !teamId || organizations.athleteTeamIds(athleteId).includes(teamId))
+    .map((athleteId) => athleteRow(viewer, athleteId))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  athleteRow,
+  buildRoster
+};
@@ -0,0 +1,35 @@
+require('dotenv').config({ path: '../../.env' });
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR } = require('../jsonStore');
+const { DeliveryLedger } = require('../deliveryLedger');
+
+const SINK_FILE_PATH = process.env.SINK_FILE_PATH || path.join(DATA_DIR, 'records.ndjson');
+
+/**
+ * Append-only NDJSON file sink: one JSON record per line
+ * @returns {Object} - Sink
+ */
+function createFileSink() {
+  // Serialise appends so lines from concurrent writers never interleave
+  let appending = fs.ensureDir(path.dirname(SINK_FILE_PATH));
+  const delivered = new DeliveryLedger('sinks/file.delivered.json');
+
+  return {
+    name: 'file',
+    async write(record, { key } = {}) {
+      const line = JSON.stringify(record) + '\n';
+      appending = appending
+        .catch(() => {})
+        .then(() => fs.appendFile(SINK_FILE_PATH, line));
+      await appending;
+      await delivered.mark([key]);
+    },
+    hasSent: (key) => delivered.has(key)
+  };
+}
+
+module.exports = {
+  createFileSink,
+  SINK_FILE_PATH
+};
@@ -0,0 +1,21 @@
+const { sendToFoundry, getFoundryOutbox } = require('../foundry');
+
+/**
+ * Foundry datastream sink (delivered through the Foundry outbox)
+ * @returns {Object} - Sink
+ */
+function createFoundrySink() {
+  // Creating the outbox up front replays anything left from a previous run
+  const outbox = getFoundryOutbox();
+
+  return {
+    name: 'foundry',
+    outbox,
+    write: (record, options) => sendToFoundry(record.value, record.payload, record.timestamp, options),
+    hasSent: (key) => outbox.hasSent(key)
+  };
+}
+
+module.exports = {
+  createFoundrySink
+};
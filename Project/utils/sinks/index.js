@@ -0,0 +1,114 @@
+require('dotenv').config({ path: '../../.env' });
+const crypto = require('crypto');
+const consent = require('../consent');
+const { isFoundryConfigured } = require('../foundry');
+const { createFoundrySink } = require('./foundry');
+const { createFileSink } = require('./file');
+const { createPostgresSink } = require('./postgres');
+
+const SINK_FACTORIES = {
+  foundry: createFoundrySink,
+  file: createFileSink,
+  postgres: createPostgresSink
+};
+
+// DATA_SINKS is a comma-separated list, e.g. "foundry,postgres". Without it we
+// stream to Foundry when credentials exist and fall back to the local file so
+// development works without a Foundry license.
+const DATA_SINKS = (process.env.DATA_SINKS || (isFoundryConfigured() ? 'foundry' : 'file'))
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean);
+
+const sinks = DATA_SINKS.map((name) => {
+  const factory = SINK_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown data sink "${name}" in DATA_SINKS (expected one of: ${Object.keys(SINK_FACTORIES).join(', ')})`);
+  }
+  return factory();
+});
+
+console.log(`Data sinks enabled: ${DATA_SINKS.join(', ')}`);
+
+/**
+ * Sends a record to every configured data sink. Athlete records are only sent
+ * for data types the athlete has consented to export (see utils/consent.js).
+ * @param {string} valueType - Record type ("strain", "workout", "sleep", "recovery", ...)
+ * @param {Object} payloadData - Data payload
+ * @param {Object} [options]
+ * @param {string} [options.key] - Delivery key each sink remembers once it has delivered the record
+ * @param {string[]} [options.sinkNames] - Only send to these sinks (all sinks when omitted)
+ * @returns {Promise<boolean>} - True once every sink has accepted the record, false when consent withholds it
+ * @throws {Error} - When any sink fails to accept the record
+ */
+async function sendRecord(valueType, payloadData, { key, sinkNames } = {}) {
+  if (!consent.isExportAllowed(valueType, payloadData)) {
+    return false;
+  }
+
+  const record = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    value: valueType,
+    payload: payloadData
+  };
+
+  const targets = sinkNames ? sinks.filter((sink) => sinkNames.includes(sink.name)) : sinks;
+  const results = await Promise.allSettled(targets.map((sink) => sink.write(record, { key })));
+  const failures = results
+    .map((result, i) => ({ result, sink: targets[i] }))
+    .filter(({ result }) => result.status === 'rejected');
+
+  if (failures.length > 0) {
+    failures.forEach(({ sink, result }) => {
+      console.error(`Error writing ${valueType} record to ${sink.name} sink:`, result.reason);
+    });
+    throw new Error(`Failed to write ${valueType} record to: ${failures.map(({ sink }) => sink.name).join(', ')}`);
+  }
+  return true;
+}
+
+/**
+ * @param {string} key - Delivery key passed to sendRecord()
+ * @returns {string[]} - Names of sinks that have neither delivered nor queued the record
+ */
+function unsentSinks(key) {
+  return sinks.filter((sink) => !sink.hasSent(key)).map((sink) => sink.name);
+}
+
+/**
+ * @param {string} name - Sink name
+ * @returns {Object|undefined} - The configured sink, if enabled
+ */
+function getSink(name) {
+  return sinks.find((sink) => sink.name === name);
+}
+
+/**
+ * @returns {Object[]} - Outbox status for every sink that has one
+ */
+function getSinkStatus() {
+  return sinks.map((sink) => ({
+    name: sink.name,
+    ...(sink.outbox ? sink.outbox.stats() : {})
+  }));
+}
+
+/**
+ * Flushes every sink outbox (used by CLI scripts before exiting)
+ * @returns {Promise<boolean>} - True if every outbox is empty
+ */
+async function drainSinks() {
+  const results = await Promise.all(
+    sinks.filter((sink) => sink.outbox).map((sink) => sink.outbox.drain())
+  );
+  return results.every(Boolean);
+}
+
+module.exports = {
+  sendRecord,
+  unsentSinks,
+  getSink,
+  getSinkStatus,
+  drainSinks
+};
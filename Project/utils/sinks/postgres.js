@@ -0,0 +1,68 @@
+const { getPool } = require('../db');
+const { Outbox } = require('../outbox');
+const consent = require('../consent');
+
+const MIGRATION = `
+  CREATE TABLE IF NOT EXISTS whoop_records (
+    record_id UUID PRIMARY KEY,
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    value_type TEXT NOT NULL,
+    user_id TEXT,
+    payload JSONB NOT NULL,
+    inserted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS whoop_records_user_type_time
+    ON whoop_records (user_id, value_type, recorded_at);
+`;
+
+/**
+ * Postgres sink: records land in the whoop_records table (created on first
+ * delivery). Inserts go through an outbox so a database outage doesn't drop
+ * readings, and record_id makes retried batches idempotent.
+ * @returns {Object} - Sink
+ */
+function createPostgresSink() {
+  let migrated = null;
+
+  async function insertRecords(records) {
+    const pool = getPool();
+    if (!migrated) {
+      migrated = pool.query(MIGRATION).catch((error) => {
+        migrated = null;
+        throw error;
+      });
+    }
+    await migrated;
+
+    const values = [];
+    const placeholders = records.map((record, i) => {
+      values.push(record.id, record.timestamp, record.value, record.payload?.user_id ?? null, record.payload);
+      const base = i * 5;
+      return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5})`;
+    });
+
+    await pool.query(
+      `INSERT INTO whoop_records (record_id, recorded_at, value_type, user_id, payload)
+       VALUES ${placeholders.join(', ')}
+       ON CONFLICT (record_id) DO NOTHING`,
+      values
+    );
+  }
+
+  const outbox = new Outbox({
+    name: 'postgres',
+    deliver: insertRecords,
+    isDeliverable: (record) => consent.isExportAllowed(record.value, record.payload)
+  });
+
+  return {
+    name: 'postgres',
+    outbox,
+    write: (record, options) => outbox.enqueue(record, options),
+    hasSent: (key) => outbox.hasSent(key)
+  };
+}
+
+module.exports = {
+  createPostgresSink
+};
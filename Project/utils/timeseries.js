@@ -0,0 +1,219 @@
+require('dotenv').config({ path: '../../.env' });
+const fs = require('fs-extra');
+const path = require('path');
+const { JsonStore, DATA_DIR } = require('./jsonStore');
+
+// Object kinds we keep history for, and the field that places each one in time
+const KINDS = {
+  cycle: (data) => data.start,
+  recovery: (data) => data.created_at,
+  sleep: (data) => data.start,
+  workout: (data) => data.start
+};
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Each athlete's history for a kind lives in its own document
+// (DATA_DIR/timeseries/<kind>/<userId>.json), so an upsert only rewrites that
+// athlete's series for that kind and only recently used series stay in memory
+const MAX_OPEN_SERIES = parseInt(process.env.TIMESERIES_MAX_OPEN_SERIES, 10) || 200;
+const LEGACY_FILE = path.join(DATA_DIR, 'timeseries.json');
+
+// `${kind}/${userId}` -> { store, saving }, least recently used first
+const openSeries = new Map();
+
+function assertKind(kind) {
+  if (!KINDS[kind]) {
+    throw new Error(`Unknown time-series kind: ${kind}`);
+  }
+}
+
+function seriesFile(kind, userId) {
+  return `timeseries/${kind}/${encodeURIComponent(userId)}.json`;
+}
+
+/**
+ * Splits the single-document store used by earlier versions into per-athlete
+ * files, once, and keeps the old file alongside as timeseries.json.migrated
+ */
+function migrateLegacyFile() {
+  if (!fs.pathExistsSync(LEGACY_FILE)) return;
+
+  const legacy = fs.readJsonSync(LEGACY_FILE);
+  Object.keys(KINDS).forEach((kind) => {
+    Object.entries(legacy[kind] || {}).forEach(([userId, entries]) => {
+      fs.outputJsonSync(path.join(DATA_DIR, seriesFile(kind, userId)), { entries });
+    });
+  });
+  fs.renameSync(LEGACY_FILE, `${LEGACY_FILE}.migrated`);
+  console.log('Time series: split timeseries.json into per-athlete files');
+}
+
+function closeIdleSeries(currentKey) {
+  for (const [key, series] of openSeries) {
+    if (openSeries.size <= MAX_OPEN_SERIES) return;
+    // A series with a write in flight stays open so a reload can't miss it
+    if (key !== currentKey && series.saving === 0) {
+      openSeries.delete(key);
+    }
+  }
+}
+
+function openSeriesFor(kind, userId) {
+  assertKind(kind);
+  const key = `${kind}/${userId}`;
+  let series = openSeries.get(key);
+  if (series) {
+    openSeries.delete(key);
+  } else {
+    series = { store: new JsonStore(seriesFile(kind, userId), { entries: {} }), saving: 0 };
+  }
+  openSeries.set(key, series);
+  closeIdleSeries(key);
+  return series;
+}
+
+function userEntries(kind, userId) {
+  return openSeriesFor(kind, String(userId)).store.data.entries;
+}
+
+async function saveSeries(kind, userId) {
+  const series = openSeriesFor(kind, String(userId));
+  series.saving += 1;
+  try {
+    await series.store.save();
+  } finally {
+    series.saving -= 1;
+  }
+}
+
+/**
+ * Inserts or replaces a WHOOP object in the local time series
+ * @param {string} kind - cycle | recovery | sleep | workout
+ * @param {string} userId - WHOOP user ID
+ * @param {string|number} objectId - WHOOP object ID (cycle ID for recoveries)
+ * @param {Object} data - Object as returned by the WHOOP API
+ * @returns {Promise<Object>} - Stored entry
+ */
+async function upsert(kind, userId, objectId, data) {
+  const entries = userEntries(kind, userId);
+  const id = String(objectId);
+  const now = new Date().toISOString();
+
+  entries[id] = {
+    id,
+    userId: String(userId),
+    kind,
+    time: KINDS[kind](data) || entries[id]?.time || now,
+    data,
+    firstSeenAt: entries[id]?.firstSeenAt || now,
+    updatedAt: now,
+    deleted: false
+  };
+  await saveSeries(kind, userId);
+  return entries[id];
+}
+
+/**
+ * Marks a WHOOP object as deleted, keeping a tombstone so history stays explainable
+ * @param {string} kind - cycle | recovery | sleep | workout
+ * @param {string} userId - WHOOP user ID
+ * @param {string|number} objectId - WHOOP object ID
+ * @returns {Promise<Object>} - Tombstoned entry
+ */
+async function tombstone(kind, userId, objectId) {
+  const entries = userEntries(kind, userId);
+  const id = String(objectId);
+  const now = new Date().toISOString();
+
+  entries[id] = {
+    id,
+    userId: String(userId),
+    kind,
+    time: entries[id]?.time || now,
+    data: entries[id]?.data || null,
+    firstSeenAt: entries[id]?.firstSeenAt || now,
+    updatedAt: now,
+    deleted: true,
+    deletedAt: now
+  };
+  await saveSeries(kind, userId);
+  return entries[id];
+}
+
+/**
+ * @param {string} kind - cycle | recovery | sleep | workout
+ * @param {string} userId - WHOOP user ID
+ * @param {string|number} objectId - WHOOP object ID
+ * @returns {Object|null} - Stored entry (including tombstones) or null
+ */
+function get(kind, userId, objectId) {
+  return userEntries(kind, userId)[String(objectId)] || null;
+}
+
+/**
+ * @param {string} kind - cycle | recovery | sleep | workout
+ * @param {string} userId - WHOOP user ID
+ * @param {Function} predicate - (entry) => boolean
+ * @returns {Object|null} - First stored entry (including tombstones) that matches, or null
+ */
+function find(kind, userId, predicate) {
+  return Object.values(userEntries(kind, userId)).find(predicate) || null;
+}
+
+/**
+ * Lists entries for a user, newest first
+ * @param {string} kind - cycle | recovery | sleep | workout
+ * @param {string} userId - WHOOP user ID
+ * @param {Object} [options]
+ * @param {string|Date} [options.from] - Inclusive lower bound on entry time
+ * @param {string|Date} [options.to] - Exclusive upper bound on entry time
+ * @param {boolean} [options.includeDeleted=false] - Include tombstones
+ * @returns {Object[]} - Matching entries
+ */
+function list(kind, userId, { from, to, includeDeleted = false } = {}) {
+  const fromMs = from ? new Date(from).getTime() : -Infinity;
+  const toMs = to ? new Date(to).getTime() : Infinity;
+
+  return Object.values(userEntries(kind, userId))
+    .filter((entry) => includeDeleted || !entry.deleted)
+    .filter((entry) => {
+      const t = new Date(entry.time).getTime();
+      return t >= fromMs && t < toMs;
+    })
+    .sort((a, b) => new Date(b.time) - new Date(a.time));
+}
+
+/**
+ * Pages through entries for a user, newest first (WHOOP-style nextToken pagination)
+ * @param {string} kind - cycle | recovery | sleep | workout
+ * @param {string} userId - WHOOP user ID
+ * @param {Object} [options] - list() options plus limit and nextToken
+ * @returns {{ records: Object[], next_token: string|null }}
+ */
+function query(kind, userId, { limit, nextToken, ...filters } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = nextToken ? parseInt(Buffer.from(nextToken, 'base64url').toString(), 10) || 0 : 0;
+
+  const entries = list(kind, userId, filters);
+  const records = entries.slice(offset, offset + pageSize);
+  const nextOffset = offset + records.length;
+
+  return {
+    records,
+    next_token: nextOffset < entries.length ? Buffer.from(String(nextOffset)).toString('base64url') : null
+  };
+}
+
+migrateLegacyFile();
+
+module.exports = {
+  KINDS: Object.keys(KINDS),
+  upsert,
+  tombstone,
+  get,
+  find,
+  list,
+  query
+};
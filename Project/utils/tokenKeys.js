@@ -0,0 +1,56 @@
+require('dotenv').config({ path: '../../.env' });
+const crypto = require('crypto');
+
+// Key ID for blobs written before keys were versioned: their key was derived
+// from SESSION_SECRET with a fixed salt, and they carry no keyId
+const LEGACY_KEY_ID = 'legacy';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Parses the data-encryption keys for stored tokens. TOKEN_ENCRYPTION_KEYS is
+ * a comma-separated list of "<keyId>:<base64 32-byte key>"; the first key
+ * encrypts new data and the others are only used to decrypt. SESSION_SECRET,
+ * when set, also decrypts legacy blobs until they are rotated.
+ * @param {Object} [env] - Environment to read (defaults to process.env)
+ * @returns {Object} - { activeKeyId, keys } where keys maps key ID -> Buffer
+ * @throws {Error} - When no key is configured or a key is malformed
+ */
+function loadKeyring(env = process.env) {
+  const entries = (env.TOKEN_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS environment variable is required (e.g. "k1:<base64 32-byte key>"); ' +
+      'generate a key with: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'base64\'))"');
+  }
+
+  const keys = new Map();
+  for (const entry of entries) {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    if (separator < 1 || !KEY_ID_PATTERN.test(keyId) || keyId === LEGACY_KEY_ID) {
+      throw new Error(`Invalid key ID in TOKEN_ENCRYPTION_KEYS: "${entry.slice(0, Math.max(separator, 0))}"`);
+    }
+    if (key.length !== 32) {
+      throw new Error(`Encryption key "${keyId}" must be 32 bytes (base64), got ${key.length}`);
+    }
+    if (keys.has(keyId)) {
+      throw new Error(`Duplicate key ID in TOKEN_ENCRYPTION_KEYS: "${keyId}"`);
+    }
+    keys.set(keyId, key);
+  }
+
+  if (env.SESSION_SECRET) {
+    keys.set(LEGACY_KEY_ID, crypto.scryptSync(env.SESSION_SECRET, 'salt', 32));
+  }
+
+  return { activeKeyId: entries[0].slice(0, entries[0].indexOf(':')), keys };
+}
+
+module.exports = {
+  LEGACY_KEY_ID,
+  loadKeyring
+};
@@ -1,20 +1,32 @@
 require('dotenv').config({ path: '../../.env' });
-const { createClient } = require('@supabase/supabase-js');
 const crypto = require('crypto');
+const { createTokenStore } = require('./tokenStores');
+const { LEGACY_KEY_ID, loadKeyring } = require('./tokenKeys');
+const { scheduler } = require('./whoopScheduler');
+const { withLock } = require('./coordination');
+
+// Tokens are refreshed this long before they expire, both on use and by the
+// background refresher (worker/tokenRefresher.js)
+const TOKEN_REFRESH_AHEAD_SECONDS = parseInt(process.env.TOKEN_REFRESH_AHEAD_SECONDS, 10) || 600;
+
+// OAuth errors that mean the refresh token itself is no longer valid; anything
+// else (network errors, 5xx, rate limits) is retried later
+const PERMANENT_REFRESH_ERRORS = ['invalid_grant'];
 
 class TokenStorage {
-  constructor() {
-    // Supabase client setup
-    const supabaseUrl = 'https://jhtmwfscdzijpcvvnvel.supabase.co';
-    const supabaseKey = process.env.SUPABASE_KEY;
-    
-    if (!supabaseKey) {
-      throw new Error('SUPABASE_KEY environment variable is required');
-    }
-    
-    this.supabase = createClient(supabaseUrl, supabaseKey);
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Token store backend (defaults to the one selected by TOKEN_STORE)
+   * @param {Object} [options.keyring] - Encryption keys (defaults to TOKEN_ENCRYPTION_KEYS, see utils/tokenKeys.js)
+   * @throws {Error} - When no encryption key is configured
+   */
+  constructor({ store = createTokenStore(), keyring = loadKeyring() } = {}) {
+    // Where the encrypted tokens live (see utils/tokenStores/)
+    this.store = store;
     
-    this.secret = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+    // Never fall back to a generated key: tokens written with it would be
+    // unreadable after the next restart
+    this.keyring = keyring;
     this.algorithm = 'aes-256-gcm';
     
     // WHOOP API configuration
@@ -30,32 +42,32 @@ class TokenStorage {
       throw new Error('CLIENT_SECRET environment variable is required');
     }
     
+    // userId -> in-flight refresh, so concurrent callers share one refresh
+    // instead of racing to rotate the same refresh token
+    this.refreshing = new Map();
+
     // Initialize database table
     this.initDatabase();
   }
 
   async initDatabase() {
     try {
-      // Check if table exists by trying to select from it
-      const { data, error } = await this.supabase
-        .from('user_tokens')
-        .select('user_id')
-        .limit(1);
-      
-      if (error) {
-        console.log('Database initialized');
-      } else {
-        console.log('✅ Database initialized successfully');
-      }
+      // Creates user_tokens if it doesn't exist yet
+      await this.store.migrate();
+      console.log(`✅ Token store initialized (${this.store.name})`);
     } catch (error) {
-      console.error('Error checking database:', error);
+      console.error(`Error initializing ${this.store.name} token store:`, error);
     }
   }
 
+  /**
+   * @param {string} text - Plaintext
+   * @returns {Object} - { keyId, iv, authTag, encryptedData }, encrypted with the active key
+   */
   encrypt(text) {
+    const keyId = this.keyring.activeKeyId;
     const iv = crypto.randomBytes(16);
-    const key = crypto.scryptSync(this.secret, 'salt', 32);
-    const cipher = crypto.createCipheriv(this.algorithm, key, iv);
+    const cipher = crypto.createCipheriv(this.algorithm, this.keyring.keys.get(keyId), iv);
     
     let encrypted = cipher.update(text, 'utf8', 'hex');
     encrypted += cipher.final('hex');
@@ -63,15 +75,25 @@ class TokenStorage {
     const authTag = cipher.getAuthTag();
     
     return {
+      keyId,
       iv: iv.toString('hex'),
       authTag: authTag.toString('hex'),
       encryptedData: encrypted
     };
   }
 
+  /**
+   * @param {Object} encryptedObj - Blob from encrypt() (blobs without keyId use the legacy key)
+   * @returns {string} - Plaintext
+   * @throws {Error} - When the blob's key isn't configured or the blob was tampered with
+   */
   decrypt(encryptedObj) {
+    const keyId = encryptedObj.keyId || LEGACY_KEY_ID;
+    const key = this.keyring.keys.get(keyId);
+    if (!key) {
+      throw new Error(`Encryption key "${keyId}" is not configured`);
+    }
     const iv = Buffer.from(encryptedObj.iv, 'hex');
-    const key = crypto.scryptSync(this.secret, 'salt', 32);
     const decipher = crypto.createDecipheriv(this.algorithm, key, iv);
     decipher.setAuthTag(Buffer.from(encryptedObj.authTag, 'hex'));
     
@@ -81,24 +103,41 @@ class TokenStorage {
     return decrypted;
   }
 
+  /**
+   * Re-encrypts every stored row that isn't on the active key (key rotation)
+   * @returns {Promise<Object>} - { total, rotated, current, failed: [userId] }
+   */
+  async rotateKeys() {
+    const rows = await this.store.list();
+    const summary = { total: 0, rotated: 0, current: 0, failed: [] };
+
+    for (const userId of Object.keys(rows)) {
+      summary.total += 1;
+      try {
+        // Re-read so a refresh since list() isn't overwritten with older tokens
+        const encryptedData = await this.store.read(userId);
+        if (!encryptedData || encryptedData.keyId === this.keyring.activeKeyId) {
+          summary.current += 1;
+          continue;
+        }
+        await this.store.write(userId, this.encrypt(this.decrypt(encryptedData)));
+        summary.rotated += 1;
+      } catch (error) {
+        console.error(`Error re-encrypting tokens for user ${userId}:`, error.message);
+        summary.failed.push(userId);
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * @returns {Promise<Object>} - Encrypted token data keyed by user ID
+   */
   async getAll() {
     try {
-      const { data, error } = await this.supabase
-        .from('user_tokens')
-        .select('user_id, encrypted_data');
-      
-      if (error) {
-        console.error('No tokens found');
-        return {};
-      }
-      
-      const tokens = {};
-      data.forEach(row => {
-        tokens[row.user_id] = row.encrypted_data;
-      });
-      return tokens;
+      return await this.store.list();
     } catch (error) {
-      console.error('Error reading tokens from database:', error);
+      console.error('Error reading tokens from token store:', error);
       return {};
     }
   }
@@ -112,25 +151,7 @@ class TokenStorage {
       };
       
       const encryptedData = this.encrypt(JSON.stringify(dataToEncrypt));
-      
-      const { error } = await this.supabase
-        .from('user_tokens')
-        .upsert({
-          user_id: userId,
-          encrypted_data: encryptedData,
-          updated_at: new Date().toISOString()
-        });
-      
-      if (error) {
-        console.error('Supabase error details:', {
-          code: error.code,
-          message: error.message,
-          details: error.details,
-          hint: error.hint
-        });
-        throw error;
-      }
-      
+      await this.store.write(userId, encryptedData);
     } catch (error) {
       console.error('Error saving tokens:', {
         message: error.message,
@@ -142,48 +163,88 @@ class TokenStorage {
   }
 
   /**
-   * Refreshes an expired access token using the refresh token
+   * @param {Object} tokenData - Token data
+   * @param {number} [aheadMs] - How long before expiry a token counts as expiring
+   * @returns {boolean} - True if the access token is expired or about to expire
+   */
+  isExpiring(tokenData, aheadMs = TOKEN_REFRESH_AHEAD_SECONDS * 1000) {
+    return !!tokenData.expiresAt && tokenData.expiresAt - aheadMs < Date.now();
+  }
+
+  /**
+   * Refreshes an access token using the refresh token. Concurrent calls for
+   * the same user share one refresh, and with COORDINATION=postgres instances
+   * take turns through an advisory lock, so a refresh token is only ever
+   * spent once.
    * @param {string} userId - User ID
    * @param {Object} tokenData - Current token data
    * @returns {Promise<Object>} - Refreshed token data
+   * @throws {Error} - error.permanent is true when the user has to log in again
    */
-  async refreshToken(userId, tokenData) {
+  refreshToken(userId, tokenData) {
+    if (!this.refreshing.has(userId)) {
+      const refresh = withLock(`token-refresh:${userId}`, () => this.performRefresh(userId, tokenData))
+        .finally(() => this.refreshing.delete(userId));
+      this.refreshing.set(userId, refresh);
+    }
+    return this.refreshing.get(userId);
+  }
+
+  async performRefresh(userId, tokenData) {
+    // Another instance may have rotated the tokens since tokenData was read
+    const latest = (await this.getRaw(userId)) || tokenData;
+    if (!this.isExpiring(latest)) {
+      return latest;
+    }
+
     try {
-      console.log(`Token expired for user ${userId}, refreshing...`);
+      console.log(`Token expiring for user ${userId}, refreshing...`);
       
       const body = new URLSearchParams({
         grant_type: 'refresh_token',
         client_id: this.CLIENT_ID,
         client_secret: this.CLIENT_SECRET,
         scope: 'offline',
-        refresh_token: tokenData.refreshToken,
+        refresh_token: latest.refreshToken,
       });
 
       const headers = {
         'Content-Type': 'application/x-www-form-urlencoded',
       };
 
-      const response = await fetch(`${this.WHOOP_API_HOSTNAME}/oauth/oauth2/token`, {
+      // Not retried: WHOOP may have rotated the refresh token before the
+      // response was lost, and resending the old one would be rejected.
+      // The next refresh re-reads the stored row instead.
+      const response = await scheduler.request(`${this.WHOOP_API_HOSTNAME}/oauth/oauth2/token`, {
         body,
         headers,
         method: 'POST',
-      });
+      }, { retry: false });
 
       if (!response.ok) {
         const errorText = await response.text();
+        let oauthError = null;
+        try {
+          oauthError = JSON.parse(errorText).error;
+        } catch (parseError) {
+          // Not an OAuth error body
+        }
         console.error(`Token refresh failed for user ${userId}:`, {
           status: response.status,
           error: errorText,
-          refreshToken: tokenData.refreshToken ? '[PRESENT]' : '[MISSING]'
+          refreshToken: latest.refreshToken ? '[PRESENT]' : '[MISSING]'
         });
-        throw new Error(`Token refresh failed: ${response.status} - ${errorText}`);
+        const error = new Error(`Token refresh failed: ${response.status} - ${errorText}`);
+        error.status = response.status;
+        error.permanent = PERMANENT_REFRESH_ERRORS.includes(oauthError);
+        throw error;
       }
 
       const data = await response.json();
       
       // Prepare refreshed token data (removed refreshedAt as requested)
       const refreshedTokenData = {
-        ...tokenData, // Preserve other data like strainPollingEnabled
+        ...latest, // Preserve other stored fields
         accessToken: data.access_token,
         refreshToken: data.refresh_token,
         expiresAt: Date.now() + data.expires_in * 1000
@@ -196,9 +257,31 @@ class TokenStorage {
       return refreshedTokenData;
       
     } catch (error) {
-      console.error(`Error refreshing token for user ${userId}:`, error);
-      // If refresh fails, delete the token (it's likely the refresh token is also expired)
-      await this.delete(userId);
+      if (error.permanent) {
+        // A refresh elsewhere (another instance without a shared lock, or a
+        // new login) may have replaced the token we sent; then the stored
+        // row is good and must not be overwritten
+        const current = await this.getRaw(userId);
+        if (current && current.refreshToken !== latest.refreshToken) {
+          console.log(`Refresh token for user ${userId} was already rotated; using the stored tokens`);
+          return current;
+        }
+        if (!current) {
+          throw error;
+        }
+
+        // Keep the record (and settings) but stop using it until the user logs
+        // in again; the dashboard asks them to reconnect
+        console.error(`Refresh token rejected for user ${userId}; they need to reconnect WHOOP`);
+        await this.set(userId, {
+          ...current,
+          needsReauth: true,
+          refreshError: error.message,
+          refreshFailedAt: new Date().toISOString()
+        }).catch(() => {});
+      } else {
+        console.error(`Error refreshing token for user ${userId} (will retry):`, error.message);
+      }
       throw error;
     }
   }
@@ -210,26 +293,12 @@ class TokenStorage {
    */
   async getRaw(userId) {
     try {
-      const { data, error } = await this.supabase
-        .from('user_tokens')
-        .select('encrypted_data')
-        .eq('user_id', userId)
-        .single();
-      
-      if (error) {
-        if (error.code === 'PGRST116') {
-          // No rows found
-          return null;
-        }
-        console.error('Supabase error in getRaw:', {
-          code: error.code,
-          message: error.message,
-          details: error.details
-        });
-        throw error;
+      const encryptedData = await this.store.read(userId);
+      if (!encryptedData) {
+        return null;
       }
       
-      const decryptedData = this.decrypt(data.encrypted_data);
+      const decryptedData = this.decrypt(encryptedData);
       return JSON.parse(decryptedData);
     } catch (error) {
       console.error('Error getting raw tokens:', {
@@ -241,20 +310,26 @@ class TokenStorage {
     }
   }
 
+  /**
+   * Gets token data, refreshing the access token first when it is about to expire
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Token data, or null when there is no usable token
+   */
   async get(userId) {
     try {
       const tokenData = await this.getRaw(userId);
-      if (!tokenData) {
+      if (!tokenData || tokenData.needsReauth) {
         return null;
       }
       
-      // Check if token has expired
-      if (tokenData.expiresAt && tokenData.expiresAt < Date.now()) {
-        // Try to refresh the token instead of deleting it
+      if (this.isExpiring(tokenData)) {
         try {
           return await this.refreshToken(userId, tokenData);
         } catch (refreshError) {
-          // If refresh fails, the token has already been deleted in refreshToken()
+          // A token that hasn't actually expired yet still works while we retry
+          if (!refreshError.permanent && tokenData.expiresAt > Date.now()) {
+            return tokenData;
+          }
           return null;
         }
       }
@@ -268,15 +343,7 @@ class TokenStorage {
 
   async delete(userId) {
     try {
-      const { error } = await this.supabase
-        .from('user_tokens')
-        .delete()
-        .eq('user_id', userId);
-      
-      if (error) {
-        throw error;
-      }
-      
+      await this.store.remove(userId);
       console.log(`Tokens deleted for user: ${userId}`);
     } catch (error) {
       console.error('Error deleting tokens:', error);
@@ -0,0 +1,75 @@
+require('dotenv').config({ path: '../../.env' });
+const fs = require('fs-extra');
+const { JsonStore } = require('../jsonStore');
+
+const TOKEN_FILE = process.env.TOKEN_FILE || 'tokens.json';
+const SCHEMA_VERSION = 1;
+
+/**
+ * Local file token store: DATA_DIR/tokens.json (or TOKEN_FILE). Token data is
+ * already encrypted by utils/tokenStorage.js; the file is also only readable by
+ * the app's user.
+ * @returns {Object} - Token store
+ */
+function createFileTokenStore() {
+  const store = new JsonStore(TOKEN_FILE, { schemaVersion: 0, user_tokens: {} });
+  let migrated = null;
+
+  async function save() {
+    await store.save();
+    await fs.chmod(store.filePath, 0o600);
+  }
+
+  function migrate() {
+    if (!migrated) {
+      migrated = (async () => {
+        if (store.data.schemaVersion < SCHEMA_VERSION) {
+          store.data.schemaVersion = SCHEMA_VERSION;
+          await save();
+        }
+      })().catch((error) => {
+        migrated = null;
+        throw error;
+      });
+    }
+    return migrated;
+  }
+
+  return {
+    name: 'file',
+    migrate,
+
+    async list() {
+      await migrate();
+      return Object.fromEntries(Object.entries(store.data.user_tokens)
+        .map(([userId, row]) => [userId, row.encrypted_data]));
+    },
+
+    async read(userId) {
+      await migrate();
+      return store.data.user_tokens[userId]?.encrypted_data ?? null;
+    },
+
+    async write(userId, encryptedData) {
+      await migrate();
+      const now = new Date().toISOString();
+      const existing = store.data.user_tokens[userId];
+      store.data.user_tokens[userId] = {
+        encrypted_data: encryptedData,
+        created_at: existing?.created_at || now,
+        updated_at: now
+      };
+      await save();
+    },
+
+    async remove(userId) {
+      await migrate();
+      delete store.data.user_tokens[userId];
+      await save();
+    }
+  };
+}
+
+module.exports = {
+  createFileTokenStore
+};
@@ -0,0 +1,38 @@
+require('dotenv').config({ path: '../../.env' });
+const { createSupabaseTokenStore } = require('./supabase');
+const { createPostgresTokenStore } = require('./postgres');
+const { createFileTokenStore } = require('./file');
+const { createMemoryTokenStore } = require('./memory');
+
+const TOKEN_STORE_FACTORIES = {
+  supabase: createSupabaseTokenStore,
+  postgres: createPostgresTokenStore,
+  file: createFileTokenStore,
+  memory: createMemoryTokenStore
+};
+
+// Deployments that predate TOKEN_STORE keep using Supabase; without Supabase
+// credentials tokens go to a local file so development works out of the box.
+const TOKEN_STORE = process.env.TOKEN_STORE || (process.env.SUPABASE_KEY ? 'supabase' : 'file');
+
+/**
+ * Creates the token store backend used by utils/tokenStorage.js. Every store
+ * keeps encrypted token blobs per user and exposes the same interface:
+ * migrate(), list(), read(userId), write(userId, encryptedData), remove(userId).
+ * migrate() creates user_tokens and runs automatically on first use.
+ * @param {string} [name] - supabase | postgres | file | memory (defaults to TOKEN_STORE)
+ * @returns {Object} - Token store
+ * @throws {Error} - When the name is unknown or the backend isn't configured
+ */
+function createTokenStore(name = TOKEN_STORE) {
+  const factory = TOKEN_STORE_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown token store "${name}" in TOKEN_STORE (expected one of: ${Object.keys(TOKEN_STORE_FACTORIES).join(', ')})`);
+  }
+  return factory();
+}
+
+module.exports = {
+  createTokenStore,
+  TOKEN_STORE
+};
@@ -0,0 +1,25 @@
+/**
+ * In-memory token store for tests and throwaway local runs; tokens are lost
+ * when the process exits
+ * @returns {Object} - Token store
+ */
+function createMemoryTokenStore() {
+  const rows = new Map();
+
+  return {
+    name: 'memory',
+    migrate: async () => {},
+    list: async () => Object.fromEntries([...rows].map(([userId, row]) => [userId, row.encrypted_data])),
+    read: async (userId) => rows.get(String(userId))?.encrypted_data ?? null,
+    write: async (userId, encryptedData) => {
+      rows.set(String(userId), { encrypted_data: structuredClone(encryptedData), updated_at: new Date().toISOString() });
+    },
+    remove: async (userId) => {
+      rows.delete(String(userId));
+    }
+  };
+}
+
+module.exports = {
+  createMemoryTokenStore
+};
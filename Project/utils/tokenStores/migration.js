@@ -0,0 +1,13 @@
+// Schema shared by the SQL backends (postgres, and supabase through its database URL)
+const USER_TOKENS_MIGRATION = `
+  CREATE TABLE IF NOT EXISTS user_tokens (
+    user_id TEXT PRIMARY KEY,
+    encrypted_data JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+`;
+
+module.exports = {
+  USER_TOKENS_MIGRATION
+};
@@ -0,0 +1,60 @@
+const { getPool } = require('../db');
+const { USER_TOKENS_MIGRATION } = require('./migration');
+
+/**
+ * Postgres token store: the user_tokens table in DATABASE_URL (created on
+ * first use)
+ * @returns {Object} - Token store
+ */
+function createPostgresTokenStore() {
+  let migrated = null;
+
+  function migrate() {
+    if (!migrated) {
+      migrated = getPool().query(USER_TOKENS_MIGRATION).catch((error) => {
+        migrated = null;
+        throw error;
+      });
+    }
+    return migrated;
+  }
+
+  return {
+    name: 'postgres',
+    migrate,
+
+    async list() {
+      await migrate();
+      const { rows } = await getPool().query('SELECT user_id, encrypted_data FROM user_tokens');
+      return Object.fromEntries(rows.map((row) => [row.user_id, row.encrypted_data]));
+    },
+
+    async read(userId) {
+      await migrate();
+      const { rows } = await getPool().query(
+        'SELECT encrypted_data FROM user_tokens WHERE user_id = $1',
+        [String(userId)]
+      );
+      return rows[0]?.encrypted_data ?? null;
+    },
+
+    async write(userId, encryptedData) {
+      await migrate();
+      await getPool().query(
+        `INSERT INTO user_tokens (user_id, encrypted_data, updated_at)
+         VALUES ($1, $2, NOW())
+         ON CONFLICT (user_id) DO UPDATE SET encrypted_data = EXCLUDED.encrypted_data, updated_at = NOW()`,
+        [String(userId), encryptedData]
+      );
+    },
+
+    async remove(userId) {
+      await migrate();
+      await getPool().query('DELETE FROM user_tokens WHERE user_id = $1', [String(userId)]);
+    }
+  };
+}
+
+module.exports = {
+  createPostgresTokenStore
+};
@@ -0,0 +1,116 @@
+require('dotenv').config({ path: '../../.env' });
+const { createClient } = require('@supabase/supabase-js');
+const { Pool } = require('pg');
+const { USER_TOKENS_MIGRATION } = require('./migration');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_KEY;
+// Direct database connection string (Project Settings → Database). The API key
+// can't create tables, so the migration needs this when user_tokens is missing.
+const SUPABASE_DB_URL = process.env.SUPABASE_DB_URL;
+
+// PostgREST / Postgres codes for a table that doesn't exist
+const MISSING_TABLE_CODES = ['42P01', 'PGRST205'];
+
+// Supabase returns errors instead of throwing them
+function check(error, operation) {
+  if (error) {
+    console.error(`Supabase error in ${operation}:`, {
+      code: error.code,
+      message: error.message,
+      details: error.details,
+      hint: error.hint
+    });
+    throw error;
+  }
+}
+
+/**
+ * Supabase token store: the user_tokens table through the Supabase API
+ * @returns {Object} - Token store
+ * @throws {Error} - When SUPABASE_URL or SUPABASE_KEY is not set
+ */
+function createSupabaseTokenStore() {
+  if (!SUPABASE_URL || !SUPABASE_KEY) {
+    throw new Error('SUPABASE_URL and SUPABASE_KEY environment variables are required for the supabase token store');
+  }
+  const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+  let migrated = null;
+
+  async function createTable() {
+    const { error } = await supabase.from('user_tokens').select('user_id').limit(1);
+    if (!error) return;
+    if (!MISSING_TABLE_CODES.includes(error.code)) {
+      check(error, 'migrate');
+    }
+    if (!SUPABASE_DB_URL) {
+      throw new Error('The user_tokens table does not exist; set SUPABASE_DB_URL so it can be created');
+    }
+
+    const pool = new Pool({ connectionString: SUPABASE_DB_URL, ssl: { rejectUnauthorized: false } });
+    try {
+      await pool.query(USER_TOKENS_MIGRATION);
+      console.log('Created user_tokens table in Supabase');
+    } finally {
+      await pool.end();
+    }
+  }
+
+  function migrate() {
+    if (!migrated) {
+      migrated = createTable().catch((error) => {
+        migrated = null;
+        throw error;
+      });
+    }
+    return migrated;
+  }
+
+  return {
+    name: 'supabase',
+    migrate,
+
+    async list() {
+      await migrate();
+      const { data, error } = await supabase.from('user_tokens').select('user_id, encrypted_data');
+      check(error, 'list');
+      return Object.fromEntries(data.map((row) => [row.user_id, row.encrypted_data]));
+    },
+
+    async read(userId) {
+      await migrate();
+      const { data, error } = await supabase
+        .from('user_tokens')
+        .select('encrypted_data')
+        .eq('user_id', userId)
+        .maybeSingle();
+      check(error, 'read');
+      return data?.encrypted_data ?? null;
+    },
+
+    async write(userId, encryptedData) {
+      await migrate();
+      const { error } = await supabase
+        .from('user_tokens')
+        .upsert({
+          user_id: userId,
+          encrypted_data: encryptedData,
+          updated_at: new Date().toISOString()
+        });
+      check(error, 'write');
+    },
+
+    async remove(userId) {
+      await migrate();
+      const { error } = await supabase
+        .from('user_tokens')
+        .delete()
+        .eq('user_id', userId);
+      check(error, 'remove');
+    }
+  };
+}
+
+module.exports = {
+  createSupabaseTokenStore
+};
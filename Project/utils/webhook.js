@@ -1,6 +1,9 @@
 require('dotenv').config({ path: '../../.env' });
 const crypto = require('crypto');
 const CLIENT_SECRET = process.env.CLIENT_SECRET;
+// How far a delivery's signature timestamp may be from our clock before it's
+// treated as a replay
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
 
 if (!CLIENT_SECRET) {
     throw new Error('CLIENT_SECRET environment variable is required');
@@ -14,14 +17,34 @@ if (!CLIENT_SECRET) {
  * @returns {boolean} - True if signature is valid
  */
 function validateWebhookSignature(timestamp, body, signature) {
+    if (!timestamp || !body || typeof signature !== 'string') {
+        return false;
+    }
     const rawBody = body.toString();
     const calculatedSignature = crypto
         .createHmac('sha256', CLIENT_SECRET)
         .update(timestamp + rawBody)
         .digest('base64');
-    return calculatedSignature === signature;
+    const expected = Buffer.from(calculatedSignature);
+    const provided = Buffer.from(signature);
+    // Constant-time comparison (timingSafeEqual needs equal lengths)
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Checks that the signature timestamp (milliseconds since the epoch) is
+ * within the tolerance window, so a captured delivery can't be replayed later
+ * @param {string} timestamp - Webhook timestamp
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} - True if the timestamp is recent enough
+ */
+function isTimestampFresh(timestamp, now = Date.now()) {
+    const sentAt = Number(timestamp);
+    return Number.isFinite(sentAt) && Math.abs(now - sentAt) <= WEBHOOK_TOLERANCE_SECONDS * 1000;
 }
 
 module.exports = {
-  validateWebhookSignature
-};
\ No newline at end of file
+  validateWebhookSignature,
+  isTimestampFresh,
+  WEBHOOK_TOLERANCE_SECONDS
+};
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const { JsonStore } = require('./jsonStore');
+const { processWebhook } = require('./webhookHandlers');
+const { normalizeWebhook } = require('./whoopModel');
+
+const WEBHOOK_EVENT_RETENTION_DAYS = parseInt(process.env.WEBHOOK_EVENT_RETENTION_DAYS, 10) || 30;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_DELAY = 1000 * 30;
+// An event still "processing" after this long was interrupted (e.g. a restart)
+const STALE_PROCESSING_MS = 1000 * 60 * 10;
+const STATUSES = ['pending', 'processing', 'done', 'failed'];
+
+// Every signed delivery we accepted, keyed by its fingerprint. This is also
+// the durable job queue: /webhook only logs the delivery as pending and the
+// webhook worker (worker/webhookQueue.js) processes it. WHOOP retries
+// deliveries it doesn't see a 2xx for, so the same event can arrive several
+// times; only the first is queued unless it failed.
+const store = new JsonStore('webhook-events.json', { events: [] });
+
+/**
+ * Identifies a delivery: WHOOP's trace ID when present, otherwise a hash of
+ * the raw body (retries resend the same bytes)
+ * @param {Object} payload - Parsed webhook body
+ * @param {Buffer|string} rawBody - Raw webhook body
+ * @returns {string} - Fingerprint
+ */
+function fingerprintFor(payload, rawBody) {
+  if (payload?.trace_id) return `trace:${payload.trace_id}`;
+  return 'sha256:' + crypto.createHash('sha256').update(rawBody || JSON.stringify(payload)).digest('hex');
+}
+
+function isStale(event, now = Date.now()) {
+  return event.status === 'processing' &&
+    now - new Date(event.startedAt || event.receivedAt).getTime() > STALE_PROCESSING_MS;
+}
+
+function prune(now = Date.now()) {
+  const cutoff = now - WEBHOOK_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  store.data.events = store.data.events.filter((event) =>
+    ['pending', 'processing'].includes(event.status) || new Date(event.receivedAt).getTime() >= cutoff
+  );
+}
+
+// Puts an event (back) in the queue with a fresh attempt budget
+function enqueue(event, now) {
+  event.status = 'pending';
+  event.attempts = 0;
+  event.nextAttemptAt = now;
+  event.lastError = null;
+}
+
+/**
+ * Logs a delivery and queues it. A delivery whose fingerprint is already
+ * queued, being processed or done is a duplicate; one that failed for good is
+ * queued again.
+ * @param {Object} delivery
+ * @param {Object} delivery.payload - Parsed webhook body
+ * @param {Buffer|string} delivery.rawBody - Raw webhook body
+ * @param {string} delivery.signatureTimestamp - x-whoop-signature-timestamp header
+ * @returns {Promise<Object>} - { event, duplicate }
+ */
+async function recordDelivery({ payload, rawBody, signatureTimestamp }) {
+  const fingerprint = fingerprintFor(payload, rawBody);
+  const now = new Date().toISOString();
+  const existing = store.data.events.find((event) => event.fingerprint === fingerprint);
+
+  if (existing && existing.status !== 'failed') {
+    existing.duplicates = (existing.duplicates || 0) + 1;
+    existing.lastDuplicateAt = now;
+    await store.save();
+    return { event: existing, duplicate: true };
+  }
+
+  let event = existing;
+  if (event) {
+    event.signatureTimestamp = signatureTimestamp;
+  } else {
+    const { type, userId, objectId, version, traceId } = normalizeWebhook(payload);
+    event = {
+      id: crypto.randomUUID(),
+      fingerprint,
+      type: type || null,
+      userId,
+      objectId: objectId == null ? null : String(objectId),
+      apiVersion: version,
+      traceId,
+      payload,
+      signatureTimestamp,
+      receivedAt: now,
+      startedAt: null,
+      completedAt: null,
+      duplicates: 0,
+      lastDuplicateAt: null,
+      replays: 0
+    };
+    store.data.events.push(event);
+    prune();
+  }
+  enqueue(event, now);
+  await store.save();
+  return { event, duplicate: false };
+}
+
+/**
+ * Takes the oldest due event off the queue and marks it processing. Events
+ * for an object that is already being processed wait, so an update and a
+ * deletion of the same object are handled in the order they arrived.
+ * @returns {Promise<Object|null>} - Claimed event, or null when nothing is due
+ */
+async function claimNext() {
+  const now = Date.now();
+  const busy = new Set(store.data.events
+    .filter((event) => event.status === 'processing' && !isStale(event, now))
+    .map((event) => `${event.userId}:${event.objectId}`));
+
+  const event = store.data.events
+    .filter((candidate) =>
+      (candidate.status === 'pending' && new Date(candidate.nextAttemptAt).getTime() <= now) ||
+      isStale(candidate, now)
+    )
+    .sort((a, b) => new Date(a.receivedAt) - new Date(b.receivedAt))
+    .find((candidate) => !busy.has(`${candidate.userId}:${candidate.objectId}`));
+  if (!event) return null;
+
+  event.status = 'processing';
+  event.startedAt = new Date(now).toISOString();
+  await store.save();
+  return event;
+}
+
+/**
+ * Processes a claimed event and records the outcome on it. Failures are
+ * retried with exponential backoff until WEBHOOK_MAX_ATTEMPTS, then the event
+ * is marked failed.
+ * @param {Object} event - Event from claimNext
+ * @returns {Promise<string>} - Outcome message
+ * @throws {Error} - When this attempt fails
+ */
+async function runEvent(event) {
+  event.attempts += 1;
+  try {
+    const message = await processWebhook(event.payload, { eventId: event.id });
+    event.status = 'done';
+    event.outcome = message;
+    event.completedAt = new Date().toISOString();
+    event.lastError = null;
+    return message;
+  } catch (error) {
+    event.lastError = error.message;
+    if (event.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      event.status = 'failed';
+      console.error(`Webhook event ${event.id} (${event.type}) failed permanently:`, error.message);
+    } else {
+      const delay = RETRY_BASE_DELAY * 2 ** (event.attempts - 1);
+      event.status = 'pending';
+      event.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      console.error(`Webhook event ${event.id} (${event.type}) failed, retrying in ${Math.round(delay / 1000)}s:`, error.message);
+    }
+    throw error;
+  } finally {
+    await store.save();
+  }
+}
+
+/**
+ * Queues a stored event again, whatever its outcome (admin retry / replay)
+ * @param {string} id - Event ID
+ * @returns {Promise<Object|null>} - Queued event or null when there is no such event
+ * @throws {Error} - With status 409 while the event is queued or being processed
+ */
+async function replayEvent(id) {
+  const event = getEvent(id);
+  if (!event) return null;
+  if (event.status === 'pending' || (event.status === 'processing' && !isStale(event))) {
+    const error = new Error(`Event is already ${event.status}`);
+    error.status = 409;
+    throw error;
+  }
+  event.replays += 1;
+  enqueue(event, new Date().toISOString());
+  await store.save();
+  return event;
+}
+
+/**
+ * @param {string} id - Event ID
+ * @returns {Object|null} - Stored event
+ */
+function getEvent(id) {
+  return store.data.events.find((event) => event.id === id) || null;
+}
+
+/**
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - pending | processing | done | failed
+ * @param {string} [filters.type] - Webhook type (e.g. "sleep.updated")
+ * @param {string} [filters.userId] - WHOOP user ID
+ * @param {number} [filters.limit] - Maximum number of events (default 100)
+ * @returns {Object[]} - Events, newest first
+ */
+function listEvents({ status, type, userId, limit } = {}) {
+  const max = Math.min(parseInt(limit, 10) || 100, 1000);
+  return store.data.events
+    .filter((event) =>
+      (!status || event.status === status) &&
+      (!type || event.type === type) &&
+      (!userId || event.userId === String(userId))
+    )
+    .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt))
+    .slice(0, max);
+}
+
+/**
+ * @returns {Object} - Number of events in each status
+ */
+function countByStatus() {
+  const counts = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+  store.data.events.forEach((event) => {
+    counts[event.status] = (counts[event.status] || 0) + 1;
+  });
+  return counts;
+}
+
+module.exports = {
+  STATUSES,
+  fingerprintFor,
+  recordDelivery,
+  claimNext,
+  runEvent,
+  replayEvent,
+  getEvent,
+  listEvents,
+  countByStatus
+};
@@ -0,0 +1,117 @@
+const { EventEmitter } = require('events');
+const { fetchWorkoutData, fetchSleepData, fetchRecoveryData } = require('./whoop');
+const { RECORD_TYPES, recordBiometric, recordDeletion, storedObjectId } = require('./pipeline');
+const { normalizeWebhook } = require('./whoopModel');
+
+// Broadcasts every processed webhook event as 'processed' and under its own
+// type (e.g. 'sleep.updated'), with { type, kind, userId, objectId, version,
+// data, eventId }. Types without a handler are broadcast as 'unhandled'.
+// Listeners run after the event is recorded and must handle their own errors.
+const webhookEmitter = new EventEmitter();
+
+// type -> handler
+const handlers = new Map();
+
+/**
+ * Registers the handler for one webhook event type
+ * @param {string} type - Webhook event type (e.g. "sleep.updated")
+ * @param {Object} handler
+ * @param {string} handler.kind - WHOOP object kind the event is about (cycle, recovery, sleep, workout)
+ * @param {Function} [handler.fetch] - (objectId, userId) => WHOOP object; updated objects are fetched and
+ *   recorded through the pipeline. Without it, the event records a deletion.
+ * @param {Function[]} [handler.actions] - Extra downstream steps, (result, context) => Promise, run after the
+ *   object is recorded
+ * @throws {Error} - When the type already has a handler or the kind is unknown
+ */
+function registerHandler(type, { kind, fetch, actions = [] }) {
+  if (handlers.has(type)) {
+    throw new Error(`Webhook handler already registered for ${type}`);
+  }
+  if (!RECORD_TYPES[kind]) {
+    throw new Error(`Unknown object kind for ${type}: ${kind}`);
+  }
+  handlers.set(type, { type, kind, fetch, actions, recordType: RECORD_TYPES[kind] });
+}
+
+/**
+ * Registers "<resource>.updated" and "<resource>.deleted" for one object kind
+ * @param {string} resource - Resource name in the webhook type (e.g. "sleep")
+ * @param {string} kind - WHOOP object kind
+ * @param {Function} fetch - (objectId, userId) => WHOOP object
+ */
+function registerObjectHandlers(resource, kind, fetch) {
+  registerHandler(`${resource}.updated`, { kind, fetch });
+  registerHandler(`${resource}.deleted`, { kind });
+}
+
+registerObjectHandlers('workout', 'workout', fetchWorkoutData);
+registerObjectHandlers('sleep', 'sleep', fetchSleepData);
+registerObjectHandlers('recovery', 'recovery', fetchRecoveryData);
+
+function broadcast(name, processed) {
+  try {
+    webhookEmitter.emit(name, processed);
+  } catch (error) {
+    console.error(`Error in webhook ${name} listener:`, error);
+  }
+}
+
+/**
+ * Runs the registered handler for one webhook event (the parsed body, v1 or v2)
+ * @param {Object} payload - { type, user_id, id, trace_id }
+ * @param {Object} [context]
+ * @param {string} [context.eventId] - Webhook event log ID
+ * @returns {Promise<string>} - Outcome message
+ * @throws {Error} - When fetching or recording the object fails
+ */
+async function processWebhook(payload, { eventId = null } = {}) {
+  const { type, userId, objectId, version } = normalizeWebhook(payload);
+  const handler = handlers.get(type);
+  if (!handler) {
+    console.log(`No handler for webhook of type ${type} (user ${userId}, object ${objectId})`);
+    broadcast('unhandled', { type, kind: null, userId, objectId, version, data: null, eventId });
+    return `No handler for ${type}`;
+  }
+
+  const deleted = !handler.fetch;
+  let result;
+  if (deleted) {
+    result = await recordDeletion(handler.kind, userId, storedObjectId(handler.kind, userId, objectId));
+  } else {
+    const data = await handler.fetch(objectId, userId);
+    result = await recordBiometric(handler.kind, userId, data, {
+      webhook_received_at: new Date().toISOString()
+    });
+  }
+
+  const processed = { type, kind: handler.kind, userId, objectId, version, data: result, eventId };
+  for (const action of handler.actions) {
+    await action(result, processed);
+  }
+  console.log(`${type} for user ${userId} (object ${objectId}) sent to data sinks as ${handler.recordType}${deleted ? '_deleted' : ''}`);
+
+  broadcast(type, processed);
+  broadcast('processed', processed);
+  return `${type} processed successfully`;
+}
+
+/**
+ * @returns {Object[]} - Registered event types with their object kind and record type
+ */
+function listHandlers() {
+  return [...handlers.values()].map(({ type, kind, fetch, actions, recordType }) => ({
+    type,
+    kind,
+    recordType: fetch ? recordType : `${recordType}_deleted`,
+    fetches: !!fetch,
+    actions: actions.length
+  }));
+}
+
+module.exports = {
+  webhookEmitter,
+  registerHandler,
+  registerObjectHandlers,
+  processWebhook,
+  listHandlers
+};
@@ -1,5 +1,7 @@
 require('dotenv').config({ path: '../../.env' });
 const tokenStorage = require('./tokenStorage');
+const { API_VERSIONS, isUuid, normalize } = require('./whoopModel');
+const { scheduler } = require('./whoopScheduler');
 
 // Get environment variables
 const WHOOP_API_HOSTNAME = process.env.WHOOP_API_HOSTNAME || 'https://api.prod.whoop.com';
@@ -14,6 +16,54 @@ if (!CLIENT_SECRET) {
     throw new Error('CLIENT_SECRET environment variable is required');
 }
 
+// Path of each WHOOP resource below /developer/<version>
+const RESOURCES = {
+  profile: '/user/profile/basic',
+  body: '/user/measurement/body',
+  cycle: '/cycle',
+  recovery: '/recovery',
+  sleep: '/activity/sleep',
+  workout: '/activity/workout'
+};
+
+// API version per resource: WHOOP_API_VERSION is the default and
+// WHOOP_API_VERSIONS overrides single resources (e.g. "sleep:v2,workout:v2"),
+// so resources can be moved to v2 one at a time
+const DEFAULT_API_VERSION = process.env.WHOOP_API_VERSION || 'v1';
+const RESOURCE_VERSIONS = Object.fromEntries(
+  (process.env.WHOOP_API_VERSIONS || '')
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => pair.split(':').map((part) => part.trim()))
+);
+
+if (!API_VERSIONS.includes(DEFAULT_API_VERSION)) {
+    throw new Error(`WHOOP_API_VERSION must be one of: ${API_VERSIONS.join(', ')}`);
+}
+for (const [resource, version] of Object.entries(RESOURCE_VERSIONS)) {
+    if (!RESOURCES[resource] || !API_VERSIONS.includes(version)) {
+        throw new Error(`Invalid WHOOP_API_VERSIONS entry: ${resource}:${version}`);
+    }
+}
+
+/**
+ * @param {string} resource - profile | body | cycle | recovery | sleep | workout
+ * @returns {string} - API version configured for the resource
+ */
+function apiVersion(resource) {
+  return RESOURCE_VERSIONS[resource] || DEFAULT_API_VERSION;
+}
+
+/**
+ * @param {string} resource - profile | body | cycle | recovery | sleep | workout
+ * @param {string} [version] - v1 | v2 (defaults to the configured version)
+ * @returns {string} - Endpoint path (e.g. /developer/v2/activity/sleep)
+ */
+function resourcePath(resource, version = apiVersion(resource)) {
+  return `/developer/${version}${RESOURCES[resource]}`;
+}
+
 /**
  * Gets a valid access token for the user (refreshes automatically if expired)
  * @param {string} user_id - User ID
@@ -37,16 +87,19 @@ async function checkAndRefresh(user_id) {
 }
 
 /**
- * Makes authenticated WHOOP API calls with automatic token refresh
+ * Makes authenticated WHOOP API calls with automatic token refresh. Calls go
+ * through the shared request scheduler, which spaces them out to stay within
+ * the app's rate limits and retries 429s and server errors.
  * @param {string} endpoint - API endpoint path
  * @param {string} userId - User ID for token lookup
  * @returns {Promise<Object|Response>} - API response (parsed or raw)
+ * @throws {Error} - With the HTTP status in error.status when WHOOP answers with an error
  */
 async function makeWhoopApiCall(endpoint, userId) {
   try {
     const accessToken = await checkAndRefresh(userId);
     
-    const response = await fetch(`${WHOOP_API_HOSTNAME}${endpoint}`, {
+    const response = await scheduler.request(`${WHOOP_API_HOSTNAME}${endpoint}`, {
       headers: {
         Authorization: `Bearer ${accessToken}`,
         'Content-Type': 'application/json'
@@ -54,7 +107,9 @@ async function makeWhoopApiCall(endpoint, userId) {
     });
 
     if (!response.ok) {
-      throw new Error(`WHOOP API error: ${response.status}`);
+      const error = new Error(`WHOOP API error: ${response.status}`);
+      error.status = response.status;
+      throw error;
     }
 
     return await response.json();
@@ -64,37 +119,140 @@ async function makeWhoopApiCall(endpoint, userId) {
   }
 }
 
+/**
+ * Walks a WHOOP collection endpoint page by page using nextToken pagination
+ * @param {string} endpoint - Collection endpoint path (e.g. resourcePath('cycle'))
+ * @param {string} userId - User ID for token lookup
+ * @param {Object} [params] - Query parameters
+ * @param {string} [params.start] - ISO 8601 start of the range (inclusive)
+ * @param {string} [params.end] - ISO 8601 end of the range (exclusive)
+ * @param {number} [params.limit=25] - Page size (WHOOP allows at most 25)
+ * @yields {Object[]} - Records on each page
+ * @throws {Error} - When any page request fails
+ */
+async function* fetchCollectionPages(endpoint, userId, { start, end, limit = 25 } = {}) {
+  let nextToken = null;
+
+  do {
+    const query = new URLSearchParams({ limit: String(limit) });
+    if (start) query.set('start', start);
+    if (end) query.set('end', end);
+    if (nextToken) query.set('nextToken', nextToken);
+
+    const page = await makeWhoopApiCall(`${endpoint}?${query}`, userId);
+    yield page.records || [];
+    nextToken = page.next_token || null;
+  } while (nextToken);
+}
+
+/**
+ * Walks the collection of one object kind with the configured API version
+ * @param {string} kind - cycle | recovery | sleep | workout
+ * @param {string} userId - User ID for token lookup
+ * @param {Object} [params] - fetchCollectionPages() parameters
+ * @yields {Object[]} - Normalized records on each page
+ * @throws {Error} - When any page request fails
+ */
+async function* fetchCollection(kind, userId, params) {
+  const version = apiVersion(kind);
+  for await (const records of fetchCollectionPages(resourcePath(kind, version), userId, params)) {
+    yield records.map((record) => normalize(kind, record, version));
+  }
+}
+
+/**
+ * Fetches the user's current (latest) cycle
+ * @param {string} userId - User ID for token lookup
+ * @returns {Promise<Object|null>} - Normalized cycle or null when there is none
+ * @throws {Error} - When API call fails
+ */
+async function fetchLatestCycle(userId) {
+  const version = apiVersion('cycle');
+  const data = await makeWhoopApiCall(`${resourcePath('cycle', version)}?limit=1`, userId);
+  return data.records?.length > 0 ? normalize('cycle', data.records[0], version) : null;
+}
+
+/**
+ * Fetches a single cycle (e.g. to read the final score of one that has ended)
+ * @param {string|number} cycleId - Cycle ID
+ * @param {string} userId - User ID for token lookup
+ * @returns {Promise<Object>} - Normalized cycle
+ * @throws {Error} - When API call fails
+ */
+async function fetchCycle(cycleId, userId) {
+  const version = apiVersion('cycle');
+  const data = await makeWhoopApiCall(`${resourcePath('cycle', version)}/${cycleId}`, userId);
+  return normalize('cycle', data, version);
+}
+
+/**
+ * Fetches the user's basic profile (user_id, email, first_name, last_name)
+ * @param {string} userId - User ID for token lookup
+ * @returns {Promise<Object>} - Profile
+ * @throws {Error} - When API call fails
+ */
+async function fetchUserProfile(userId) {
+  return makeWhoopApiCall(resourcePath('profile'), userId);
+}
+
+/**
+ * Fetches the user's body measurements (height, weight, max heart rate)
+ * @param {string} userId - User ID for token lookup
+ * @returns {Promise<Object>} - Body measurements
+ * @throws {Error} - When API call fails
+ */
+async function fetchBodyMeasurement(userId) {
+  return makeWhoopApiCall(resourcePath('body'), userId);
+}
+
+// UUIDs only exist in v2 and integer IDs only in v1, so single sleeps and
+// workouts are fetched from whichever version the ID belongs to
+async function fetchActivity(kind, activityId, userId) {
+  const version = isUuid(activityId) ? 'v2' : 'v1';
+  const data = await makeWhoopApiCall(`${resourcePath(kind, version)}/${activityId}`, userId);
+  return normalize(kind, data, version);
+}
+
 /**
  * Fetches workout data from WHOOP API
- * @param {string} workoutId - Workout ID
-* @param {string} userId - User ID for token lookup
- * @returns {Promise<Object>} - Workout data
+ * @param {string|number} workoutId - Workout ID (v1) or UUID (v2)
+ * @param {string} userId - User ID for token lookup
+ * @returns {Promise<Object>} - Normalized workout
  * @throws {Error} - When API call fails
  */
 async function fetchWorkoutData(workoutId, userId) {
-  return makeWhoopApiCall(`/developer/v1/activity/workout/${workoutId}`, userId);
+  return fetchActivity('workout', workoutId, userId);
 }
 
 /**
  * Fetches sleep data from WHOOP API
- * @param {string} sleepId - Sleep ID
+ * @param {string|number} sleepId - Sleep ID (v1) or UUID (v2)
  * @param {string} userId - User ID for token lookup
- * @returns {Promise<Object>} - Sleep data
+ * @returns {Promise<Object>} - Normalized sleep
  * @throws {Error} - When API call fails
  */
 async function fetchSleepData(sleepId, userId) {
-  return makeWhoopApiCall(`/developer/v1/activity/sleep/${sleepId}`, userId);
+  return fetchActivity('sleep', sleepId, userId);
 }
 
 /**
  * Fetches recovery data from WHOOP API
- * @param {string} cycleId - Cycle ID
+ * @param {string|number} id - Cycle ID, or the UUID of the recovery's sleep (v2 webhooks)
  * @param {string} userId - User ID for token lookup
- * @returns {Promise<Object>} - Recovery data
+ * @returns {Promise<Object>} - Normalized recovery
  * @throws {Error} - When API call fails
  */
-async function fetchRecoveryData(cycleId, userId) {
-  return makeWhoopApiCall(`/developer/v1/cycle/${cycleId}/recovery`, userId);
+async function fetchRecoveryData(id, userId) {
+  let cycleId = id;
+  let version = apiVersion('recovery');
+  if (isUuid(id)) {
+    // Recoveries are only addressable by cycle; the sleep knows which one
+    const sleep = await fetchSleepData(id, userId);
+    cycleId = sleep.cycle_id;
+    version = 'v2';
+  }
+  const data = await makeWhoopApiCall(`${resourcePath('cycle', version)}/${cycleId}/recovery`, userId);
+  return normalize('recovery', data, version);
 }
 
 /**
@@ -111,7 +269,7 @@ async function revokeAccessToken(userId) {
     }
 
     // Revoke the access token with WHOOP
-    const response = await fetch(`${WHOOP_API_HOSTNAME}/oauth/oauth2/revoke`, {
+    const response = await scheduler.request(`${WHOOP_API_HOSTNAME}/oauth/oauth2/revoke`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
@@ -121,7 +279,7 @@ async function revokeAccessToken(userId) {
         client_id: CLIENT_ID,
         client_secret: CLIENT_SECRET
       })
-    });
+    }, { retry: false });
 
     if (!response.ok) {
       console.error(`Token revocation failed: ${response.status}`);
@@ -139,10 +297,18 @@ async function revokeAccessToken(userId) {
 }
 
 module.exports = {
+    apiVersion,
+    resourcePath,
     checkAndRefresh,
+    fetchLatestCycle,
+    fetchCycle,
+    fetchUserProfile,
+    fetchBodyMeasurement,
     fetchWorkoutData,
     fetchSleepData,
     fetchRecoveryData,
     makeWhoopApiCall,
+    fetchCollectionPages,
+    fetchCollection,
     revokeAccessToken
 };
@@ -0,0 +1,77 @@
+// WHOOP API v1 and v2 return slightly different objects. Everything past the
+// API client works with one internal model:
+//   - id:   the legacy integer ID whenever WHOOP provides one (v1, or v2's
+//           v1_id), otherwise the v2 UUID. Objects stored before the move to v2
+//           keep their key, so history isn't duplicated.
+//   - uuid: the v2 UUID of sleeps and workouts (null for v1 responses)
+//   - api_version: which API version the object came from
+// Cycles keep integer IDs in both versions; recoveries stay keyed by cycle_id.
+
+const API_VERSIONS = ['v1', 'v2'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * @param {*} value - Object ID
+ * @returns {boolean} - True for v2 UUIDs
+ */
+function isUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+// Sleeps and workouts: v2 identifies them by UUID and carries the old ID as v1_id
+function normalizeActivity({ v1_id, ...data }, version) {
+  if (version === 'v1') {
+    return { ...data, uuid: null, api_version: version };
+  }
+  return { ...data, id: v1_id ?? data.id, uuid: data.id, api_version: version };
+}
+
+const NORMALIZERS = {
+  cycle: (data, version) => ({ ...data, api_version: version }),
+  recovery: (data, version) => {
+    // v2 recoveries point at their sleep by UUID
+    if (isUuid(data.sleep_id)) {
+      return { ...data, sleep_id: null, sleep_uuid: data.sleep_id, api_version: version };
+    }
+    return { ...data, sleep_uuid: null, api_version: version };
+  },
+  sleep: (data, version) => ({ cycle_id: null, ...normalizeActivity(data, version) }),
+  workout: (data, version) => ({ sport_id: null, sport_name: null, ...normalizeActivity(data, version) })
+};
+
+/**
+ * Converts a WHOOP object into the internal model
+ * @param {string} kind - cycle | recovery | sleep | workout
+ * @param {Object} data - Object as returned by the WHOOP API
+ * @param {string} version - v1 | v2
+ * @returns {Object} - Normalized object
+ */
+function normalize(kind, data, version) {
+  if (!data || !NORMALIZERS[kind]) return data;
+  return NORMALIZERS[kind](data, version);
+}
+
+/**
+ * Reads a webhook body in either format. Both carry { type, user_id, id,
+ * trace_id }; v2 identifies sleeps and workouts by UUID, and its recovery
+ * events by the UUID of the sleep the recovery belongs to.
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Object} - { type, userId, objectId, version, traceId }
+ */
+function normalizeWebhook({ type, user_id, id, trace_id } = {}) {
+  return {
+    type,
+    userId: user_id == null ? null : String(user_id),
+    objectId: id,
+    version: isUuid(id) ? 'v2' : 'v1',
+    traceId: trace_id || null
+  };
+}
+
+module.exports = {
+  API_VERSIONS,
+  isUuid,
+  normalize,
+  normalizeWebhook
+};
@@ -0,0 +1,214 @@
+require('dotenv').config({ path: '../../.env' });
+
+// WHOOP limits each app (not each user) to 100 requests a minute and 10,000 a
+// day by default. Every WHOOP request from polls, webhooks and backfills goes
+// through one shared queue so those limits hold across users.
+const WHOOP_RATE_LIMIT_PER_MINUTE = parseInt(process.env.WHOOP_RATE_LIMIT_PER_MINUTE, 10) || 100;
+const WHOOP_RATE_LIMIT_PER_DAY = parseInt(process.env.WHOOP_RATE_LIMIT_PER_DAY, 10) || 10000;
+const WHOOP_MAX_CONCURRENCY = parseInt(process.env.WHOOP_MAX_CONCURRENCY, 10) || 4;
+const WHOOP_MAX_RETRIES = parseInt(process.env.WHOOP_MAX_RETRIES, 10) || 4;
+
+const MINUTE = 1000 * 60;
+const DAY = MINUTE * 60 * 24;
+
+/**
+ * Global FIFO queue for WHOOP API requests. Requests are started no faster
+ * than the per-minute and per-day limits allow, and the whole queue pauses
+ * when WHOOP answers 429 or reports no remaining requests. Throttled requests
+ * are retried (honouring Retry-After), as are 5xx responses and network errors
+ * with exponential backoff.
+ */
+class WhoopRequestScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.perMinute=100] - Requests per minute
+   * @param {number} [options.perDay=10000] - Requests per day
+   * @param {number} [options.maxConcurrency=4] - Requests in flight at once
+   * @param {number} [options.maxRetries=4] - Retries per request after a 429, 5xx or network error
+   * @param {number} [options.baseDelayMs=1000] - First retry delay without Retry-After
+   * @param {number} [options.maxDelayMs=60000] - Retry delay cap
+   */
+  constructor({ perMinute = 100, perDay = 10000, maxConcurrency = 4, maxRetries = 4, baseDelayMs = 1000, maxDelayMs = MINUTE } = {}) {
+    this.perMinute = perMinute;
+    this.perDay = perDay;
+    this.maxConcurrency = maxConcurrency;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+
+    this.queue = [];
+    this.active = 0;
+    this.startTimes = [];   // request starts in the last minute
+    this.dayStarts = [];    // request starts in the last day
+    this.pausedUntil = 0;
+    this.timer = null;
+    this.rateLimit = { limit: null, remaining: null, resetAt: null };
+    this.counters = { calls: 0, retries: 0, throttled: 0, errors: 0 };
+  }
+
+  /**
+   * Queues a request
+   * @param {string} url - Full WHOOP URL
+   * @param {Object} [options] - fetch() options
+   * @param {Object} [policy]
+   * @param {boolean} [policy.retry=true] - Retry 5xx responses and network errors. Turn off for
+   *   requests that must not be repeated (e.g. spending a refresh token); a 429 is still retried,
+   *   as WHOOP turned it away unprocessed.
+   * @returns {Promise<Response>} - The response (a 429 only once retries are used up)
+   * @throws {Error} - When the request keeps failing at the network level
+   */
+  request(url, options = {}, { retry = true } = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ url, options, retry, attempts: 0, resolve, reject });
+      this.pump();
+    });
+  }
+
+  // How long until another request may start
+  waitTime(now) {
+    this.startTimes = this.startTimes.filter((time) => now - time < MINUTE);
+    this.dayStarts = this.dayStarts.filter((time) => now - time < DAY);
+
+    let wait = Math.max(0, this.pausedUntil - now);
+    if (this.startTimes.length >= this.perMinute) {
+      wait = Math.max(wait, this.startTimes[0] + MINUTE - now);
+    }
+    if (this.dayStarts.length >= this.perDay) {
+      wait = Math.max(wait, this.dayStarts[0] + DAY - now);
+    }
+    return wait;
+  }
+
+  pump() {
+    if (this.timer) return;
+    while (this.active < this.maxConcurrency && this.queue.length > 0) {
+      const now = Date.now();
+      const wait = this.waitTime(now);
+      if (wait > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.pump();
+        }, wait);
+        return;
+      }
+      this.startTimes.push(now);
+      this.dayStarts.push(now);
+      this.run(this.queue.shift());
+    }
+  }
+
+  retryDelay(attempts) {
+    return Math.min(this.baseDelayMs * 2 ** attempts, this.maxDelayMs);
+  }
+
+  // Puts a job back at the front of the queue after a delay
+  retryLater(job, delay) {
+    job.attempts += 1;
+    this.counters.retries += 1;
+    setTimeout(() => {
+      this.queue.unshift(job);
+      this.pump();
+    }, delay);
+  }
+
+  async run(job) {
+    this.active += 1;
+    this.counters.calls += 1;
+    try {
+      const response = await fetch(job.url, job.options);
+      this.readRateLimitHeaders(response);
+
+      if (response.status === 429) {
+        this.counters.throttled += 1;
+        const delay = this.retryAfter(response) ?? this.retryDelay(job.attempts);
+        // Everyone waits: the limit is per app, not per request
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        console.warn(`WHOOP API rate limited; pausing requests for ${Math.round(delay / 1000)}s`);
+        if (job.attempts < this.maxRetries) {
+          response.body?.cancel().catch(() => {});
+          this.retryLater(job, 0);
+          return;
+        }
+      } else if (response.status >= 500 && job.retry && job.attempts < this.maxRetries) {
+        this.counters.errors += 1;
+        response.body?.cancel().catch(() => {});
+        this.retryLater(job, this.retryDelay(job.attempts));
+        return;
+      }
+      job.resolve(response);
+    } catch (error) {
+      this.counters.errors += 1;
+      if (job.retry && job.attempts < this.maxRetries) {
+        this.retryLater(job, this.retryDelay(job.attempts));
+      } else {
+        job.reject(error);
+      }
+    } finally {
+      this.active -= 1;
+      this.pump();
+    }
+  }
+
+  /**
+   * @param {Response} response - WHOOP response
+   * @returns {number|null} - Delay requested by Retry-After (seconds or HTTP date) in ms
+   */
+  retryAfter(response) {
+    const header = response.headers.get('retry-after');
+    if (header) {
+      const seconds = Number(header);
+      const delay = Number.isFinite(seconds) ? seconds * 1000 : new Date(header).getTime() - Date.now();
+      if (Number.isFinite(delay)) return Math.max(delay, 0);
+    }
+    const reset = Number(response.headers.get('x-ratelimit-reset'));
+    return Number.isFinite(reset) && reset > 0 ? reset * 1000 : null;
+  }
+
+  // X-RateLimit-Limit (e.g. "100, 100;window=60, 10000;window=86400"),
+  // X-RateLimit-Remaining and X-RateLimit-Reset (seconds until the window resets)
+  readRateLimitHeaders(response) {
+    const limit = response.headers.get('x-ratelimit-limit');
+    const remaining = response.headers.get('x-ratelimit-remaining');
+    const reset = response.headers.get('x-ratelimit-reset');
+    if (remaining === null) return;
+
+    const resetMs = Number(reset) * 1000 || 0;
+    this.rateLimit = {
+      limit,
+      remaining: Number(remaining),
+      resetAt: new Date(Date.now() + resetMs).toISOString()
+    };
+    if (Number(remaining) <= 0 && resetMs > 0) {
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + resetMs);
+    }
+  }
+
+  /**
+   * @returns {Object} - Counters, queue depth and the last rate-limit headers seen
+   */
+  getStats() {
+    const now = Date.now();
+    return {
+      ...this.counters,
+      queued: this.queue.length,
+      active: this.active,
+      lastMinute: this.startTimes.filter((time) => now - time < MINUTE).length,
+      lastDay: this.dayStarts.filter((time) => now - time < DAY).length,
+      pausedUntil: this.pausedUntil > now ? new Date(this.pausedUntil).toISOString() : null,
+      rateLimit: this.rateLimit
+    };
+  }
+}
+
+// Shared by every WHOOP call in this process
+const scheduler = new WhoopRequestScheduler({
+  perMinute: WHOOP_RATE_LIMIT_PER_MINUTE,
+  perDay: WHOOP_RATE_LIMIT_PER_DAY,
+  maxConcurrency: WHOOP_MAX_CONCURRENCY,
+  maxRetries: WHOOP_MAX_RETRIES
+});
+
+module.exports = {
+  WhoopRequestScheduler,
+  scheduler
+};
@@ -0,0 +1,105 @@
+require('dotenv').config({ path: '../../.env' });
+const { fetchCollection } = require('../utils/whoop');
+const { recordBiometric, objectIdFor, deliveryKey } = require('../utils/pipeline');
+const { unsentSinks } = require('../utils/sinks');
+const timeseries = require('../utils/timeseries');
+
+// Object kinds with a WHOOP collection endpoint
+const COLLECTION_KINDS = ['cycle', 'recovery', 'sleep', 'workout'];
+
+const DEFAULT_BACKFILL_DAYS = 30;
+
+// userId -> status of the latest backfill run for that user
+const runs = new Map();
+
+/**
+ * Works out which sinks still need this version of a record. Sinks that
+ * delivered it, or still have it queued, are left out; a record that was
+ * dead-lettered or withheld by consent counts as unsent.
+ * @param {string} kind - cycle | recovery | sleep | workout
+ * @param {string} userId - WHOOP user ID
+ * @param {Object} record - WHOOP object from a collection page
+ * @returns {string[]} - Names of sinks to send the record to
+ */
+function sinksToSend(kind, userId, record) {
+  // Don't resurrect objects WHOOP told us were deleted
+  if (timeseries.get(kind, userId, objectIdFor(kind, record))?.deleted) return [];
+  return unsentSinks(deliveryKey(kind, userId, record));
+}
+
+/**
+ * Walks WHOOP collection endpoints over a date range and pushes every new or
+ * changed record through the same pipeline the webhooks use
+ * @param {string} userId - WHOOP user ID
+ * @param {Object} [options]
+ * @param {string} [options.start] - ISO 8601 start (defaults to 30 days before end)
+ * @param {string} [options.end] - ISO 8601 end (defaults to now)
+ * @param {string[]} [options.kinds] - Subset of cycle, recovery, sleep, workout
+ * @returns {Promise<Object>} - Run summary with per-kind counts
+ * @throws {Error} - When a backfill for this user is already running
+ */
+async function backfillUser(userId, { start, end, kinds = COLLECTION_KINDS } = {}) {
+  if (runs.get(userId)?.status === 'running') {
+    throw new Error(`Backfill already running for user ${userId}`);
+  }
+
+  const rangeEnd = end ? new Date(end) : new Date();
+  const rangeStart = start ? new Date(start) : new Date(rangeEnd.getTime() - DEFAULT_BACKFILL_DAYS * 24 * 60 * 60 * 1000);
+
+  const run = {
+    userId,
+    status: 'running',
+    start: rangeStart.toISOString(),
+    end: rangeEnd.toISOString(),
+    startedAt: new Date().toISOString(),
+    counts: {}
+  };
+  runs.set(userId, run);
+  console.log(`Backfilling ${kinds.join(', ')} for user ${userId} from ${run.start} to ${run.end}`);
+
+  try {
+    for (const kind of kinds) {
+      const counts = { fetched: 0, sent: 0, skipped: 0 };
+      run.counts[kind] = counts;
+
+      const pages = fetchCollection(kind, userId, { start: run.start, end: run.end });
+      for await (const records of pages) {
+        for (const record of records) {
+          counts.fetched += 1;
+          const sinkNames = sinksToSend(kind, userId, record);
+          if (sinkNames.length === 0) {
+            counts.skipped += 1;
+            continue;
+          }
+          await recordBiometric(kind, userId, record, { backfilled_at: new Date().toISOString() }, { sinkNames, backfill: true });
+          counts.sent += 1;
+        }
+      }
+      console.log(`Backfill ${kind} for user ${userId}: ${counts.sent} sent, ${counts.skipped} already sent`);
+    }
+
+    run.status = 'done';
+    return run;
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    console.error(`Backfill failed for user ${userId}:`, error);
+    throw error;
+  } finally {
+    run.finishedAt = new Date().toISOString();
+  }
+}
+
+/**
+ * @param {string} userId - WHOOP user ID
+ * @returns {Object|null} - Status of the latest backfill run in this process
+ */
+function getBackfillStatus(userId) {
+  return runs.get(userId) || null;
+}
+
+module.exports = {
+  COLLECTION_KINDS,
+  backfillUser,
+  getBackfillStatus
+};
@@ -1,119 +1,268 @@
 require('dotenv').config({ path: '../../.env' });
 const tokenStorage = require('../utils/tokenStorage');
-const { makeWhoopApiCall } = require('../utils/whoop');
-const { sendToFoundry } = require('../utils/foundry');
+const { fetchLatestCycle, fetchCycle } = require('../utils/whoop');
+const { recordBiometric, recordCycleEvent, summarizeCycle } = require('../utils/pipeline');
+const pollingJobs = require('../utils/pollingJobs');
+const { detectChanges, unclosedCycleIds, emittedState, isScored } = require('../utils/cycleChanges');
+const { createEventBridge } = require('../utils/eventBridge');
 const { EventEmitter } = require('events');
 
-const POLL_INTERVAL = 1000 * 60 * 10;  // 10 minutes
-// In-memory map of userId -> interval handle
-const activeTimers = new Map();
+const TICK_INTERVAL = 1000 * 15;  // check for due polling jobs every 15 seconds
+const LEASE_RENEW_INTERVAL = 1000 * 15;  // keep our jobs while a long tick is still running
+
+let tickTimer = null;
+let leaseTimer = null;
+let ticking = false;
 
 // GLOBAL BROADCASTER: This is like a radio station transmitter
 // All browser connections "tune in" to this emitter to receive live strain updates
 const strainEmitter = new EventEmitter();
 
+// RELAY: With several instances (COORDINATION=postgres) only one of them polls
+// a given athlete, but browsers are connected to all of them, so strain events
+// are relayed to every instance through Postgres LISTEN/NOTIFY
+const strainBridge = createEventBridge({ emitter: strainEmitter, event: 'strain', channel: 'strain_events' });
+
 /**
  * BACKGROUND WORKER: Polls strain data for a single user and broadcasts results
- * This runs on a timer every 10 minutes, independent of whether browsers are connected
+ * This runs whenever the user's polling job is due, independent of whether browsers are connected.
+ * Records only go to the data sinks when something changed since the last
+ * poll: "strain" when the scored strain moved by STRAIN_CHANGE_THRESHOLD,
+ * "cycle_started" when a new cycle appears and "cycle_closed" (with the final
+ * strain) once a cycle has ended and been scored. Earlier cycles that ended
+ * before being scored are retried until they can be closed.
  * @param {string} userId - User ID to poll
+ * @param {Object} [job] - The user's polling job (loaded when omitted)
  * @returns {Promise<Object|null>} - Strain data or null if no data
+ * @throws {Error} - When fetching or recording the cycle fails
  */
-async function pollUserStrain(userId) {
+async function pollUserStrain(userId, job) {
   try {
     // FETCH: Get latest strain data from WHOOP API
-    const data = await makeWhoopApiCall(
-      `/developer/v1/cycle?limit=1`,
-      userId
-    );
-
-    if (data.records && data.records.length > 0) {
-      const currentCycle = data.records[0];
-      const strainData = {
-        strain: currentCycle.score?.strain || 0,
-        averageHeartRate: currentCycle.score?.average_heart_rate || 0,
-        maxHeartRate: currentCycle.score?.max_heart_rate || 0,
-        start: currentCycle.start,
-        end: currentCycle.end,
-        scoreState: currentCycle.score_state,
-        timestamp: new Date().toISOString(),
-        user_id: userId
-      };
-      
-      // STORE: Send strain data to Foundry for permanent storage
-      await sendToFoundry("strain", strainData);
-      console.log(`Strain for user ${userId}: ${strainData.strain}`);
+    const currentCycle = await fetchLatestCycle(userId);
+
+    if (currentCycle) {
+      // COMPARE: Against what was last emitted for this athlete (kept on the polling job)
+      const previous = (job || await pollingJobs.getJob(userId))?.lastEmitted || null;
+      const changes = detectChanges(previous, currentCycle);
+
+      const waiting = unclosedCycleIds(previous, changes);
+      const unclosed = [];
+      for (const cycleId of waiting) {
+        if (!(await closeEarlierCycle(userId, cycleId))) unclosed.push(cycleId);
+      }
+      const unclosedChanged = unclosed.join() !== (previous?.unclosedCycleIds || []).join();
+
+      if (changes.started) {
+        await recordCycleEvent('cycle_started', userId, currentCycle);
+        console.log(`New cycle ${currentCycle.id} started for user ${userId}`);
+        await pollingJobs.saveEmittedState(userId, emittedState(currentCycle, null, {
+          strain: false,
+          closed: false,
+          unclosedCycleIds: unclosed
+        }));
+      }
+
+      // STORE: Keep the cycle in the local time series and send strain data to the configured data sinks
+      let strainData;
+      if (changes.strainChanged) {
+        strainData = await recordBiometric('cycle', userId, currentCycle);
+        console.log(`Strain for user ${userId}: ${strainData.strain}`);
+      } else {
+        strainData = { ...summarizeCycle(currentCycle), user_id: userId };
+      }
+
+      if (changes.closed) {
+        await recordCycleEvent('cycle_closed', userId, currentCycle);
+        console.log(`Cycle ${currentCycle.id} closed for user ${userId} at strain ${strainData.strain}`);
+      }
+      if (changes.strainChanged || changes.closed || (unclosedChanged && !changes.started)) {
+        await pollingJobs.saveEmittedState(userId, emittedState(currentCycle, changes.started ? null : previous, {
+          strain: changes.strainChanged,
+          closed: changes.closed,
+          unclosedCycleIds: unclosed
+        }));
+      }
 
       // BROADCAST: Send to ALL connected browsers immediately (real-time updates)
       // This triggers every browser's "send" function that was registered in /events/strain
       // Think of this as the DJ making an announcement - all radios tuned in will hear it
-      strainEmitter.emit('strain', { userId, data: strainData });
+      // (including the ones connected to other instances)
+      await strainBridge.publish({ userId, data: strainData });
       return strainData;
     } else {
       console.log(`No cycle data available for user ${userId}`);
       return null;
     }
   } catch (error) {
-    return null;
+    console.error(`Error polling strain for user ${userId}:`, error.message);
+    throw error;
   }
 }
 
 /**
- * TIMER MANAGEMENT: Start polling for a single user if not already active
- * Creates a repeating timer that fetches strain data every 10 minutes
- * @param {string} userId
+ * Sends the "cycle_closed" record for an earlier cycle that was replaced by a
+ * new one before a poll saw it end and scored (e.g. it ended while polling was
+ * off, or WHOOP scored it late). The cycle is re-fetched for its final score.
+ * @param {string} userId - WHOOP user ID
+ * @param {string|number} cycleId - ID of the earlier cycle
+ * @returns {Promise<boolean>} - True when it is done with (closed, deleted or unscorable),
+ *   false to try again on the next poll
+ * @throws {Error} - When sending the record fails
  */
-function startUserPolling(userId) {
-  if (activeTimers.has(userId)) return;  // Don't create duplicate timers
+async function closeEarlierCycle(userId, cycleId) {
+  let cycle;
+  try {
+    cycle = await fetchCycle(cycleId, userId);
+  } catch (error) {
+    if (error.status === 404) {
+      console.warn(`Earlier cycle ${cycleId} for user ${userId} no longer exists; not closing it`);
+      return true;
+    }
+    console.warn(`Could not fetch earlier cycle ${cycleId} for user ${userId}; will retry:`, error.message);
+    return false;
+  }
+  if (cycle.score_state === 'UNSCORABLE') {
+    console.warn(`Earlier cycle ${cycleId} for user ${userId} can't be scored; not closing it`);
+    return true;
+  }
+  if (!cycle.end || !isScored(cycle)) {
+    console.log(`Earlier cycle ${cycleId} for user ${userId} is not scored yet; will retry`);
+    return false;
+  }
+  await recordCycleEvent('cycle_closed', userId, cycle);
+  console.log(`Cycle ${cycleId} closed for user ${userId} at strain ${cycle.score.strain}`);
+  return true;
+}
 
-  // IMMEDIATE FETCH: Get data right away so UI shows something instantly
-  pollUserStrain(userId);
+/**
+ * SCHEDULER: Claims the due polling jobs this instance owns (or can take over),
+ * runs them one at a time (WHOOP requests are rate limited app-wide anyway),
+ * and schedules each job's next run
+ * @returns {Promise<void>}
+ */
+async function runDueJobs() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    for (const job of await pollingJobs.claimDueJobs()) {
+      try {
+        await pollUserStrain(job.userId, job);
+        await pollingJobs.recordRun(job);
+      } catch (error) {
+        await pollingJobs.recordRun(job, { error });
+      }
+    }
+  } catch (error) {
+    console.error('Error running strain polling jobs:', error);
+  } finally {
+    ticking = false;
+  }
+}
 
-  // SCHEDULE REPEATING: Set up timer to fetch new data every 10 minutes
-  // This runs in the background whether browsers are connected or not
-  const handle = setInterval(() => pollUserStrain(userId), POLL_INTERVAL);
-  activeTimers.set(userId, handle);  // Remember this timer so we can stop it later
-  console.log(`Started strain polling for user ${userId}`);
+/**
+ * Turns on polling for a user (persisted, so it survives restarts). The first
+ * poll runs right away so the UI shows something instantly.
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {number|null} [options.intervalMinutes] - The user's own interval (null uses the team / default)
+ * @returns {Promise<Object>} - The polling job
+ * @throws {Error} - With status 400 for an invalid interval
+ */
+async function startUserPolling(userId, options) {
+  const job = await pollingJobs.enableJob(userId, options);
+  console.log(`Started strain polling for user ${userId} every ${job.effectiveIntervalMinutes} minutes`);
+  setImmediate(runDueJobs);
+  return job;
 }
 
 /**
- * TIMER CLEANUP: Stop polling for a given user
- * Cancels the repeating timer to prevent unnecessary API calls
+ * Turns off polling for a user
  * @param {string} userId
+ * @returns {Promise<Object|null>} - The polling job
+ */
+async function stopUserPolling(userId) {
+  const job = await pollingJobs.disableJob(userId);
+  if (job) {
+    console.log(`Stopped strain polling for user ${userId}`);
+  }
+  return job;
+}
+
+/**
+ * Finds users whose token blob still carries strainPollingEnabled (from before
+ * polling jobs) and strips the flag
+ * @returns {Promise<Object>} - { userIds, complete } where complete is false if a token couldn't be read
  */
-function stopUserPolling(userId) {
-  const handle = activeTimers.get(userId);
-  if (!handle) return;  // Timer doesn't exist, nothing to stop
-  
-  clearInterval(handle);  // Cancel the repeating timer
-  activeTimers.delete(userId);  // Remove from our tracking map
-  console.log(`Stopped strain polling for user ${userId}`);
+async function findLegacyPollingUsers() {
+  const userIds = [];
+  let complete = true;
+  for (const userId of Object.keys(await tokenStorage.getAll())) {
+    const tokenData = await tokenStorage.getRaw(userId);
+    if (!tokenData) {
+      complete = false;
+      continue;
+    }
+    if (!('strainPollingEnabled' in tokenData)) continue;
+
+    const { strainPollingEnabled, ...rest } = tokenData;
+    if (strainPollingEnabled) userIds.push(userId);
+    await tokenStorage.set(userId, rest);
+  }
+  return { userIds, complete };
 }
 
 /**
- * STARTUP RECOVERY: Bootstrap polling for users that were enabled prior to server restart
- * When server restarts, we lose all timers but tokens persist - this rebuilds the timers
- * @param {string[]} userIds
+ * STARTUP: Moves legacy settings into polling jobs, catches up on runs missed
+ * while the server was down or asleep, and starts the scheduler
+ * @returns {Promise<void>}
  */
-function bootstrap(userIds = []) {
-  userIds.forEach(startUserPolling);
+async function start() {
+  if (tickTimer) return;
+  tickTimer = setInterval(runDueJobs, TICK_INTERVAL);
+  tickTimer.unref();
+  leaseTimer = setInterval(() => {
+    pollingJobs.renewLeases().catch((error) => console.error('Error renewing polling leases:', error.message));
+  }, LEASE_RENEW_INTERVAL);
+  leaseTimer.unref();
+
+  try {
+    const migrated = await pollingJobs.migrateLegacySettings(findLegacyPollingUsers);
+    if (migrated > 0) {
+      console.log(`Created strain polling jobs for ${migrated} users from their stored settings`);
+    }
+    const overdue = await pollingJobs.catchUp();
+    const enabled = (await pollingJobs.listJobs()).filter((job) => job.enabled).length;
+    console.log(`🚀 Strain polling scheduled for ${enabled} users (${overdue} catching up)`);
+  } catch (error) {
+    console.error('Error starting strain polling:', error);
+  }
+  runDueJobs();
 }
 
 /**
- * SHUTDOWN CLEANUP: Stop all active polling timers
+ * SHUTDOWN CLEANUP: Stop the scheduler and hand this instance's jobs back
  * Called during graceful shutdown to prevent timers from running in a dying process
+ * @returns {Promise<void>}
  */
-function shutdown() {
-  for (const [userId, handle] of activeTimers) {
-    clearInterval(handle);
-    console.log(`Stopped strain polling for user ${userId}`);
+async function shutdown() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    clearInterval(leaseTimer);
+    tickTimer = null;
+    leaseTimer = null;
+    await pollingJobs.releaseLeases().catch((error) => console.error('Error releasing polling leases:', error.message));
   }
-  activeTimers.clear();  // Clear the tracking map
+  strainBridge.stop();
 }
 
 module.exports = {
+  pollUserStrain,
   startUserPolling,
   stopUserPolling,
-  bootstrap,
+  runDueJobs,
+  start,
   shutdown,
   strainEmitter,
-};
\ No newline at end of file
+  strainBridge,
+};
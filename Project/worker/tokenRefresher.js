@@ -0,0 +1,85 @@
+require('dotenv').config({ path: '../../.env' });
+const tokenStorage = require('../utils/tokenStorage');
+const { withLock } = require('../utils/coordination');
+
+const TOKEN_REFRESH_INTERVAL = (parseInt(process.env.TOKEN_REFRESH_INTERVAL_SECONDS, 10) || 300) * 1000;
+
+let refreshTimer = null;
+let running = null;
+
+/**
+ * Refreshes every stored token that expires within TOKEN_REFRESH_AHEAD_SECONDS,
+ * so requests rarely have to wait for a refresh. Users are refreshed one at a
+ * time; failures are logged and retried on the next pass.
+ * @returns {Promise<Object>} - { checked, refreshed, failed, needsReauth }
+ */
+async function refreshExpiring() {
+  const summary = { checked: 0, refreshed: 0, failed: 0, needsReauth: 0 };
+  const userIds = Object.keys(await tokenStorage.getAll());
+
+  for (const userId of userIds) {
+    try {
+      const tokenData = await tokenStorage.getRaw(userId);
+      if (!tokenData) continue;
+      summary.checked += 1;
+      if (tokenData.needsReauth) {
+        summary.needsReauth += 1;
+        continue;
+      }
+      if (!tokenStorage.isExpiring(tokenData)) continue;
+
+      await tokenStorage.refreshToken(userId, tokenData);
+      summary.refreshed += 1;
+    } catch (error) {
+      if (error.permanent) {
+        summary.needsReauth += 1;
+      } else {
+        summary.failed += 1;
+      }
+    }
+  }
+
+  if (summary.refreshed || summary.failed) {
+    console.log(`Token refresh pass: ${summary.refreshed} refreshed, ${summary.failed} failed, ${summary.needsReauth} need to reconnect`);
+  }
+  return summary;
+}
+
+// Passes never overlap, in this process or (COORDINATION=postgres) across
+// instances: an instance that finds another one mid-pass skips its turn
+function runPass() {
+  if (!running) {
+    running = withLock('token-refresher', refreshExpiring, { waitMs: 0 })
+      .catch((error) => {
+        if (!error.lockBusy) console.error('Error refreshing tokens:', error);
+      })
+      .finally(() => {
+        running = null;
+      });
+  }
+  return running;
+}
+
+/**
+ * Starts refreshing tokens in the background (also catches up on tokens that
+ * expired while the server was down)
+ */
+function start() {
+  if (refreshTimer) return;
+  refreshTimer = setInterval(runPass, TOKEN_REFRESH_INTERVAL);
+  refreshTimer.unref();
+  runPass();
+}
+
+function shutdown() {
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+}
+
+module.exports = {
+  start,
+  shutdown,
+  refreshExpiring
+};
@@ -0,0 +1,75 @@
+require('dotenv').config({ path: '../../.env' });
+const webhookEvents = require('../utils/webhookEvents');
+
+// Number of webhook events processed side by side
+const WEBHOOK_WORKERS = parseInt(process.env.WEBHOOK_WORKERS, 10) || 2;
+const POLL_INTERVAL = 1000 * 5;  // pick up retries whose backoff has elapsed
+
+let pollTimer = null;
+let draining = null;
+let drainAgain = false;
+
+// One worker: keeps claiming due events until the queue is empty
+async function work() {
+  let event;
+  while ((event = await webhookEvents.claimNext())) {
+    try {
+      await webhookEvents.runEvent(event);
+    } catch (error) {
+      // Retry or failure is recorded on the event
+    }
+  }
+}
+
+/**
+ * Processes every due event with WEBHOOK_WORKERS workers
+ * @returns {Promise<void>} - Resolves when the queue has no due events left
+ */
+function drain() {
+  if (draining) {
+    // Events queued while the workers are finishing up get another pass
+    drainAgain = true;
+    return draining;
+  }
+  draining = Promise.all(Array.from({ length: WEBHOOK_WORKERS }, work))
+    .catch((error) => console.error('Error processing webhook queue:', error))
+    .finally(() => {
+      draining = null;
+      if (drainAgain) {
+        drainAgain = false;
+        drain();
+      }
+    });
+  return draining;
+}
+
+/**
+ * Wakes the workers after an event was queued
+ */
+function kick() {
+  setImmediate(drain);
+}
+
+/**
+ * Starts the webhook workers (also processes anything left from before a restart)
+ */
+function start() {
+  if (pollTimer) return;
+  pollTimer = setInterval(drain, POLL_INTERVAL);
+  pollTimer.unref();
+  drain();
+}
+
+function shutdown() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  start,
+  shutdown,
+  kick,
+  drain
+};